@@ -0,0 +1,75 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path'),
+  mkdirp = require('mkdirp'),
+  Bluebird = require('bluebird');
+
+/**
+ * Appends measure documents to a newline-delimited JSON file, one line
+ * per document. Each line holds the probe name, in its "probe" field.
+ *
+ * Writes are serialized, keeping documents in the order they are saved.
+ *
+ * @class FileStorage
+ * @param {string} file - file path, relative paths are resolved from the
+ *                        current working directory
+ */
+class FileStorage {
+  constructor (file) {
+    this.file = path.resolve(file);
+    this.writing = Bluebird.resolve();
+  }
+
+  /**
+   * Creates the file directory, if needed
+   *
+   * @returns {Promise}
+   */
+  init () {
+    return Bluebird.fromCallback(callback => mkdirp(path.dirname(this.file), callback));
+  }
+
+  /**
+   * Appends measure documents to the file
+   *
+   * @param {string} probeName
+   * @param {Array<Object>} documents
+   * @returns {Promise}
+   */
+  save (probeName, documents) {
+    const lines = documents
+      .map(document => JSON.stringify(Object.assign({probe: probeName}, document)) + '\n')
+      .join('');
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(() => Bluebird.fromCallback(callback => fs.appendFile(this.file, lines, callback)));
+
+    return this.writing;
+  }
+}
+
+module.exports = FileStorage;
@@ -0,0 +1,196 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const
+  crypto = require('crypto');
+
+/**
+ * HyperLogLog sketch, estimating the number of distinct values added to it
+ * using a fixed amount of memory: 2^precision bytes.
+ *
+ * The standard error of the estimate is 1.04 / sqrt(2^precision)
+ * (e.g. 0.81% with a precision of 14).
+ *
+ * Values are hashed on 64 bits, making large range corrections unnecessary.
+ * The estimate is maintained incrementally, making it cheap to read after
+ * each added value.
+ *
+ * @class HyperLogLog
+ * @param {number} [precision] - number of bits used to address registers (4 to 16)
+ */
+class HyperLogLog {
+  constructor (precision = HyperLogLog.DEFAULT_PRECISION) {
+    if (!Number.isInteger(precision) || precision < HyperLogLog.MIN_PRECISION || precision > HyperLogLog.MAX_PRECISION) {
+      throw new Error(`Invalid HyperLogLog precision "${precision}": expected an integer between ${HyperLogLog.MIN_PRECISION} and ${HyperLogLog.MAX_PRECISION}`);
+    }
+
+    this.precision = precision;
+    this.size = 1 << precision;
+    this.registers = Buffer.alloc(this.size);
+    this.clear();
+  }
+
+  /**
+   * Resets the sketch
+   */
+  clear () {
+    this.registers.fill(0);
+    this._sum = this.size;
+    this._zeros = this.size;
+  }
+
+  /**
+   * Adds a value to the sketch. Non-string values are serialized in JSON.
+   *
+   * @param {*} value
+   */
+  add (value) {
+    const
+      hash = crypto.createHash('sha1')
+        .update(typeof value === 'string' ? value : JSON.stringify(value))
+        .digest(),
+      high = hash.readUInt32BE(0),
+      low = hash.readUInt32BE(4),
+      index = high >>> (32 - this.precision),
+      rest = (high << this.precision) >>> 0,
+      rank = rest !== 0
+        ? Math.clz32(rest) + 1
+        : 32 - this.precision + Math.clz32(low) + 1;
+
+    this._setRegister(index, rank);
+  }
+
+  /**
+   * Returns the estimated number of distinct values added to the sketch
+   *
+   * @returns {number}
+   */
+  count () {
+    const m = this.size;
+    let alpha;
+
+    switch (m) {
+      case 16:
+        alpha = 0.673;
+        break;
+      case 32:
+        alpha = 0.697;
+        break;
+      case 64:
+        alpha = 0.709;
+        break;
+      default:
+        alpha = 0.7213 / (1 + 1.079 / m);
+    }
+
+    const estimate = alpha * m * m / this._sum;
+
+    // small range correction, using linear counting
+    if (estimate <= 2.5 * m && this._zeros > 0) {
+      return Math.round(m * Math.log(m / this._zeros));
+    }
+
+    return Math.round(estimate);
+  }
+
+  /**
+   * Merges another sketch in this one. The resulting sketch estimates the
+   * number of distinct values added to any of them.
+   *
+   * @param {HyperLogLog} other
+   * @returns {HyperLogLog} this sketch
+   */
+  merge (other) {
+    if (other.precision !== this.precision) {
+      throw new Error(`Cannot merge HyperLogLog sketches with different precisions (${this.precision} and ${other.precision})`);
+    }
+
+    for (let i = 0; i < this.size; i++) {
+      this._setRegister(i, other.registers[i]);
+    }
+
+    return this;
+  }
+
+  /**
+   * Serializes the sketch
+   *
+   * @returns {{precision: number, registers: string}} registers are base64-encoded
+   */
+  toJSON () {
+    return {
+      precision: this.precision,
+      registers: this.registers.toString('base64')
+    };
+  }
+
+  /**
+   * Rebuilds a sketch serialized with toJSON
+   *
+   * @param {{precision: number, registers: string}} serialized
+   * @returns {HyperLogLog}
+   */
+  static fromJSON (serialized) {
+    const
+      sketch = new HyperLogLog(serialized.precision),
+      registers = Buffer.from(serialized.registers, 'base64');
+
+    if (registers.length !== sketch.size) {
+      throw new Error(`Invalid HyperLogLog registers: expected ${sketch.size} registers, got ${registers.length}`);
+    }
+
+    for (let i = 0; i < sketch.size; i++) {
+      sketch._setRegister(i, registers[i]);
+    }
+
+    return sketch;
+  }
+
+  /**
+   * Raises a register to the provided rank, if greater than its
+   * current value, and updates the estimate accordingly
+   *
+   * @param {number} index
+   * @param {number} rank
+   */
+  _setRegister (index, rank) {
+    const current = this.registers[index];
+
+    if (rank <= current) {
+      return;
+    }
+
+    if (current === 0) {
+      this._zeros--;
+    }
+
+    this._sum += Math.pow(2, -rank) - Math.pow(2, -current);
+    this.registers[index] = rank;
+  }
+}
+
+HyperLogLog.MIN_PRECISION = 4;
+HyperLogLog.MAX_PRECISION = 16;
+HyperLogLog.DEFAULT_PRECISION = 14;
+
+module.exports = HyperLogLog;
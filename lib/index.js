@@ -22,11 +22,18 @@
 'use strict';
 
 const
+  path = require('path'),
   longTimeout = require('long-timeout'),
   Bluebird = require('bluebird'),
   _ = require('lodash'),
   debug = require('debug')('kuzzle:kdc:probes'),
   ms = require('ms'),
+  HyperLogLog = require('./hyperLogLog'),
+  SpaceSaving = require('./spaceSaving'),
+  WebhookNotifier = require('./webhookNotifier'),
+  FileStorage = require('./fileStorage'),
+  MeasureSpool = require('./measureSpool'),
+  MetricsSink = require('./metricsSink'),
   /*
    This library is used over Math.random() to ensure seeded, unbiased,
    evenly distributed random numbers.
@@ -35,6 +42,109 @@ const
   */
   { MersenneTwister19937, integer } = require('random-js');
 
+// Maximum number of probes definitions loaded from the storage layer
+const maxStoredProbes = 1000;
+
+// Default maximum number of distinct groups counted by grouped watcher probes
+const defaultMaxGroups = 100;
+
+// Aggregations computed on documents fields by watcher probes
+const fieldAggregations = ['sum', 'avg', 'min', 'max'];
+
+// Group counting documents/messages once the maximum number of groups is reached
+const otherGroup = '__other__';
+
+// Maximum number of alert states loaded on startup
+const maxStoredAlerts = 10000;
+
+// Comparison operators of alert rules
+const alertOperators = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+  '==': (value, threshold) => value === threshold,
+  '!=': (value, threshold) => value !== threshold
+};
+
+// Notifications sent by webhooks
+const webhookEvents = ['measure', 'alert'];
+
+// Webhooks default configuration
+const defaultWebhookConfig = {
+  events: webhookEvents,
+  secret: null,
+  timeout: 5000,
+  retries: 3,
+  backoff: 1000,
+  queueSize: 1000
+};
+
+// Metrics sinks default ports and protocols, per sink type
+const sinkDefaults = {
+  statsd: {port: 8125, protocol: 'udp'},
+  graphite: {port: 2003, protocol: 'tcp'}
+};
+
+// Measures storage types
+const storageTypes = ['kuzzle', 'file', 'none', 'custom'];
+
+// Storage types reaching the file system, which can only be set in the plugin configuration
+const configOnlyStorageTypes = ['file', 'custom'];
+
+// Network protocols supported by metrics sinks
+const sinkProtocols = ['udp', 'tcp'];
+
+// Measures spool default configuration
+const defaultSpoolConfig = {
+  maxSize: 10000,
+  retryDelay: 1000,
+  maxRetryDelay: 300000
+};
+
+// Measure actions which can be dispatched by the batch action
+const batchActions = ['monitor', 'counter', 'watcher', 'sampler', 'histogram', 'gauge', 'cardinality', 'topk'];
+
+// Names of probes created at runtime, used as measures collection names
+const probeNamePattern = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Maximum number of entries of a measures batch
+const maxBatchEntries = 1000;
+
+// Maximum number of distinct unknown events recorded in discovery mode
+const maxUnknownEvents = 1000;
+
+// Identifier of the Kuzzle anonymous user, which does not identify a listener
+const anonymousUserId = '-1';
+
+// Default maximum number of distinct origins of probes split per origin
+const defaultMaxOrigins = 100;
+
+// Default and maximum number of measures returned by a search
+const defaultSearchSize = 10;
+const maxSearchSize = 1000;
+
+// Maximum number of time buckets returned by a measures aggregation
+const maxAggregationBuckets = 10000;
+
+// Probe types which measures can be aggregated in time buckets
+const aggregableProbeTypes = ['monitor', 'counter', 'watcher', 'sampler'];
+
+// Default number of values reported by top-K probes
+const defaultTopSize = 10;
+
+// Default number of values monitored by top-K probes, per reported value
+const defaultTopCapacityFactor = 10;
+
+// Prefix of the metrics names exposed in the Prometheus format
+const metricsPrefix = 'kdc_';
+
+// Probe types which values are exposed in the Prometheus format
+const exposedProbeTypes = ['monitor', 'counter', 'gauge', 'watcher'];
+
+// Probes watching documents and messages matching a DSL filter
+const dslProbeTypes = ['watcher', 'sampler', 'histogram', 'cardinality', 'topk'];
+
 /**
  * @constructor
  */
@@ -47,6 +157,64 @@ class ProbePlugin {
     this.index = '';
     this.dsl = null;
 
+    /*
+     * Raw probes definitions, and where they come from:
+     *  - "config": the plugin configuration
+     *  - "storage": the definitions collection (probes created or
+     *    updated at runtime)
+     * Structure:
+     *  {
+     *    probeName: {source: 'config', definition: {...}}
+     *  }
+     */
+    this.definitions = {};
+    this.definitionsCollection = '';
+    this.definitionsCollectionReady = false;
+
+    // Interval timers of started probes, indexed by probe name
+    this.timers = {};
+
+    /*
+     Background job rolling up old measures, and rollup collections
+     already created, as an object: {collectionName: true}
+     */
+    this.rollupInterval = null;
+    this.rollupTimer = null;
+    this.rollupRunning = false;
+    this.rollupCollections = {};
+
+    /*
+     Alert rules states, indexed by probe name and by alert name:
+     {
+       probeName: {
+         alertName: {state: 'firing' or 'resolved', breaches: 3, since: 123456789, value: 42}
+       }
+     }
+     */
+    this.alertStates = {};
+    this.alertsCollection = '';
+    this.alertsCollectionReady = false;
+
+    // Webhooks notifying all probes measures and alerts
+    this.globalNotifiers = [];
+
+    // Webhooks configured on probes, indexed by probe name
+    this.notifiers = {};
+
+    // StatsD/Graphite sinks configured on probes, indexed by probe name
+    this.sinks = {};
+
+    // Storage backends of probes not stored in Kuzzle, indexed by probe name
+    this.storages = {};
+
+    // On-disk buffer of measures which could not be saved, if enabled
+    this.spool = null;
+
+    // Background job deleting measures older than their probe retention
+    this.purgeInterval = null;
+    this.purgeTimer = null;
+    this.purgeRunning = false;
+
     // Used for sampler probes
     this.randomEngine = MersenneTwister19937.autoSeed();
 
@@ -68,12 +236,45 @@ class ProbePlugin {
      */
     this.measures = {};
 
+    // Last measures of probes exposed in the Prometheus format, indexed by probe name
+    this.lastMeasures = {};
+
+    // Number of measure requests rejected because of an invalid body,
+    // per measure action, and per probe when the targeted probes are known
+    this.rejectedInputs = {
+      actions: {},
+      probes: {}
+    };
+
+    // Events no probe listens to, per measure action, recorded in discovery mode
+    this.discovery = false;
+    this.unknownEvents = {};
+    this.droppedUnknownEvents = 0;
+
     this.controllers = {
       measure: {
         monitor: 'monitor',
         counter: 'counter',
         watcher: 'watcher',
-        sampler: 'sampler'
+        sampler: 'sampler',
+        histogram: 'histogram',
+        gauge: 'gauge',
+        cardinality: 'cardinality',
+        topk: 'topk',
+        batch: 'batch',
+        search: 'searchMeasures',
+        aggregate: 'aggregateMeasures',
+        metrics: 'exportMetrics',
+        spool: 'getSpool',
+        rejections: 'getRejections',
+        unknownEvents: 'getUnknownEvents'
+      },
+      probe: {
+        create: 'createProbe',
+        update: 'updateProbe',
+        delete: 'deleteProbe',
+        get: 'getProbe',
+        list: 'listProbes'
       }
     };
 
@@ -81,7 +282,24 @@ class ProbePlugin {
       {verb: 'post', url: 'measure/monitor', controller: 'measure', action: 'monitor'},
       {verb: 'post', url: 'measure/counter', controller: 'measure', action: 'counter'},
       {verb: 'post', url: 'measure/watcher', controller: 'measure', action: 'watcher'},
-      {verb: 'post', url: 'measure/sampler', controller: 'measure', action: 'sampler'}
+      {verb: 'post', url: 'measure/sampler', controller: 'measure', action: 'sampler'},
+      {verb: 'post', url: 'measure/histogram', controller: 'measure', action: 'histogram'},
+      {verb: 'post', url: 'measure/gauge', controller: 'measure', action: 'gauge'},
+      {verb: 'post', url: 'measure/cardinality', controller: 'measure', action: 'cardinality'},
+      {verb: 'post', url: 'measure/topk', controller: 'measure', action: 'topk'},
+      {verb: 'post', url: 'measure/batch', controller: 'measure', action: 'batch'},
+      {verb: 'get', url: 'measures/:name', controller: 'measure', action: 'search'},
+      {verb: 'post', url: 'measures/:name/_search', controller: 'measure', action: 'search'},
+      {verb: 'get', url: 'measures/:name/_aggregate', controller: 'measure', action: 'aggregate'},
+      {verb: 'get', url: 'metrics', controller: 'measure', action: 'metrics'},
+      {verb: 'get', url: 'spool', controller: 'measure', action: 'spool'},
+      {verb: 'get', url: 'rejections', controller: 'measure', action: 'rejections'},
+      {verb: 'get', url: 'unknown-events', controller: 'measure', action: 'unknownEvents'},
+      {verb: 'get', url: 'probes', controller: 'probe', action: 'list'},
+      {verb: 'get', url: 'probes/:name', controller: 'probe', action: 'get'},
+      {verb: 'post', url: 'probes/:name', controller: 'probe', action: 'create'},
+      {verb: 'put', url: 'probes/:name', controller: 'probe', action: 'update'},
+      {verb: 'delete', url: 'probes/:name', controller: 'probe', action: 'delete'}
     ];
   }
 
@@ -96,6 +314,13 @@ class ProbePlugin {
     const
       defaultConfig = {
         storageIndex: 'measures',
+        definitionsCollection: 'probe-definitions',
+        alertsCollection: 'probe-alerts',
+        rollupInterval: '1h',
+        purgeInterval: '1h',
+        webhooks: [],
+        spool: null,
+        discovery: false,
         probes: {}
       },
       config = Object.assign(defaultConfig, customConfig);
@@ -104,15 +329,58 @@ class ProbePlugin {
       throw new Error('plugin-probe: no storage index defined');
     }
 
+    if (!config.definitionsCollection || typeof config.definitionsCollection !== 'string') {
+      throw new Error('plugin-probe: no probes definitions collection defined');
+    }
+
+    if (!config.alertsCollection || typeof config.alertsCollection !== 'string' || config.alertsCollection === config.definitionsCollection) {
+      throw new Error('plugin-probe: invalid alerts collection');
+    }
+
+    this.rollupInterval = this._parseDuration(config.rollupInterval);
+
+    if (isNaN(this.rollupInterval)) {
+      throw new Error(`plugin-probe: invalid rollup interval "${config.rollupInterval}"`);
+    }
+
+    this.purgeInterval = this._parseDuration(config.purgeInterval);
+
+    if (isNaN(this.purgeInterval)) {
+      throw new Error(`plugin-probe: invalid purge interval "${config.purgeInterval}"`);
+    }
+
+    if (typeof config.discovery !== 'boolean') {
+      throw new Error('plugin-probe: invalid "discovery" parameter: expected a boolean');
+    }
+
+    this.discovery = config.discovery;
     this.context = context;
+
+    if (config.spool !== null) {
+      this.spool = new MeasureSpool(this._configureSpool(config.spool), context.log, entry => this._replayMeasure(entry));
+    }
+
+    this.globalNotifiers = this._configureWebhooks(config.webhooks, 'plugin-probe:')
+      .map(webhook => new WebhookNotifier(webhook, context.log));
     this.index = config.storageIndex;
+    this.definitionsCollection = config.definitionsCollection;
+    this.alertsCollection = config.alertsCollection;
     this.hooks = {
       'core:kuzzleStart': 'startProbes'
     };
 
     this.probes = this._configureProbes(config.probes);
+    this.definitions = {};
+
+    for (const name of Object.keys(this.probes)) {
+      this.definitions[name] = {source: 'config', definition: _.cloneDeep(config.probes[name])};
+      this.notifiers[name] = this._createNotifiers(this.probes[name]);
+      this.sinks[name] = this._createSinks(this.probes[name]);
+      this.storages[name] = this._createStorage(this.probes[name]);
+    }
 
     if (Object.keys(this.probes).length === 0) {
+      this.eventMapping = this._buildEventsToProbesMapping(this.probes);
       return this;
     }
 
@@ -137,6 +405,10 @@ class ProbePlugin {
    * Can be set on any Kuzzle event. Each monitored event must be
    * explicitly listed in the probe configuration.
    *
+   * If the "splitBy" parameter is set to "origin", a measure is stored
+   * for each origin which sent events during the measurement, instead of
+   * a single merged measure.
+   *
    * The "interval" configuration accepts the following formats:
    * - "none": no interval, each event will create a new measure
    * - "duration": a string in human readable format, using the "ms"
@@ -167,12 +439,24 @@ class ProbePlugin {
    *  @param {KuzzleRequest} request
    */
   monitor (request) {
+    const error = this._checkEvent(request, 'monitor');
+
+    if (error) {
+      return Promise.reject(error);
+    }
+
     const
-      event = request.input.body.event;
+      event = request.input.body.event,
+      origin = this._getOrigin(request);
     debug(`Received measure for monitor ${event}`);
 
     for (const probe of this.eventMapping.monitor[event]) {
       this.measures[probe][event]++;
+      this._addOrigin(this.measures[probe], origin);
+
+      if (this.probes[probe].splitBy) {
+        this._getSplitMeasure(this.probes[probe], this.measures[probe], origin)[event]++;
+      }
 
       if (!this.probes[probe].interval) {
         this._afterMeasure(this.probes[probe], this.measures[probe]);
@@ -190,14 +474,25 @@ class ProbePlugin {
    * Aggregates multiple fired events into a single measurement counter.
    * Useful to track activity at low-level.
    *
-   * Each measure is cumulative: counters are kept for the entire Kuzzle
-   * uptime, without ever being reset.
+   * Each measure is cumulative: counters are never reset, and resume from
+   * their last saved value when Kuzzle restarts, unless the "resetOnStart"
+   * parameter is set to true.
    *
    * The counter can be increased by some events, and decreased by others.
    *
    * Can be set on any Kuzzle event. Each monitored event must be explicitly
    * listed in the probe configuration.
    *
+   * If the "rate" parameter is set to true, each measure also contains the
+   * counter variation since the previous saved measure ("delta"), and the
+   * corresponding rate per second, computed from the real time elapsed
+   * between both measures. The first measure is compared to the counter
+   * value when the probe started.
+   *
+   * If the "splitBy" parameter is set to "origin", each origin gets its
+   * own cumulative counter, stored by the measurements during which it
+   * received events, instead of a single merged counter.
+   *
    * The "interval" configuration accepts the following formats:
    * - "none": no interval, each event will create a new measure
    * - "duration": a string in human readable format, using the "ms"
@@ -211,6 +506,7 @@ class ProbePlugin {
    *        type: 'counter',
    *        increasers: ['list:of', 'counterIncreasing:events'],
    *        decreasers: ['anotherlist:of', 'counterDecreasing:events'],
+   *        rate: true,
    *        interval: '10m'
    *      }
    *    }
@@ -221,20 +517,34 @@ class ProbePlugin {
    * The measure document will look like this:
    *  {
    *    count: 1234,
+   *    delta: 120,
+   *    ratePerSecond: 0.2,
    *    timestamp: 123456789
    *  }
    *
    *  @param {KuzzleRequest} request
    */
   counter (request) {
+    const error = this._checkEvent(request, 'counter');
+
+    if (error) {
+      return Promise.reject(error);
+    }
+
     const
-      event = request.input.body.event;
+      event = request.input.body.event,
+      origin = this._getOrigin(request);
     debug(`Received measure for counter ${event}`);
 
     // increasing counters
     if (this.eventMapping.counter.increasers[event]) {
       for (const probe of this.eventMapping.counter.increasers[event]) {
         this.measures[probe].count++;
+        this._addOrigin(this.measures[probe], origin);
+
+        if (this.probes[probe].splitBy) {
+          this._getSplitMeasure(this.probes[probe], this.measures[probe], origin).count++;
+        }
 
         if (!this.probes[probe].interval) {
           this._afterMeasure(this.probes[probe], this.measures[probe]);
@@ -246,6 +556,11 @@ class ProbePlugin {
     if (this.eventMapping.counter.decreasers[event]) {
       for (const probe of this.eventMapping.counter.decreasers[event]) {
         this.measures[probe].count--;
+        this._addOrigin(this.measures[probe], origin);
+
+        if (this.probes[probe].splitBy) {
+          this._getSplitMeasure(this.probes[probe], this.measures[probe], origin).count--;
+        }
 
         if (!this.probes[probe].interval) {
           this._afterMeasure(this.probes[probe], this.measures[probe]);
@@ -284,6 +599,20 @@ class ProbePlugin {
    * - a '*' string value: the entire document/message will be collected
    * - an array listing the document/message attributes to collect
    *
+   * The "groupBy" parameter makes a probe counting documents/messages report
+   * a count per group, instead of a single count. It lists one or more
+   * document/message attributes (as JSON paths) whose values make the group key.
+   * The number of distinct groups is limited by the "maxGroups" parameter
+   * (default: 100): documents/messages of subsequent new groups are counted in
+   * the "__other__" group.
+   *
+   * The "aggregates" parameter makes a probe counting documents/messages
+   * compute aggregated values of numeric attributes of the matched
+   * documents/messages. It associates attributes (as JSON paths) to the list of
+   * aggregations to compute: "sum", "avg", "min" and/or "max".
+   * Documents/messages without a numeric value for an attribute are not taken
+   * into account for this attribute.
+   *
    * The "filter" parameter configures what documents/messages will be watched.
    * It can be empty, undefined or null, meaning all documents/messages sent to an index-collection pair
    * will be watched.
@@ -315,26 +644,83 @@ class ProbePlugin {
    *      filter: {},
    *      collects: '*',
    *      aggregator: 'none'
+   *    },
+   *    probe_watcher_3: {
+   *      type: 'watcher',
+   *      index: 'index',
+   *      collection: 'collection',
+   *      groupBy: ['status', 'device.type'],
+   *      maxGroups: 50,
+   *      aggregator: '1h'
+   *    },
+   *    probe_watcher_4: {
+   *      type: 'watcher',
+   *      index: 'index',
+   *      collection: 'collection',
+   *      aggregates: {
+   *        'payment.amount': ['sum', 'avg', 'max']
+   *      },
+   *      aggregator: '1h'
    *    }
    *  }
    *
+   * The measure documents of grouped watcher probes look like this:
+   *  {
+   *    count: 1234,
+   *    groups: [
+   *      {key: 'created|mobile', count: 1000},
+   *      {key: 'deleted|desktop', count: 200},
+   *      {key: '__other__', count: 34}
+   *    ],
+   *    timestamp: 123456789
+   *  }
+   *
+   * The measure documents of watcher probes with aggregates look like this
+   * ("count" being the number of aggregated values):
+   *  {
+   *    count: 1234,
+   *    aggregates: {
+   *      payment: {
+   *        amount: {count: 1200, sum: 60000, avg: 50, max: 990}
+   *      }
+   *    },
+   *    timestamp: 123456789
+   *  }
+   *
    * @param {KuzzleRequest} request - Standardized request made to Kuzzle
    */
   watcher (request) {
+    const error = this._checkPayload(request, 'watcher');
+
+    if (error) {
+      return Promise.reject(error);
+    }
+
     const
       payload = request.input.body.payload,
-      matchedIds = this.dsl.test(payload.data.index, payload.data.collection, payload.data.body, payload.data._id);
+      origin = this._getOrigin(request),
+      matchedIds = this.dsl ? this.dsl.test(payload.data.index, payload.data.collection, payload.data.body, payload.data._id) : [];
 
     for (const filterId of matchedIds) {
-      for (const name of this.eventMapping.watcher[filterId]) {
+      for (const name of this.eventMapping.watcher[filterId] || []) {
         const probe = this.probes[name];
         debug(`Received measure for watcher ${name}`);
 
         if (probe.collects) {
           this.measures[name].content.push(this._collectData(payload.data._id, payload.data.body, probe.collects));
+          this.measures[name].contentOrigins.push(origin);
         }
         else {
           this.measures[name].count++;
+          this._addOrigin(this.measures[name], origin);
+
+          if (probe.groupBy) {
+            this._countGroup(probe, this.measures[name], payload.data.body);
+          }
+
+          if (probe.aggregates) {
+            this._aggregateFields(probe, this.measures[name], payload.data.body);
+          }
         }
 
         if (!probe.interval) {
@@ -413,12 +799,19 @@ class ProbePlugin {
    * @param {KuzzleRequest} request - Standardized request made to Kuzzle
    */
   sampler (request) {
+    const error = this._checkPayload(request, 'sampler');
+
+    if (error) {
+      return Promise.reject(error);
+    }
+
     const
       payload = request.input.body.payload,
-      matchedIds = this.dsl.test(payload.data.index, payload.data.collection, payload.data.body, payload.data._id);
+      origin = this._getOrigin(request),
+      matchedIds = this.dsl ? this.dsl.test(payload.data.index, payload.data.collection, payload.data.body, payload.data._id) : [];
 
     for (const filterId of matchedIds) {
-      for (const probe of this.eventMapping.sampler[filterId]) {
+      for (const probe of this.eventMapping.sampler[filterId] || []) {
         const
           collected = this._collectData(payload.data._id, payload.data.body, probe.collects);
         let
@@ -433,6 +826,7 @@ class ProbePlugin {
         this.measures[probe.name].count++;
 
         if (this.measures[probe.name].content.length < probe.sampleSize) {
+          this.measures[probe.name].contentOrigins.push(origin);
           return Promise.resolve(this.measures[probe.name].content.push(collected));
         }
 
@@ -441,6 +835,7 @@ class ProbePlugin {
 
         if (positionCandidate < probe.sampleSize) {
           this.measures[probe.name].content[positionCandidate] = collected;
+          this.measures[probe.name].contentOrigins[positionCandidate] = origin;
         }
       }
     }
@@ -451,554 +846,4489 @@ class ProbePlugin {
   }
 
   /**
-   * Starts the probes, making save their measures according to their "interval" interval
-   */
-  startProbes() {
-    return this._createMeasuresIndex()
-      .then(() => this._getMissingCollections(this.probes))
-      .then(missingCollections => {
-        this.context.log.info('██████████ KUZZLE PROBES ██████████');
-        for (const name of Object.keys(this.probes)) {
-          this.context.log.info(`██ Starting probe: ${name}`);
-
-          this._createCollection(this.probes[name], missingCollections)
-            .then(() => {
-              if (this.probes[name].interval) {
-                longTimeout.setInterval(
-                  () => this._afterMeasure(this.probes[name], this.measures[name]),
-                  this.probes[name].interval
-                );
-              }
-            })
-            .catch(error => {
-              this.context.log.error(`An error occured during creation of collection "${name}":`);
-              this.context.log.error(error);
-            });
-        }
-        this.context.log.info('███████████████████████████████████');
-        return;
-      });
-  }
-
-  /**
-   * Creates the measures index if it does not already exists
+   * Histogram probe
    *
-   * @returns {Promise}
-   */
-  _createMeasuresIndex() {
-    return this.context.accessors.execute(
-      new this.context.constructors.Request({
-        index: this.index,
-        controller: 'index',
-        action: 'exists'
-      }))
-      .then(response => {
-        if (!response.result) {
-          return this.context.accessors.execute(
-            new this.context.constructors.Request({
-              index: this.index,
-              controller: 'index',
-              action: 'create'
-            }));
-        }
-        return;
-      });
-  }
-
-  /**
-   * Returns the measures missing collections
+   * Watches documents and messages like "watcher" probes, and computes
+   * the distribution of a numeric field of the matched documents/messages,
+   * without storing them.
    *
-   * @param {Object} probes configuration
-   * @returns {Promise}
-   */
-  _getMissingCollections(probes) {
-    const
-      collections = Object.keys(probes);
-
-    return this.context.accessors.execute(this.context.constructors.Request({
-      index: this.index,
-      controller: 'collection',
-      action: 'list',
-      type: 'stored'
-    }))
-      .then(response => {
-        const existingCollections = response.result.collections.map(item => item.name);
-
-        return _.difference(collections, existingCollections);
-      });
-  }
-
-  /**
-   * Creates the probe measurement collection
-   * Creates default fields mapping depending on the probe type attached
-   * Uses the mapping provided with the probe configuration for the `content` field
+   * The "field", "buckets" and "interval" parameters are required.
    *
-   * @param {Object} probe
-   * @param {string[]} missingCollections
-   * @returns {Promise}
+   * The "field" parameter is the JSON path of the numeric field to read.
+   * Documents/messages without a numeric value for this field are ignored.
+   *
+   * The "buckets" parameter lists the bucket boundaries, in increasing order.
+   * A value is counted in a bucket if it is greater than or equal to the
+   * bucket "from" boundary, and lower than its "to" boundary.
+   *
+   * The "percentiles" parameter lists the percentiles to compute (default:
+   * [50, 90, 99]). Percentiles are estimated from the bucket counts, using a
+   * linear interpolation within a bucket.
+   *
+   * The "interval" configuration must be set with a "duration": a string in human
+   * readable format, using the "ms" conversion library (see https://www.npmjs.com/package/ms)
+   *
+   * Probe configuration sample:
+   *  {
+   *    probes: {
+   *      probe_histogram_1: {
+   *        type: 'histogram',
+   *        index: 'index',
+   *        collection: 'collection',
+   *        filter: {},
+   *        field: 'payload.latency',
+   *        buckets: [10, 100, 1000],
+   *        percentiles: [50, 90, 99],
+   *        interval: '1m'
+   *      }
+   *    }
+   *  }
+   *
+   * Resulting measures: every minute, a new measure will be written with
+   * the distribution of the field values.
+   * The measure document will look like this:
+   *  {
+   *    count: 120,
+   *    sum: 9810,
+   *    min: 2,
+   *    max: 1250,
+   *    buckets: [
+   *      {to: 10, count: 30},
+   *      {from: 10, to: 100, count: 80},
+   *      {from: 100, to: 1000, count: 9},
+   *      {from: 1000, count: 1}
+   *    ],
+   *    percentiles: {p50: 55.5, p90: 100, p99: 1000},
+   *    timestamp: 123456789
+   *  }
+   *
+   * @param {KuzzleRequest} request - Standardized request made to Kuzzle
    */
-  _createCollection(probe, missingCollections) {
-    if (missingCollections.indexOf(probe.name) === -1) {
-      return Bluebird.resolve({});
+  histogram (request) {
+    const error = this._checkPayload(request, 'histogram');
+
+    if (error) {
+      return Promise.reject(error);
     }
 
     const
-      probeMapping = {timestamp: {type: 'date', format: 'epoch_millis'}},
-      countType = {type: 'integer'},
-      creationRequest = this.context.constructors.Request({
-        index: this.index,
-        collection: probe.name,
-        controller: 'collection',
-        action: 'create'
-      });
-    let mappingRequest;
+      payload = request.input.body.payload,
+      origin = this._getOrigin(request),
+      matchedIds = this.dsl ? this.dsl.test(payload.data.index, payload.data.collection, payload.data.body, payload.data._id) : [];
 
-    switch (probe.type) {
-      case 'watcher':
-      case 'sampler':
-        if (probe.collects) {
-          if (probe.mapping) {
-            _.merge(probeMapping, {content: {properties: _.cloneDeep(probe.mapping)}});
-          }
-        }
-        else {
-          probeMapping.count = countType;
-        }
-        break;
-      case 'counter':
-        probeMapping.count = countType;
-        break;
-      case 'monitor':
-        for (const hook of probe.hooks) {
-          probeMapping[hook] = {type: 'integer'};
+    for (const filterId of matchedIds) {
+      for (const name of this.eventMapping.histogram[filterId] || []) {
+        const value = _.get(payload.data.body, this.probes[name].field);
+        debug(`Received measure for histogram ${name}`);
+
+        if (typeof value === 'number' && isFinite(value)) {
+          this._addHistogramValue(this.probes[name], this.measures[name], value);
+          this._addOrigin(this.measures[name], origin);
         }
-        break;
-      default:
-        throw new Error(`The probe type ${probe.type} is unknown`);
+      }
     }
 
-    mappingRequest = this.context.constructors.Request({
-      index: this.index,
-      collection: probe.name,
-      controller: 'collection',
-      action: 'updateMapping',
-      body: {
-        properties: probeMapping
-      }
+    return Promise.resolve({
+      acknowledged: true
     });
-
-    return this.context.accessors.execute(creationRequest)
-      .then(() => this.context.accessors.execute(mappingRequest));
-
   }
 
   /**
-   * Creates a mapping between an event name and its associated probes.
-   * This is especially useful for methods called by Kuzzle, because
-   * they only have the event name, and no information about the
-   * corresponding probes.
+   * Gauge probe
    *
-   * The returned mapping is in the following format:
+   * Keeps track of an absolute value reported by the listener, such as
+   * a number of connected users or a queue depth.
+   *
+   * Each measure reports the last received value, and the minimum, maximum
+   * and average values received during the measurement.
+   * If no value is received during a measurement, the measure reports the
+   * last known value.
+   *
+   * Can be set on any Kuzzle event. Each event updating the gauge must be
+   * explicitly listed in the probe configuration, and the listener must send
+   * the value along with the event name.
+   *
+   * The "interval" configuration accepts the following formats:
+   * - "none": no interval, each received value will create a new measure
+   * - "duration": a string in human readable format, using the "ms"
+   *               conversion library
+   *               (see https://www.npmjs.com/package/ms)
+   *
+   * Probe configuration sample:
    *  {
-   *    monitor: {
-   *      eventName: [associated, probes, list],
-   *      ...
-   *    },
-   *    counter: {
-   *      increasers: {
-   *        eventName: [associated, probes, list],
-   *        ...
-   *      },
-   *      decreasers: {
-   *        eventName: [associated, probes, list],
-   *        ...
+   *    probes: {
+   *      probe_gauge_1: {
+   *        type: 'gauge',
+   *        hooks: ['some:event'],
+   *        interval: '1m'
    *      }
+   *    }
+   *  }
+   *
+   * Resulting measures: every minute, a new measure will be written
+   * with the gauge values.
+   * The measure document will look like this:
+   *  {
+   *    last: 42,
+   *    min: 12,
+   *    max: 50,
+   *    avg: 37.5,
+   *    count: 6,
+   *    timestamp: 123456789
+   *  }
+   *
+   * @param {KuzzleRequest} request
+   */
+  gauge (request) {
+    const error = this._checkEvent(request, 'gauge')
+      || this._checkParameter(request, 'gauge', 'value', 'a number', value => typeof value === 'number' && isFinite(value), this.eventMapping.gauge[request.input.body.event]);
+
+    if (error) {
+      return Promise.reject(error);
+    }
+
+    const
+      event = request.input.body.event,
+      value = request.input.body.value,
+      origin = this._getOrigin(request);
+    debug(`Received measure for gauge ${event}`);
+
+    for (const probe of this.eventMapping.gauge[event]) {
+      const measure = this.measures[probe];
+
+      if (measure.count === 0) {
+        measure.min = measure.max = measure.avg = value;
+      }
+      else {
+        measure.min = Math.min(measure.min, value);
+        measure.max = Math.max(measure.max, value);
+        measure.avg += (value - measure.avg) / (measure.count + 1);
+      }
+
+      measure.last = value;
+      measure.count++;
+      this._addOrigin(measure, origin);
+
+      if (!this.probes[probe].interval) {
+        this._afterMeasure(this.probes[probe], measure);
+      }
+    }
+
+    return Promise.resolve({
+      acknowledged: true
+    });
+  }
+
+  /**
+   * Cardinality probe
+   *
+   * Watches documents and messages like "watcher" probes, and estimates
+   * the number of distinct values of a field of the matched
+   * documents/messages (e.g. unique users), without storing them.
+   *
+   * Values are added to a HyperLogLog sketch, using a fixed amount of
+   * memory: 2^precision bytes. The standard error of the estimate is
+   * 1.04 / sqrt(2^precision).
+   *
+   * The "field" and "interval" parameters are required.
+   *
+   * The "field" parameter is the JSON path of the field to count the distinct
+   * values of. Documents/messages without a value for this field are ignored.
+   *
+   * The "precision" parameter is an integer between 4 and 16 (default: 14,
+   * meaning a 0.81% standard error using 16KB of memory).
+   *
+   * If the "keepSketch" parameter is set to true, the serialized sketch is
+   * saved along with the estimate, allowing to merge sketches of different
+   * measures afterwards.
+   *
+   * The "interval" configuration must be set with a "duration": a string in human
+   * readable format, using the "ms" conversion library (see https://www.npmjs.com/package/ms)
+   *
+   * Probe configuration sample:
+   *  {
+   *    probes: {
+   *      probe_cardinality_1: {
+   *        type: 'cardinality',
+   *        index: 'index',
+   *        collection: 'collection',
+   *        filter: {},
+   *        field: 'user.id',
+   *        precision: 14,
+   *        keepSketch: true,
+   *        interval: '1h'
+   *      }
+   *    }
+   *  }
+   *
+   * Resulting measures: every hour, a new measure will be written with
+   * the estimated number of distinct values.
+   * The measure document will look like this:
+   *  {
+   *    count: 1234,
+   *    sketch: {
+   *      precision: 14,
+   *      registers: '<base64-encoded registers>'
    *    },
-   *    watcher: {
-   *      filterUniqueId: [associated, probes, names],
-   *      ...
-   *    },
-   *    sampler: {
-   *      filterUniqueId: [associated, probes, objects],
-   *      ...
+   *    timestamp: 123456789
+   *  }
+   *
+   * @param {KuzzleRequest} request - Standardized request made to Kuzzle
+   */
+  cardinality (request) {
+    const error = this._checkPayload(request, 'cardinality');
+
+    if (error) {
+      return Promise.reject(error);
+    }
+
+    const
+      payload = request.input.body.payload,
+      origin = this._getOrigin(request),
+      matchedIds = this.dsl ? this.dsl.test(payload.data.index, payload.data.collection, payload.data.body, payload.data._id) : [];
+
+    for (const filterId of matchedIds) {
+      for (const name of this.eventMapping.cardinality[filterId] || []) {
+        const
+          measure = this.measures[name],
+          value = _.get(payload.data.body, this.probes[name].field);
+        debug(`Received measure for cardinality ${name}`);
+
+        if (value !== undefined && value !== null) {
+          measure.sketch.add(value);
+          measure.count = measure.sketch.count();
+          this._addOrigin(measure, origin);
+        }
+      }
+    }
+
+    return Promise.resolve({
+      acknowledged: true
+    });
+  }
+
+  /**
+   * Top-K probe
+   *
+   * Watches documents and messages like "watcher" probes, and reports the
+   * most frequent values of a field of the matched documents/messages
+   * (e.g. top users, top error codes), without storing them.
+   *
+   * Values are counted using a Space-Saving summary, monitoring at most
+   * "capacity" distinct values: reported counts are estimates, overestimated
+   * by at most their "error" value.
+   *
+   * The "field" and "interval" parameters are required.
+   *
+   * The "field" parameter is the JSON path of the field to count the values
+   * of. Documents/messages without a value for this field are ignored.
+   *
+   * The "size" parameter is the number of reported values (default: 10).
+   *
+   * The "capacity" parameter is the number of monitored values
+   * (default: 10 times "size"). The higher the capacity, the more accurate
+   * the counts.
+   *
+   * The "interval" configuration must be set with a "duration": a string in human
+   * readable format, using the "ms" conversion library (see https://www.npmjs.com/package/ms)
+   *
+   * Probe configuration sample:
+   *  {
+   *    probes: {
+   *      probe_topk_1: {
+   *        type: 'topk',
+   *        index: 'index',
+   *        collection: 'collection',
+   *        filter: {},
+   *        field: 'error.code',
+   *        size: 20,
+   *        capacity: 200,
+   *        interval: '1h'
+   *      }
    *    }
    *  }
    *
-   * @param {Object} probes configuration list
-   * @returns {Object} mapping object
+   * Resulting measures: every hour, a new measure will be written with
+   * the most frequent values, sorted by decreasing count.
+   * The measure document will look like this:
+   *  {
+   *    count: 1234,
+   *    top: [
+   *      {value: 'E42', count: 530, error: 0},
+   *      {value: 'E12', count: 310, error: 4},
+   *      ...
+   *    ],
+   *    timestamp: 123456789
+   *  }
+   *
+   * @param {KuzzleRequest} request - Standardized request made to Kuzzle
    */
-  _buildEventsToProbesMapping(probes) {
-    const mapping = {
-      monitor: {},
-      counter: {
-        increasers: {},
-        decreasers: {}
-      },
-      watcher: {},
-      sampler: {}
-    };
+  topk (request) {
+    const error = this._checkPayload(request, 'topk');
 
-    for (const name of Object.keys(probes)) {
-      switch (probes[name].type) {
-        case 'monitor':
-          for (const hook of probes[name].hooks) {
-            if (!mapping.monitor[hook]) {
-              mapping.monitor[hook] = [];
-            }
+    if (error) {
+      return Promise.reject(error);
+    }
 
-            if (mapping.monitor[hook].indexOf(name) === -1) {
-              mapping.monitor[hook].push(name);
-            }
-          }
-          break;
+    const
+      payload = request.input.body.payload,
+      origin = this._getOrigin(request),
+      matchedIds = this.dsl ? this.dsl.test(payload.data.index, payload.data.collection, payload.data.body, payload.data._id) : [];
 
-        case 'counter':
-          for (const type of ['increasers', 'decreasers']) {
-            if (!probes[name][type]) {
-              throw new Error(`plugin-probe: [probe: ${name}] "${type}" parameter missing"`);
-            }
+    for (const filterId of matchedIds) {
+      for (const name of this.eventMapping.topk[filterId] || []) {
+        const
+          measure = this.measures[name],
+          value = _.get(payload.data.body, this.probes[name].field);
+        debug(`Received measure for topk ${name}`);
 
-            for (const hook of probes[name][type].filter(value => value)) {
-              if (!mapping.counter[type][hook]) {
-                mapping.counter[type][hook] = [];
-              }
+        if (value !== undefined && value !== null) {
+          measure.summary.add(value);
+          measure.count++;
+          this._addOrigin(measure, origin);
+        }
+      }
+    }
 
-              if (mapping.counter[type][hook].indexOf(name) === -1) {
-                mapping.counter[type][hook].push(name);
-              }
-            }
-          }
-          break;
+    return Promise.resolve({
+      acknowledged: true
+    });
+  }
 
-        case 'watcher':
-          if (!mapping.watcher[probes[name].filterId]) {
-            mapping.watcher[probes[name].filterId] = [name];
-          }
-          else {
-            mapping.watcher[probes[name].filterId].push(name);
-          }
-          break;
+  /**
+   * Dispatches a batch of measures to the measure actions, sparing the
+   * listener one request per event
+   *
+   * The request body lists the batch entries, each one holding the
+   * name of the measure action to execute, along with the body expected
+   * by this action:
+   *  {
+   *    entries: [
+   *      {action: 'monitor', event: 'some:event'},
+   *      {action: 'counter', event: 'counterIncreasing:event'},
+   *      {action: 'watcher', payload: {data: {...}}}
+   *    ]
+   *  }
+   *
+   * Entries are dispatched in order, and each one succeeds or fails on
+   * its own: a malformed entry does not reject the whole batch.
+   * The result lists the outcome of each entry, in the same order:
+   *  {
+   *    errors: 1,
+   *    results: [
+   *      {status: 200},
+   *      {status: 400, error: {message: '...'}},
+   *      {status: 200}
+   *    ]
+   *  }
+   *
+   * @param {KuzzleRequest} request
+   * @returns {Promise<Object>}
+   */
+  batch (request) {
+    const entries = request.input.body && request.input.body.entries;
 
-        case 'sampler':
-          if (!mapping.sampler[probes[name].filterId]) {
-            mapping.sampler[probes[name].filterId] = [probes[name]];
-          }
-          else {
-            mapping.sampler[probes[name].filterId].push(probes[name]);
-          }
-          break;
+    if (!Array.isArray(entries)) {
+      return Promise.reject(new this.context.errors.BadRequestError('plugin-probe: invalid "entries" parameter. Expected an array'));
+    }
 
-        default:
-          throw new Error(`The probe type ${probes[name].type} is unknown`);
+    if (entries.length > maxBatchEntries) {
+      return Promise.reject(new this.context.errors.BadRequestError(`plugin-probe: too many batch entries (${entries.length}). Expected at most ${maxBatchEntries} entries`));
+    }
+
+    debug(`Received a batch of ${entries.length} measures`);
+
+    return Bluebird.mapSeries(entries, (entry, i) => Bluebird.try(() => this._dispatchBatchEntry(request, entry, i))
+      .then(() => ({status: 200}))
+      .catch(error => ({status: error.status || 500, error: {message: error.message}})))
+      .then(results => ({
+        errors: results.filter(result => result.status !== 200).length,
+        results
+      }));
+  }
+
+  /**
+   * Creates a new probe without restarting the KDC
+   *
+   * The request body holds the probe definition, using the same format
+   * than the "probes" plugin configuration:
+   *  {
+   *    type: 'monitor',
+   *    hooks: ['some:event'],
+   *    interval: '10m'
+   *  }
+   *
+   * @param {KuzzleRequest} request
+   * @returns {Promise<Object>} created probe definition
+   */
+  createProbe (request) {
+    return Bluebird.try(() => {
+      const name = this._getProbeName(request);
+
+      if (this.probes[name]) {
+        throw new this.context.errors.BadRequestError(`plugin-probe: [probe: ${name}] probe already exists`);
       }
+
+      this._checkProbeName(name);
+
+      return this._saveProbe(name, request.input.body);
+    });
+  }
+
+  /**
+   * Replaces the definition of an existing probe.
+   * The ongoing measure is saved before the new definition applies.
+   *
+   * @param {KuzzleRequest} request
+   * @returns {Promise<Object>} updated probe definition
+   */
+  updateProbe (request) {
+    return Bluebird.try(() => this._saveProbe(this._getExistingProbeName(request), request.input.body));
+  }
+
+  /**
+   * Deletes a probe. The ongoing measure is saved before the probe
+   * is stopped, and already stored measures are kept.
+   *
+   * If the probe definition is stored, it is deleted too. Probes defined
+   * in the plugin configuration are started again on the next restart.
+   *
+   * @param {KuzzleRequest} request
+   * @returns {Promise<Object>}
+   */
+  deleteProbe (request) {
+    return Bluebird.try(() => {
+      const name = this._getExistingProbeName(request);
+
+      return Bluebird.resolve(this.definitions[name].source === 'storage' ? this._deleteDefinition(name) : null)
+        .then(() => this._removeProbe(name));
+    })
+      .then(() => ({acknowledged: true}));
+  }
+
+  /**
+   * Returns a probe definition
+   *
+   * @param {KuzzleRequest} request
+   * @returns {Promise<Object>}
+   */
+  getProbe (request) {
+    return Bluebird.try(() => this._describeProbe(this._getExistingProbeName(request)));
+  }
+
+  /**
+   * Lists the running probes definitions, indexed by probe name
+   *
+   * @returns {Promise<Object>}
+   */
+  listProbes () {
+    const probes = {};
+
+    for (const name of Object.keys(this.probes)) {
+      probes[name] = this._describeProbe(name);
+    }
+
+    return Bluebird.resolve(probes);
+  }
+
+  /**
+   * Searches the stored measures of a probe, sorted by ascending timestamp
+   *
+   * Accepted arguments:
+   *  - name: probe name
+   *  - from, to (optional): time range, as timestamps (in milliseconds
+   *      since Epoch) or date strings. Both boundaries are included
+   *  - offset, size (optional): pagination (default: 0 and 10, 1000 maximum)
+   *
+   * The request body may hold an Elasticsearch query, filtering the measure
+   * documents. Collected documents/messages are stored in the "content"
+   * field of measure documents:
+   *  {
+   *    query: {
+   *      term: {'content.status': 'error'}
+   *    }
+   *  }
+   *
+   * Measures are returned in a normalized shape, whatever the probe type:
+   *  {
+   *    probe: 'probe name',
+   *    type: 'watcher',
+   *    total: 42,
+   *    hits: [
+   *      {
+   *        _id: 'measure unique id',
+   *        timestamp: 123456789,
+   *        values: {count: 3},
+   *        content: null
+   *      }
+   *    ]
+   *  }
+   *
+   * "values" holds the measured values (e.g. monitored events counts), and
+   * "content" the collected document/message, if any.
+   *
+   * @param {KuzzleRequest} request
+   * @returns {Promise<Object>}
+   */
+  searchMeasures (request) {
+    return Bluebird.try(() => {
+      const
+        name = this._getStoredProbeName(request),
+        probe = this.probes[name],
+        args = request.input.args,
+        body = request.input.body || {},
+        range = this._getTimeRange(args),
+        filters = [];
+
+      if (!_.isEmpty(range)) {
+        filters.push({range: {timestamp: range}});
+      }
+
+      if (body.query !== undefined && body.query !== null) {
+        if (typeof body.query !== 'object' || Array.isArray(body.query)) {
+          throw new this.context.errors.BadRequestError('plugin-probe: invalid "query" parameter. Expected an object');
+        }
+
+        filters.push(body.query);
+      }
+
+      return this.context.accessors.execute(this.context.constructors.Request({
+        index: probe.storage.index,
+        collection: name,
+        controller: 'document',
+        action: 'search',
+        body: {
+          query: filters.length > 0 ? {bool: {filter: filters}} : {match_all: {}},
+          sort: [{timestamp: 'asc'}]
+        },
+        from: this._parseIntegerArg(args.offset, 'offset', 0, 0),
+        size: this._parseIntegerArg(args.size, 'size', defaultSearchSize, 1, maxSearchSize)
+      }))
+        .then(response => ({
+          probe: name,
+          type: probe.type,
+          total: response.result.total,
+          hits: response.result.hits.map(hit => this._normalizeMeasure(hit))
+        }));
+    });
+  }
+
+  /**
+   * Aggregates the stored measures of a probe in time buckets
+   * (e.g. events per hour, rolled up from 10 minutes measures)
+   *
+   * Accepted arguments:
+   *  - name: probe name
+   *  - bucket: buckets duration, as a number of milliseconds or as a string
+   *      in human readable format, using the "ms" conversion library
+   *      (see https://www.npmjs.com/package/ms)
+   *  - from, to (optional): time range, as timestamps (in milliseconds
+   *      since Epoch) or date strings. Both boundaries are included.
+   *      If set, empty buckets are returned for the whole time range
+   *
+   * Aggregated values depend on the probe type:
+   *  - monitor: sum of each event count
+   *  - counter: last and maximum counter values
+   *  - watcher, sampler: number of matched documents/messages. For probes
+   *      collecting documents/messages, this is the number of collected
+   *      contents
+   *
+   * Result example, for a monitor probe:
+   *  {
+   *    probe: 'probe name',
+   *    type: 'monitor',
+   *    bucket: 3600000,
+   *    buckets: [
+   *      {
+   *        from: 1483228800000,
+   *        to: 1483232400000,
+   *        measures: 6,
+   *        values: {'some:event': 42}
+   *      }
+   *    ]
+   *  }
+   *
+   * "measures" is the number of measure documents in each bucket.
+   *
+   * @param {KuzzleRequest} request
+   * @returns {Promise<Object>}
+   */
+  aggregateMeasures (request) {
+    return Bluebird.try(() => {
+      const
+        name = this._getStoredProbeName(request),
+        probe = this.probes[name],
+        args = request.input.args,
+        range = this._getTimeRange(args),
+        histogram = {field: 'timestamp', min_doc_count: 0};
+      let bucket = args.bucket;
+
+      if (aggregableProbeTypes.indexOf(probe.type) === -1) {
+        throw new this.context.errors.BadRequestError(`plugin-probe: [probe: ${name}] ${probe.type} probes measures cannot be aggregated`);
+      }
+
+      // each origin has its own cumulative counter: the last and max values
+      // of a bucket would be those of a single origin
+      if (probe.type === 'counter' && probe.splitBy) {
+        throw new this.context.errors.BadRequestError(`plugin-probe: [probe: ${name}] measures of counters split per origin cannot be aggregated`);
+      }
+
+      if (typeof bucket === 'string' && isNaN(Number(bucket))) {
+        bucket = ms(bucket);
+      }
+
+      bucket = Number(bucket);
+
+      if (args.bucket === undefined || args.bucket === null || args.bucket === '' || !Number.isInteger(bucket) || bucket <= 0) {
+        throw new this.context.errors.BadRequestError('plugin-probe: invalid "bucket" parameter. Expected a duration');
+      }
+
+      histogram.interval = `${bucket}ms`;
+
+      return this._boundTimeRange(probe, range)
+        .then(bounds => {
+          if (!bounds) {
+            return {probe: name, type: probe.type, bucket, buckets: []};
+          }
+
+          if ((bounds.lte - bounds.gte) / bucket > maxAggregationBuckets) {
+            throw new this.context.errors.BadRequestError(`plugin-probe: too many buckets requested (maximum: ${maxAggregationBuckets})`);
+          }
+
+          histogram.extended_bounds = {min: bounds.gte, max: bounds.lte};
+
+          return this.context.accessors.execute(this.context.constructors.Request({
+            index: probe.storage.index,
+            collection: name,
+            controller: 'document',
+            action: 'search',
+            body: {
+              query: _.isEmpty(range) ? {match_all: {}} : {range: {timestamp: range}},
+              aggregations: {
+                buckets: {
+                  date_histogram: histogram,
+                  aggregations: this._getBucketAggregations(probe)
+                }
+              }
+            },
+            size: 0
+          }))
+            .then(response => ({
+              probe: name,
+              type: probe.type,
+              bucket,
+              buckets: response.result.aggregations.buckets.buckets.map(item => ({
+                from: item.key,
+                to: item.key + bucket,
+                measures: item.doc_count,
+                values: this._getBucketValues(probe, item)
+              }))
+            }));
+        });
+    });
+  }
+
+  /**
+   * Completes a time range of aggregated measures missing a boundary with
+   * the timestamp of the first and/or last measure of the probe, in order
+   * to bound the number of time buckets
+   *
+   * @param {Object} probe
+   * @param {{gte: number, lte: number}} range - time range, each boundary being optional
+   * @returns {Promise<Object|null>} complete time range, or null if no measure
+   *                                 was stored in the time range
+   */
+  _boundTimeRange(probe, range) {
+    if (range.gte !== undefined && range.lte !== undefined) {
+      return Bluebird.resolve(range);
+    }
+
+    return Bluebird.resolve(this.context.accessors.execute(this.context.constructors.Request({
+      index: probe.storage.index,
+      collection: probe.name,
+      controller: 'document',
+      action: 'search',
+      body: {
+        query: _.isEmpty(range) ? {match_all: {}} : {range: {timestamp: range}},
+        aggregations: {
+          first: {min: {field: 'timestamp'}},
+          last: {max: {field: 'timestamp'}}
+        }
+      },
+      size: 0
+    })))
+      .then(response => {
+        const {first, last} = response.result.aggregations;
+
+        if (first.value === null || last.value === null) {
+          return null;
+        }
+
+        return {
+          gte: range.gte !== undefined ? range.gte : first.value,
+          lte: range.lte !== undefined ? range.lte : last.value
+        };
+      });
+  }
+
+  /**
+   * Renders the values of monitor, counter, gauge and count-only watcher
+   * probes in the Prometheus text exposition format
+   *
+   * Probes values are exposed by the following gauges, with a "probe"
+   * label holding the probe name, so that any probe name can be exposed
+   * without clashing with the metrics of another probe:
+   *  - kdc_probe: the ongoing measure values
+   *  - kdc_probe_last: the values of the last measure
+   *  - kdc_probe_last_timestamp_seconds: the last measure time
+   *
+   * Monitored events are exposed with a "hook" label, and gauge probes
+   * statistics with a "stat" label:
+   *  kdc_probe{probe="probe_monitor_1",hook="some:event"} 12
+   *  kdc_probe{probe="probe_gauge_1",stat="max"} 42
+   *
+   * Last measures metrics are exposed once a measure has been
+   * saved since the probe started.
+   *
+   * If the measures spool is enabled, the number of spooled measures
+   * (kdc_spool_measures) and of measures dropped because the spool was
+   * full (kdc_spool_dropped_measures_total) are exposed as well.
+   *
+   * @param {KuzzleRequest} request
+   * @returns {Promise<string>}
+   */
+  exportMetrics (request) {
+    const
+      lines = [],
+      ongoing = [],
+      lastValues = [],
+      lastTimestamps = [],
+      withProbe = (name, samples) => samples.map(sample => ({labels: Object.assign({probe: name}, sample.labels), value: sample.value}));
+
+    for (const name of Object.keys(this.probes).sort()) {
+      const
+        probe = this.probes[name],
+        last = this.lastMeasures[name];
+
+      if (!this._isExposed(probe)) {
+        continue;
+      }
+
+      ongoing.push(...withProbe(name, this._getMetricSamples(probe, this.measures[name])));
+
+      if (last) {
+        lastValues.push(...withProbe(name, this._getMetricSamples(probe, last)));
+        lastTimestamps.push({labels: {probe: name}, value: last.timestamp / 1000});
+      }
+    }
+
+    lines.push(
+      ...this._formatMetric(`${metricsPrefix}probe`, 'ongoing measures of the probes', ongoing),
+      ...this._formatMetric(`${metricsPrefix}probe_last`, 'last measures of the probes', lastValues),
+      ...this._formatMetric(`${metricsPrefix}probe_last_timestamp_seconds`, 'last measures times of the probes', lastTimestamps)
+    );
+
+    if (this.spool) {
+      lines.push(
+        ...this._formatMetric('kdc_spool_measures', 'measures waiting in the spool to be saved', [{labels: {}, value: this.spool.depth}]),
+        ...this._formatMetric('kdc_spool_dropped_measures_total', 'measures dropped because the spool was full', [{labels: {}, value: this.spool.dropped}], 'counter')
+      );
+    }
+
+    lines.push(...this._formatMetric(
+      'kdc_rejected_inputs_total',
+      'measure requests rejected because of an invalid body',
+      Object.keys(this.rejectedInputs.actions).sort().map(action => ({labels: {action}, value: this.rejectedInputs.actions[action]})),
+      'counter'));
+
+    request.setResult(null, {
+      raw: true,
+      headers: {'Content-Type': 'text/plain; version=0.0.4; charset=utf-8'}
+    });
+
+    return Bluebird.resolve(lines.length > 0 ? `${lines.join('\n')}\n` : '');
+  }
+
+  /**
+   * Returns the measures spool status:
+   *  {
+   *    enabled: true,
+   *    depth: 12,
+   *    dropped: 0,
+   *    probes: {
+   *      probe_monitor_1: 12
+   *    }
+   *  }
+   *
+   * "depth" is the number of spooled measures, detailed per probe in
+   * "probes", and "dropped" the number of measures dropped since the KDC
+   * started because the spool was full.
+   *
+   * @returns {Promise<Object>}
+   */
+  getSpool () {
+    const status = {enabled: this.spool !== null, depth: 0, dropped: 0, probes: {}};
+
+    if (this.spool) {
+      status.depth = this.spool.depth;
+      status.dropped = this.spool.dropped;
+      status.probes = _.countBy(this.spool.entries, 'probe');
+    }
+
+    return Bluebird.resolve(status);
+  }
+
+  /**
+   * Returns the number of measure requests rejected since the KDC started
+   * because of an invalid body (e.g. a missing parameter, or an event no
+   * probe listens to), per measure action, and per probe when the probes
+   * targeted by the request are known:
+   *  {
+   *    total: 4,
+   *    actions: {
+   *      monitor: 3,
+   *      gauge: 1
+   *    },
+   *    probes: {
+   *      probe_gauge_1: 1
+   *    }
+   *  }
+   *
+   * @returns {Promise<Object>}
+   */
+  getRejections () {
+    return Bluebird.resolve({
+      total: _.sum(_.values(this.rejectedInputs.actions)),
+      actions: Object.assign({}, this.rejectedInputs.actions),
+      probes: Object.assign({}, this.rejectedInputs.probes)
+    });
+  }
+
+  /**
+   * Returns the events received by the measure controller while no probe
+   * listens to them, recorded since the KDC started if the discovery mode
+   * is enabled:
+   *  {
+   *    enabled: true,
+   *    dropped: 0,
+   *    events: [
+   *      {
+   *        action: 'monitor',
+   *        event: 'some:event',
+   *        count: 12,
+   *        firstSeen: 123456789,
+   *        lastSeen: 123459999
+   *      }
+   *    ]
+   *  }
+   *
+   * Events are sorted by decreasing count. Events are forgotten once a
+   * probe listens to them, and "dropped" is the number of events not
+   * recorded because too many distinct events were already recorded.
+   *
+   * @returns {Promise<Object>}
+   */
+  getUnknownEvents () {
+    const events = [];
+
+    for (const action of Object.keys(this.unknownEvents)) {
+      for (const event of Object.keys(this.unknownEvents[action])) {
+        events.push(Object.assign({action, event}, this.unknownEvents[action][event]));
+      }
+    }
+
+    return Bluebird.resolve({
+      enabled: this.discovery,
+      dropped: this.droppedUnknownEvents,
+      events: _.orderBy(events, ['count', 'event', 'action'], ['desc', 'asc', 'asc'])
+    });
+  }
+
+  /**
+   * Tells whether a probe values are exposed in the Prometheus format
+   *
+   * @param {Object} probe
+   * @returns {boolean}
+   */
+  _isExposed(probe) {
+    return exposedProbeTypes.indexOf(probe.type) > -1 && !probe.collects;
+  }
+
+  /**
+   * Returns the Prometheus samples of a measure, as a list of values and
+   * their labels. Unknown values (e.g. gauges without any received value)
+   * are not exposed.
+   *
+   * @param {Object} probe
+   * @param {Object} measure
+   * @returns {Array<{labels: Object, value: number}>}
+   */
+  _getMetricSamples(probe, measure) {
+    if (probe.type === 'monitor') {
+      return probe.hooks.map(hook => ({labels: {hook}, value: measure[hook]}));
+    }
+
+    if (probe.type === 'gauge') {
+      return ['last', 'min', 'max', 'avg']
+        .filter(stat => measure[stat] !== null)
+        .map(stat => ({labels: {stat}, value: measure[stat]}));
+    }
+
+    return [{labels: {}, value: measure.count}];
+  }
+
+  /**
+   * Formats a Prometheus metric
+   *
+   * @param {string} metric - metric name
+   * @param {string} help - metric description
+   * @param {Array<{labels: Object, value: number}>} samples
+   * @param {string} [type] - metric type
+   * @returns {Array<string>} exposition lines
+   */
+  _formatMetric(metric, help, samples, type = 'gauge') {
+    if (samples.length === 0) {
+      return [];
+    }
+
+    const lines = [
+      `# HELP ${metric} ${help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${metric} ${type}`
+    ];
+
+    for (const sample of samples) {
+      const labels = Object.keys(sample.labels)
+        .map(label => `${label}="${String(sample.labels[label]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+
+      lines.push(`${metric}${labels.length > 0 ? `{${labels.join(',')}}` : ''} ${sample.value}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Returns the Elasticsearch aggregations computing the values of a
+   * time bucket of measures
+   *
+   * Rolled up measures hold already aggregated values, and the number of
+   * measures they aggregate.
+   *
+   * @param {Object} probe
+   * @param {boolean} [rolledUp] - true if the aggregated measures are rollups
+   * @returns {Object}
+   */
+  _getBucketAggregations(probe, rolledUp = false) {
+    const aggregations = {};
+
+    switch (probe.type) {
+      case 'monitor':
+        for (const hook of probe.hooks) {
+          aggregations[hook] = {sum: {field: hook}};
+        }
+        break;
+      case 'counter':
+        aggregations.last = {
+          top_hits: {
+            size: 1,
+            sort: [{timestamp: 'desc'}],
+            _source: [rolledUp ? 'last' : 'count']
+          }
+        };
+        aggregations.max = {max: {field: rolledUp ? 'max' : 'count'}};
+        break;
+      default:
+        // probes collecting contents store 1 document per content
+        if (rolledUp || !probe.collects) {
+          aggregations.count = {sum: {field: 'count'}};
+        }
+    }
+
+    if (rolledUp) {
+      aggregations.measures = {sum: {field: 'measures'}};
+    }
+
+    return aggregations;
+  }
+
+  /**
+   * Extracts the aggregated values of a time bucket of measures
+   *
+   * @param {Object} probe
+   * @param {Object} bucket - date histogram bucket
+   * @param {boolean} [rolledUp] - true if the aggregated measures are rollups
+   * @returns {Object}
+   */
+  _getBucketValues(probe, bucket, rolledUp = false) {
+    const values = {};
+
+    switch (probe.type) {
+      case 'monitor':
+        for (const hook of probe.hooks) {
+          values[hook] = bucket[hook].value;
+        }
+        break;
+      case 'counter':
+        values.last = bucket.last.hits.hits.length > 0 ? bucket.last.hits.hits[0]._source[rolledUp ? 'last' : 'count'] : null;
+        values.max = bucket.max.value;
+        break;
+      default:
+        values.count = probe.collects && !rolledUp ? bucket.doc_count : bucket.count.value;
+    }
+
+    return values;
+  }
+
+  /**
+   * Starts the background job rolling up old measures of probes
+   * configured with rollup tiers
+   */
+  _startRollups() {
+    if (!this.rollupTimer) {
+      this.rollupTimer = longTimeout.setInterval(() => this._runRollups(), this.rollupInterval);
+    }
+  }
+
+  /**
+   * Rolls up the old measures of all probes configured with rollup tiers,
+   * one probe at a time. Skipped if the previous run is not over yet.
+   *
+   * @returns {Promise}
+   */
+  _runRollups() {
+    if (this.rollupRunning) {
+      return Bluebird.resolve();
+    }
+
+    const
+      now = Date.now(),
+      names = Object.keys(this.probes).filter(name => this.probes[name].rollups);
+
+    this.rollupRunning = true;
+
+    return Bluebird.each(names, name => this._rollupProbe(this.probes[name], now)
+      .catch(error => {
+        this.context.log.error(`plugin-probe: [probe: ${name}] measures rollup failed. Reason: ${error.message}`);
+      }))
+      .finally(() => {
+        this.rollupRunning = false;
+      });
+  }
+
+  /**
+   * Rolls up a probe measures older than the raw measures retention into
+   * the first rollup tier, then rollups older than each tier retention
+   * into the next tier, and deletes rollups older than the last tier
+   * retention, if any
+   *
+   * Only complete buckets are rolled up: each tier is processed up to
+   * the start of the bucket containing its retention limit.
+   *
+   * @param {Object} probe
+   * @param {number} now - timestamp of the rollup run
+   * @returns {Promise}
+   */
+  _rollupProbe(probe, now) {
+    const
+      tiers = probe.rollups.tiers,
+      last = tiers[tiers.length - 1];
+
+    return Bluebird.each(tiers, (tier, i) => {
+      const
+        source = i === 0 ? {collection: probe.name, keep: probe.rollups.raw} : tiers[i - 1],
+        cutoff = Math.floor((now - source.keep) / tier.bucket) * tier.bucket;
+
+      return this._rollupMeasures(probe, source.collection, i > 0, tier, cutoff);
+    })
+      .then(() => {
+        if (last.keep) {
+          return this._deleteMeasures(probe, last.collection, now - last.keep);
+        }
+      });
+  }
+
+  /**
+   * Aggregates measures older than the provided timestamp into rollup
+   * documents, one per tier bucket, and deletes the aggregated measures
+   *
+   * Rollup documents identifiers are their bucket start timestamp:
+   * measures stored after their bucket was rolled up (e.g. replayed from
+   * the measures spool) are merged into the existing rollup document.
+   * If the aggregated measures cannot be deleted, rollup documents are
+   * restored to their previous values, for the next run not to count the
+   * same measures twice.
+   *
+   * @param {Object} probe
+   * @param {string} collection - aggregated measures collection
+   * @param {boolean} rolledUp - true if the aggregated measures are rollups
+   * @param {Object} tier - rollup tier configuration
+   * @param {number} cutoff - timestamp before which measures are rolled up
+   * @returns {Promise}
+   */
+  _rollupMeasures(probe, collection, rolledUp, tier, cutoff) {
+    const query = {range: {timestamp: {lt: cutoff}}};
+
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: probe.storage.index,
+      collection,
+      controller: 'document',
+      action: 'search',
+      body: {
+        query,
+        aggregations: {
+          buckets: {
+            date_histogram: {
+              field: 'timestamp',
+              interval: `${tier.bucket}ms`,
+              min_doc_count: 1
+            },
+            aggregations: this._getBucketAggregations(probe, rolledUp)
+          }
+        }
+      },
+      size: 0
+    }))
+      .then(response => {
+        const buckets = response.result.aggregations.buckets.buckets;
+
+        if (buckets.length === 0) {
+          return;
+        }
+
+        const rollups = buckets.map(bucket => Object.assign({
+          timestamp: bucket.key,
+          bucket: tier.bucket,
+          measures: rolledUp ? bucket.measures.value : bucket.doc_count
+        }, this._getBucketValues(probe, bucket, rolledUp)));
+
+        return this._createRollupCollection(probe, tier)
+          .then(() => this._getRollups(probe, tier, rollups))
+          .then(existing => this._storeRollups(probe, tier, rollups.map(rollup => existing[rollup.timestamp]
+            ? this._mergeRollups(probe, existing[rollup.timestamp], rollup)
+            : rollup))
+            .then(() => this._deleteMeasures(probe, collection, cutoff)
+              .catch(error => this._revertRollups(probe, tier, rollups, existing)
+                .catch(revertError => {
+                  this.context.log.error(`plugin-probe: [probe: ${probe.name}] unable to restore the rollups of ${tier.collection}: their measures may be rolled up twice. Reason: ${revertError.message}`);
+                })
+                .then(() => {
+                  throw error;
+                }))))
+          .then(() => debug(`Rolled up ${buckets.length} buckets of probe ${probe.name} into ${tier.collection}`));
+      });
+  }
+
+  /**
+   * Fetches the existing rollup documents of a tier matching the
+   * provided rollups buckets
+   *
+   * @param {Object} probe
+   * @param {Object} tier - rollup tier configuration
+   * @param {Array<Object>} rollups
+   * @returns {Promise<Object>} existing rollup documents, indexed by bucket start timestamp
+   */
+  _getRollups(probe, tier, rollups) {
+    return Bluebird.resolve(this.context.accessors.execute(this.context.constructors.Request({
+      index: probe.storage.index,
+      collection: tier.collection,
+      controller: 'document',
+      action: 'mGet',
+      body: {
+        ids: rollups.map(rollup => String(rollup.timestamp))
+      }
+    })))
+      .then(response => {
+        const existing = {};
+
+        for (const hit of response.result.hits) {
+          if (hit.found !== false && hit._source) {
+            existing[hit._id] = hit._source;
+          }
+        }
+
+        return existing;
+      });
+  }
+
+  /**
+   * Writes rollup documents, replacing the existing ones
+   *
+   * @param {Object} probe
+   * @param {Object} tier - rollup tier configuration
+   * @param {Array<Object>} rollups
+   * @returns {Promise}
+   */
+  _storeRollups(probe, tier, rollups) {
+    const bulkData = [];
+
+    for (const rollup of rollups) {
+      bulkData.push({
+        index: {
+          _index: probe.storage.index,
+          _type: tier.collection,
+          _id: String(rollup.timestamp)
+        }
+      });
+
+      bulkData.push(rollup);
+    }
+
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: probe.storage.index,
+      collection: tier.collection,
+      controller: 'bulk',
+      action: 'import',
+      body: {bulkData}
+    }));
+  }
+
+  /**
+   * Merges a rollup into the existing rollup document of the same bucket
+   *
+   * Counter probes keep the last counter value of the existing rollup,
+   * the merged measures being older ones stored late.
+   *
+   * @param {Object} probe
+   * @param {Object} existing - existing rollup document
+   * @param {Object} rollup
+   * @returns {Object} merged rollup
+   */
+  _mergeRollups(probe, existing, rollup) {
+    const merged = Object.assign({}, rollup, {measures: (existing.measures || 0) + rollup.measures});
+
+    switch (probe.type) {
+      case 'monitor':
+        for (const hook of probe.hooks) {
+          merged[hook] = (existing[hook] || 0) + (rollup[hook] || 0);
+        }
+        break;
+      case 'counter':
+        if (typeof existing.last === 'number') {
+          merged.last = existing.last;
+        }
+
+        if (typeof existing.max === 'number' && (typeof rollup.max !== 'number' || existing.max > rollup.max)) {
+          merged.max = existing.max;
+        }
+        break;
+      default:
+        merged.count = (existing.count || 0) + (rollup.count || 0);
+    }
+
+    return merged;
+  }
+
+  /**
+   * Restores rollup documents to their values before a rollup run:
+   * existing documents are replaced by their previous version, and
+   * new ones are deleted
+   *
+   * @param {Object} probe
+   * @param {Object} tier - rollup tier configuration
+   * @param {Array<Object>} rollups - rollups written by the run
+   * @param {Object} existing - previous rollup documents, indexed by bucket start timestamp
+   * @returns {Promise}
+   */
+  _revertRollups(probe, tier, rollups, existing) {
+    const
+      previous = rollups.filter(rollup => existing[rollup.timestamp]).map(rollup => existing[rollup.timestamp]),
+      created = rollups.filter(rollup => !existing[rollup.timestamp]).map(rollup => String(rollup.timestamp));
+
+    return Bluebird.all([
+      previous.length > 0 ? this._storeRollups(probe, tier, previous) : null,
+      created.length > 0 ? this.context.accessors.execute(this.context.constructors.Request({
+        index: probe.storage.index,
+        collection: tier.collection,
+        controller: 'document',
+        action: 'mDelete',
+        body: {ids: created}
+      })) : null
+    ]);
+  }
+
+  /**
+   * Loads the measures spooled before the KDC restarted
+   *
+   * @returns {Promise}
+   */
+  _loadSpool() {
+    return this.spool.load()
+      .catch(error => {
+        this.context.log.error(`plugin-probe: unable to load the measures spool. Reason: ${error.message}`);
+      });
+  }
+
+  /**
+   * Starts the background job deleting measures older than their
+   * probe retention
+   */
+  _startPurge() {
+    if (!this.purgeTimer) {
+      this.purgeTimer = longTimeout.setInterval(() => this._runPurge(), this.purgeInterval);
+    }
+  }
+
+  /**
+   * Deletes the measures older than their probe retention, one probe at
+   * a time. Skipped if the previous run is not over yet.
+   *
+   * Each probe purge is logged, and triggers a "purgedMeasures" event.
+   *
+   * @returns {Promise}
+   */
+  _runPurge() {
+    if (this.purgeRunning) {
+      return Bluebird.resolve();
+    }
+
+    const
+      now = Date.now(),
+      names = Object.keys(this.probes).filter(name => this.probes[name].retention);
+
+    this.purgeRunning = true;
+
+    return Bluebird.each(names, name => {
+      const before = now - this.probes[name].retention;
+
+      return this._deleteMeasures(this.probes[name], name, before)
+        .then(response => {
+          const deleted = response.result.ids.length;
+
+          this.context.log.info(`plugin-probe: [probe: ${name}] purged ${deleted} measures older than ${new Date(before).toISOString()}`);
+          this.context.accessors.trigger('purgedMeasures', {
+            probeName: name,
+            before,
+            deleted
+          });
+        })
+        .catch(error => {
+          this.context.log.error(`plugin-probe: [probe: ${name}] measures purge failed. Reason: ${error.message}`);
+        });
+    })
+      .finally(() => {
+        this.purgeRunning = false;
+      });
+  }
+
+  /**
+   * Deletes the measures of a collection older than the provided timestamp
+   *
+   * @param {Object} probe - probe owning the collection
+   * @param {string} collection
+   * @param {number} before - timestamp
+   * @returns {Promise}
+   */
+  _deleteMeasures(probe, collection, before) {
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: probe.storage.index,
+      collection,
+      controller: 'document',
+      action: 'deleteByQuery',
+      body: {
+        query: {range: {timestamp: {lt: before}}}
+      }
+    }));
+  }
+
+  /**
+   * Creates a rollup tier collection, with its fields mapping,
+   * unless already done since the KDC started
+   *
+   * @param {Object} probe
+   * @param {Object} tier - rollup tier configuration
+   * @returns {Promise}
+   */
+  _createRollupCollection(probe, tier) {
+    if (this.rollupCollections[tier.collection]) {
+      return Bluebird.resolve();
+    }
+
+    const
+      countType = {type: 'integer'},
+      properties = {
+        timestamp: {type: 'date', format: 'epoch_millis'},
+        bucket: {type: 'long'},
+        measures: countType
+      };
+
+    switch (probe.type) {
+      case 'monitor':
+        for (const hook of probe.hooks) {
+          properties[hook] = countType;
+        }
+        break;
+      case 'counter':
+        properties.last = countType;
+        properties.max = countType;
+        break;
+      default:
+        properties.count = countType;
+    }
+
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: probe.storage.index,
+      collection: tier.collection,
+      controller: 'collection',
+      action: 'create'
+    }))
+      .then(() => this.context.accessors.execute(this.context.constructors.Request({
+        index: probe.storage.index,
+        collection: tier.collection,
+        controller: 'collection',
+        action: 'updateMapping',
+        body: {properties}
+      })))
+      .then(() => {
+        this.rollupCollections[tier.collection] = true;
+      });
+  }
+
+  /**
+   * Starts the probes, making save their measures according to their "interval" interval
+   */
+  startProbes() {
+    return this._createMeasuresIndex(this.index)
+      .then(() => this._listCollections(this.index))
+      .then(collections => this._loadStoredProbes(collections)
+        .then(() => this._listMeasuresCollections(collections))
+        .then(measuresCollections => this._updateOriginMappings(measuresCollections)
+          .then(() => this._restoreCounters(measuresCollections))
+          .then(() => this._loadAlertStates(collections))
+          .then(() => Object.keys(this.probes).filter(name => {
+            const storage = this.probes[name].storage;
+
+            return storage.type === 'kuzzle' && measuresCollections[storage.index].indexOf(name) === -1;
+          }))))
+      .then(missingCollections => {
+        this.context.log.info('██████████ KUZZLE PROBES ██████████');
+        for (const name of Object.keys(this.probes)) {
+          this.context.log.info(`██ Starting probe: ${name}`);
+
+          this._startProbe(this.probes[name], missingCollections)
+            .catch(error => {
+              this.context.log.error(`An error occured during creation of collection "${name}":`);
+              this.context.log.error(error);
+            });
+        }
+        this.context.log.info('███████████████████████████████████');
+
+        if (this.spool) {
+          return this._loadSpool();
+        }
+      });
+  }
+
+  /**
+   * Prepares the probe storage (e.g. creates its collection if needed),
+   * and starts saving its measures at the configured interval
+   *
+   * @param {Object} probe
+   * @param {string[]} missingCollections - names of the probes which
+   *                                        collection does not exist
+   * @returns {Promise}
+   */
+  _startProbe(probe, missingCollections) {
+    const storage = this.storages[probe.name];
+    let promise;
+
+    if (probe.storage.type === 'kuzzle') {
+      promise = this._createCollection(probe, missingCollections);
+    }
+    else {
+      promise = Bluebird.try(() => storage && typeof storage.init === 'function' ? storage.init(probe.name) : null);
+    }
+
+    return promise
+      .then(() => {
+        // rates of the first measure are computed from the probe start
+        if (probe.type === 'counter' && probe.rate) {
+          this._setRateReference(this.measures[probe.name]);
+        }
+
+        if (probe.rollups) {
+          this._startRollups();
+        }
+
+        if (probe.retention) {
+          this._startPurge();
+        }
+
+        if (probe.interval) {
+          this.timers[probe.name] = longTimeout.setInterval(
+            () => this._afterMeasure(this.probes[probe.name], this.measures[probe.name]),
+            probe.interval
+          );
+        }
+      });
+  }
+
+  /**
+   * Stops saving a probe measures at regular interval
+   *
+   * @param {string} name - probe name
+   */
+  _stopProbe(name) {
+    if (this.timers[name]) {
+      longTimeout.clearInterval(this.timers[name]);
+      delete this.timers[name];
+    }
+  }
+
+  /**
+   * Validates a probe definition, stores it and starts the probe,
+   * replacing the existing probe with the same name, if any
+   *
+   * If the probe cannot be stored or started, the previous probe and its
+   * definition are restored (or the new probe is removed), and the error
+   * is forwarded.
+   *
+   * @param {string} name - probe name
+   * @param {Object} definition - raw probe configuration
+   * @returns {Promise<Object>} probe description
+   */
+  _saveProbe(name, definition) {
+    const
+      probe = this._validateProbe(name, definition),
+      previous = this.probes[name],
+      previousDefinition = this.definitions[name];
+    let stored = false;
+
+    return Bluebird.resolve(probe.storage.type === 'kuzzle' && probe.storage.index !== this.index ? this._createMeasuresIndex(probe.storage.index) : null)
+      // the probe filter is registered first: nothing changes if it is invalid
+      .then(() => this._setProbe(probe, 'storage', definition))
+      .then(() => this._storeDefinition(name, definition)
+        .then(() => {
+          stored = true;
+
+          // an updated probe may need new fields in its collection mapping
+          return this._startProbe(probe, [name]);
+        })
+        .catch(error => this._restoreProbe(name, previous, previousDefinition, stored)
+          .then(() => {
+            throw error;
+          })))
+      .then(() => this._describeProbe(name));
+  }
+
+  /**
+   * Reverts a probe creation or update which failed once the new probe
+   * was registered: the previous probe is started again, or the new probe
+   * is removed if there was none, and the stored definition is reverted.
+   *
+   * Revert failures are logged.
+   *
+   * @param {string} name - probe name
+   * @param {Object} [previous] - probe configuration before the update
+   * @param {Object} [previousDefinition] - definition before the update
+   * @param {boolean} stored - true if the new definition was stored
+   * @returns {Promise}
+   */
+  _restoreProbe(name, previous, previousDefinition, stored) {
+    this._stopProbe(name);
+
+    return Bluebird.resolve(previous
+      ? this._setProbe(previous, previousDefinition.source, previousDefinition.definition).then(() => this._startProbe(previous, []))
+      : this._removeProbe(name))
+      .then(() => {
+        if (!stored) {
+          return null;
+        }
+
+        return previousDefinition && previousDefinition.source === 'storage'
+          ? this._storeDefinition(name, previousDefinition.definition)
+          : this._deleteDefinition(name);
+      })
+      .catch(error => {
+        this.context.log.error(`plugin-probe: [probe: ${name}] unable to revert the failed probe update. Reason: ${error.message}`);
+      });
+  }
+
+  /**
+   * Checks a raw probe definition, using the same rules than the
+   * plugin configuration, and returns the configured probe
+   *
+   * Storages reaching the file system ("file" and "custom" ones) are
+   * rejected: they can only be set in the plugin configuration.
+   *
+   * @param {string} name - probe name
+   * @param {Object} definition - raw probe configuration
+   * @returns {Object} configured probe
+   * @throws {BadRequestError} If the definition is invalid
+   */
+  _validateProbe(name, definition) {
+    let probe;
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new this.context.errors.BadRequestError(`plugin-probe: [probe: ${name}] missing probe definition`);
+    }
+
+    const storageType = definition.storage && typeof definition.storage === 'object' ? definition.storage.type : definition.storage;
+
+    if (configOnlyStorageTypes.indexOf(storageType) > -1) {
+      throw new this.context.errors.BadRequestError(`plugin-probe: [probe: ${name}] "${storageType}" storages can only be set in the plugin configuration`);
+    }
+
+    try {
+      probe = this._configureProbes({[name]: definition})[name];
+      this._buildEventsToProbesMapping({[name]: probe});
+      this._initializeMeasures({[name]: probe});
+    }
+    catch (error) {
+      throw new this.context.errors.BadRequestError(error.message);
+    }
+
+    return probe;
+  }
+
+  /**
+   * Registers a configured probe, replacing the existing probe with the
+   * same name, if any. The new probe is not started.
+   * Nothing changes if the probe filter cannot be registered.
+   *
+   * @param {Object} probe - configured probe
+   * @param {string} source - "config" or "storage"
+   * @param {Object} definition - raw probe configuration
+   * @returns {Promise}
+   */
+  _setProbe(probe, source, definition) {
+    if (!this.dsl) {
+      this.dsl = new this.context.constructors.Dsl();
+    }
+
+    return this._registerFilter(this.dsl, probe)
+      .catch(error => {
+        throw new this.context.errors.BadRequestError(`plugin-probe: [probe: ${probe.name}] invalid filter. Reason: ${error.message}`);
+      })
+      .then(() => this._flushProbe(probe.name))
+      .then(() => {
+        const
+          previous = this.probes[probe.name],
+          previousMeasure = this.measures[probe.name];
+
+        this.probes[probe.name] = probe;
+        this.definitions[probe.name] = {source, definition: _.cloneDeep(definition)};
+        this.eventMapping = this._buildEventsToProbesMapping(this.probes);
+        this._forgetMappedEvents();
+        this.measures[probe.name] = this._initializeMeasures({[probe.name]: probe})[probe.name];
+        this._resumeCounter(previous, previousMeasure, probe);
+        this.notifiers[probe.name] = this._createNotifiers(probe);
+        this._closeSinks(probe.name);
+        this.sinks[probe.name] = this._createSinks(probe);
+        this.storages[probe.name] = this._createStorage(probe);
+        delete this.lastMeasures[probe.name];
+        delete this.rejectedInputs.probes[probe.name];
+
+        // keeps the states of alert rules still configured
+        this.alertStates[probe.name] = _.pick(this.alertStates[probe.name], (probe.alerts || []).map(rule => rule.name));
+
+        return this._releaseFilter(previous);
+      });
+  }
+
+  /**
+   * Resumes an updated counter probe from its value before the update,
+   * unless it is configured to be reset on start
+   *
+   * @param {Object} [previous] - probe configuration before the update
+   * @param {Object} [previousMeasure] - probe measure before the update
+   * @param {Object} probe - updated probe configuration
+   */
+  _resumeCounter(previous, previousMeasure, probe) {
+    if (!previous || previous.type !== 'counter' || probe.type !== 'counter' || probe.resetOnStart) {
+      return;
+    }
+
+    const measure = this.measures[probe.name];
+
+    measure.count = previousMeasure.count;
+
+    if (previous.splitBy && probe.splitBy) {
+      for (const [origin, originMeasure] of previousMeasure.split) {
+        measure.split.set(origin, {count: originMeasure.count});
+      }
+    }
+
+    if (probe.rate) {
+      this._setRateReference(measure);
+    }
+  }
+
+  /**
+   * Saves the ongoing measure of a probe, then stops and removes it
+   *
+   * @param {string} name - probe name
+   * @returns {Promise}
+   */
+  _removeProbe(name) {
+    const probe = this.probes[name];
+
+    return this._flushProbe(name)
+      .then(() => {
+        delete this.probes[name];
+        delete this.measures[name];
+        delete this.definitions[name];
+        delete this.alertStates[name];
+        delete this.notifiers[name];
+        delete this.lastMeasures[name];
+        delete this.rejectedInputs.probes[name];
+        this._closeSinks(name);
+        delete this.sinks[name];
+        delete this.storages[name];
+        this.eventMapping = this._buildEventsToProbesMapping(this.probes);
+
+        return this._releaseFilter(probe);
+      });
+  }
+
+  /**
+   * Stops a running probe and saves its ongoing measure, if it is
+   * saved at regular interval
+   *
+   * @param {string} name - probe name
+   * @returns {Promise}
+   */
+  _flushProbe(name) {
+    if (!this.timers[name]) {
+      return Bluebird.resolve();
+    }
+
+    this._stopProbe(name);
+
+    return this._afterMeasure(this.probes[name], this.measures[name]);
+  }
+
+  /**
+   * Removes the DSL filter of a deleted or replaced probe, unless it is
+   * shared with another probe
+   *
+   * @param {Object} [probe]
+   * @returns {Promise}
+   */
+  _releaseFilter(probe) {
+    if (!probe || !probe.filterId) {
+      return Bluebird.resolve();
+    }
+
+    for (const name of Object.keys(this.probes)) {
+      if (this.probes[name].filterId === probe.filterId) {
+        return Bluebird.resolve();
+      }
+    }
+
+    return Bluebird.resolve(this.dsl.remove(probe.filterId));
+  }
+
+  /**
+   * Loads the probes definitions stored in the definitions collection.
+   *
+   * Conflict rule: a stored definition replaces the configured probe
+   * having the same name, as it results from a runtime update.
+   * Invalid stored definitions are ignored.
+   *
+   * @param {string[]} collections - existing collections
+   * @returns {Promise}
+   */
+  _loadStoredProbes(collections) {
+    if (collections.indexOf(this.definitionsCollection) === -1) {
+      return Bluebird.resolve();
+    }
+
+    this.definitionsCollectionReady = true;
+
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: this.index,
+      collection: this.definitionsCollection,
+      controller: 'document',
+      action: 'search',
+      body: {},
+      from: 0,
+      size: maxStoredProbes
+    }))
+      .then(response => Bluebird.each(response.result.hits, hit => {
+        const
+          name = hit._id,
+          definition = hit._source.definition,
+          configured = this.definitions[name] && this.definitions[name].source === 'config';
+
+        return Bluebird.try(() => this._setProbe(this._validateProbe(name, definition), 'storage', definition))
+          .then(() => {
+            if (configured) {
+              this.context.log.warn(`plugin-probe: [probe: ${name}] the stored probe definition replaces the configured one`);
+            }
+          })
+          .catch(error => {
+            this.context.log.error(`plugin-probe: [probe: ${name}] invalid stored probe definition, probe ignored. Reason: ${error.message}`);
+          });
+      }));
+  }
+
+  /**
+   * Maps the "origin" field of existing measures collections as a keyword:
+   * collections created by older versions of the plugin lack it, and
+   * only new collections get it from their creation mapping
+   *
+   * @param {Object} measuresCollections - existing measures collections,
+   *                                       indexed by index name
+   * @returns {Promise}
+   */
+  _updateOriginMappings(measuresCollections) {
+    const existing = Object.keys(this.probes).filter(name => {
+      const storage = this.probes[name].storage;
+
+      return storage.type === 'kuzzle' && measuresCollections[storage.index].indexOf(name) > -1;
+    });
+
+    return Bluebird.each(existing, name => this.context.accessors.execute(this.context.constructors.Request({
+      index: this.probes[name].storage.index,
+      collection: name,
+      controller: 'collection',
+      action: 'updateMapping',
+      body: {
+        properties: {
+          origin: {type: 'keyword'}
+        }
+      }
+    }))
+      .catch(error => {
+        this.context.log.error(`plugin-probe: [probe: ${name}] unable to map the "origin" field as a keyword, measures origins may not be searchable. Reason: ${error.message}`);
+      }));
+  }
+
+  /**
+   * Resumes counter probes from their last saved measure, unless they are
+   * configured to be reset on start
+   *
+   * A counter which value cannot be restored starts from 0.
+   *
+   * @param {Object} measuresCollections - existing measures collections,
+   *                                       indexed by index name
+   * @returns {Promise}
+   */
+  _restoreCounters(measuresCollections) {
+    const counters = Object.keys(this.probes).filter(name => {
+      const probe = this.probes[name];
+
+      return probe.type === 'counter'
+        && !probe.resetOnStart
+        && probe.storage.type === 'kuzzle'
+        && measuresCollections[probe.storage.index].indexOf(name) > -1;
+    });
+
+    return Bluebird.each(counters, name => {
+      const probe = this.probes[name];
+
+      if (probe.splitBy) {
+        return this._restoreSplitCounter(probe);
+      }
+
+      return this.context.accessors.execute(this.context.constructors.Request({
+        index: probe.storage.index,
+        collection: name,
+        controller: 'document',
+        action: 'search',
+        body: {
+          sort: [{timestamp: 'desc'}]
+        },
+        from: 0,
+        size: 1
+      }))
+        .then(response => {
+          const last = response.result.hits[0];
+
+          if (last && typeof last._source.count === 'number') {
+            this.measures[name].count = last._source.count;
+            debug(`Restored counter ${name} to ${last._source.count}`);
+          }
+        })
+        .catch(error => {
+          this.context.log.error(`plugin-probe: [probe: ${name}] unable to restore the counter value, starting from 0. Reason: ${error.message}`);
+        });
+    });
+  }
+
+  /**
+   * Resumes a counter split per origin from the last saved measure of
+   * each origin. The merged counter resumes from the sum of these values.
+   *
+   * @param {Object} probe
+   * @returns {Promise}
+   */
+  _restoreSplitCounter(probe) {
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: probe.storage.index,
+      collection: probe.name,
+      controller: 'document',
+      action: 'search',
+      body: {
+        aggregations: {
+          origins: {
+            // measures of unidentified listeners have no origin
+            terms: {field: 'origin', size: probe.maxOrigins + 1, missing: ''},
+            aggregations: {
+              last: {
+                top_hits: {
+                  size: 1,
+                  sort: [{timestamp: 'desc'}],
+                  _source: ['count']
+                }
+              }
+            }
+          }
+        }
+      },
+      size: 0
+    }))
+      .then(response => {
+        const measure = this.measures[probe.name];
+        let count = 0;
+
+        for (const bucket of response.result.aggregations.origins.buckets) {
+          const last = bucket.last.hits.hits[0];
+
+          if (last && typeof last._source.count === 'number') {
+            measure.split.set(bucket.key === '' ? null : bucket.key, {count: last._source.count});
+            count += last._source.count;
+          }
+        }
+
+        if (measure.split.size > 0) {
+          measure.count = count;
+          debug(`Restored counter ${probe.name} to ${count}, from ${measure.split.size} origins`);
+        }
+      })
+      .catch(error => {
+        this.context.log.error(`plugin-probe: [probe: ${probe.name}] unable to restore the counter value, starting from 0. Reason: ${error.message}`);
+      });
+  }
+
+  /**
+   * Stores a probe definition, creating the definitions collection
+   * if needed
+   *
+   * @param {string} name - probe name
+   * @param {Object} definition - raw probe configuration
+   * @returns {Promise}
+   */
+  _storeDefinition(name, definition) {
+    return this._createDefinitionsCollection()
+      .then(() => this.context.accessors.execute(this.context.constructors.Request({
+        index: this.index,
+        collection: this.definitionsCollection,
+        _id: name,
+        controller: 'document',
+        action: 'createOrReplace',
+        body: {definition}
+      }, {
+        user: {
+          _id: null
+        }
+      })));
+  }
+
+  /**
+   * Deletes a stored probe definition
+   *
+   * @param {string} name - probe name
+   * @returns {Promise}
+   */
+  _deleteDefinition(name) {
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: this.index,
+      collection: this.definitionsCollection,
+      _id: name,
+      controller: 'document',
+      action: 'delete'
+    }, {
+      user: {
+        _id: null
+      }
+    }));
+  }
+
+  /**
+   * Creates the probes definitions collection if it does not already exist.
+   * Definitions are stored as is, without being indexed.
+   *
+   * @returns {Promise}
+   */
+  _createDefinitionsCollection() {
+    if (this.definitionsCollectionReady) {
+      return Bluebird.resolve();
+    }
+
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: this.index,
+      collection: this.definitionsCollection,
+      controller: 'collection',
+      action: 'create'
+    }))
+      .then(() => this.context.accessors.execute(this.context.constructors.Request({
+        index: this.index,
+        collection: this.definitionsCollection,
+        controller: 'collection',
+        action: 'updateMapping',
+        body: {
+          properties: {
+            definition: {type: 'object', enabled: false}
+          }
+        }
+      })))
+      .then(() => {
+        this.definitionsCollectionReady = true;
+      });
+  }
+
+  /**
+   * Returns a probe description:
+   *  {
+   *    name: 'probe name',
+   *    source: 'config' or 'storage',
+   *    definition: { raw probe configuration }
+   *  }
+   *
+   * @param {string} name - probe name
+   * @returns {Object}
+   */
+  _describeProbe(name) {
+    return {
+      name,
+      source: this.definitions[name].source,
+      definition: _.cloneDeep(this.definitions[name].definition)
+    };
+  }
+
+  /**
+   * Checks the event of a measure request. The event must be listened to
+   * by at least one probe of the type handled by the measure action.
+   *
+   * In discovery mode, unknown events are recorded.
+   *
+   * @param {KuzzleRequest} request
+   * @param {string} action - measure action
+   * @returns {BadRequestError|null} the rejection error, if any
+   */
+  _checkEvent(request, action) {
+    const error = this._checkParameter(request, action, 'event', 'a non-empty string', event => typeof event === 'string' && event.length > 0)
+      || this._checkOrigin(request, action);
+
+    if (error) {
+      return error;
+    }
+
+    const event = request.input.body.event;
+
+    if (!this._isMappedEvent(action, event)) {
+      if (this.discovery) {
+        this._recordUnknownEvent(action, event);
+      }
+
+      return this._rejectInput(action, `plugin-probe: unknown event "${event}": no ${action} probe listens to it`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Tells whether a probe of the type handled by a measure action listens
+   * to an event
+   *
+   * @param {string} action - measure action ("monitor", "counter" or "gauge")
+   * @param {string} event
+   * @returns {boolean}
+   */
+  _isMappedEvent(action, event) {
+    const mappings = action === 'counter'
+      ? [this.eventMapping.counter.increasers, this.eventMapping.counter.decreasers]
+      : [this.eventMapping[action]];
+
+    return mappings.some(mapping => Object.prototype.hasOwnProperty.call(mapping, event));
+  }
+
+  /**
+   * Records an event no probe listens to. Once the maximum number of
+   * recorded events is reached, new events are only counted as dropped.
+   *
+   * @param {string} action - measure action
+   * @param {string} event
+   */
+  _recordUnknownEvent(action, event) {
+    const
+      now = Date.now(),
+      events = this.unknownEvents[action] || {};
+
+    if (events[event]) {
+      events[event].count++;
+      events[event].lastSeen = now;
+      return;
+    }
+
+    if (_.sumBy(_.values(this.unknownEvents), recorded => Object.keys(recorded).length) >= maxUnknownEvents) {
+      this.droppedUnknownEvents++;
+      return;
+    }
+
+    events[event] = {count: 1, firstSeen: now, lastSeen: now};
+    this.unknownEvents[action] = events;
+  }
+
+  /**
+   * Forgets the recorded unknown events some probe now listens to
+   */
+  _forgetMappedEvents() {
+    for (const action of Object.keys(this.unknownEvents)) {
+      for (const event of Object.keys(this.unknownEvents[action])) {
+        if (this._isMappedEvent(action, event)) {
+          delete this.unknownEvents[action][event];
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks the document/message payload of a measure request.
+   * Once the payload index and collection are known, rejections are also
+   * counted for the probes of the measure action watching that collection.
+   *
+   * @param {KuzzleRequest} request
+   * @param {string} action - measure action
+   * @returns {BadRequestError|null} the rejection error, if any
+   */
+  _checkPayload(request, action) {
+    const
+      isObject = value => typeof value === 'object' && !Array.isArray(value),
+      isName = value => typeof value === 'string' && value.length > 0,
+      error = this._checkParameter(request, action, 'payload', 'an object', isObject)
+        || this._checkParameter(request, action, 'payload.data', 'an object', isObject)
+        || this._checkParameter(request, action, 'payload.data.index', 'a non-empty string', isName)
+        || this._checkParameter(request, action, 'payload.data.collection', 'a non-empty string', isName);
+
+    if (error) {
+      return error;
+    }
+
+    const
+      data = request.input.body.payload.data,
+      probes = Object.keys(this.probes).filter(name => this.probes[name].type === action
+        && this.probes[name].index === data.index
+        && this.probes[name].collection === data.collection);
+
+    return this._checkParameter(request, action, 'payload.data.body', 'an object', isObject, probes)
+      || this._checkOrigin(request, action, probes);
+  }
+
+  /**
+   * Checks the optional origin of a measure request
+   *
+   * @param {KuzzleRequest} request
+   * @param {string} action - measure action
+   * @param {string[]} [probes] - names of the probes targeted by the request
+   * @returns {BadRequestError|null} the rejection error, if any
+   */
+  _checkOrigin(request, action, probes) {
+    const origin = request.input.body.origin;
+
+    if (origin !== undefined && origin !== null && (typeof origin !== 'string' || origin.length === 0)) {
+      return this._rejectInput(action, 'plugin-probe: invalid "origin" parameter. Expected a non-empty string', probes);
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the identity of the listener sending a measure request: the
+   * identifier of the authenticated user or, for anonymous requests only,
+   * the "origin" parameter of the request body.
+   * Authenticated listeners cannot impersonate other listeners.
+   *
+   * @param {KuzzleRequest} request
+   * @returns {string|null} null if the listener cannot be identified
+   */
+  _getOrigin(request) {
+    const
+      origin = request.input.body.origin,
+      user = request.context.user;
+
+    if (user && user._id !== undefined && user._id !== null && String(user._id) !== anonymousUserId) {
+      return String(user._id);
+    }
+
+    if (origin !== undefined && origin !== null) {
+      return origin;
+    }
+
+    return null;
+  }
+
+  /**
+   * Records the origin of an event aggregated in a measure
+   *
+   * @param {Object} measure
+   * @param {string|null} origin
+   */
+  _addOrigin(measure, origin) {
+    if (origin !== null) {
+      measure.origins.add(origin);
+    }
+  }
+
+  /**
+   * Returns the measure of an origin, for probes split per origin,
+   * and marks it as updated since the last save.
+   *
+   * The number of distinct origins is limited by the "maxOrigins" parameter
+   * of the probe: once this limit is reached, events sent by new origins
+   * are counted in the "__other__" origin.
+   *
+   * @param {Object} probe
+   * @param {Object} measure
+   * @param {string|null} origin - null for unidentified listeners
+   * @returns {Object} origin measure
+   */
+  _getSplitMeasure(probe, measure, origin) {
+    let key = origin;
+
+    if (!measure.split.has(key)) {
+      const originsCount = measure.split.size - (measure.split.has(otherGroup) ? 1 : 0);
+
+      if (originsCount >= probe.maxOrigins) {
+        key = otherGroup;
+      }
+    }
+
+    if (!measure.split.has(key)) {
+      const originMeasure = {};
+
+      if (probe.type === 'monitor') {
+        for (const hook of probe.hooks) {
+          originMeasure[hook] = 0;
+        }
+      }
+      else {
+        originMeasure.count = 0;
+      }
+
+      measure.split.set(key, originMeasure);
+    }
+
+    measure.splitUpdates.add(key);
+
+    return measure.split.get(key);
+  }
+
+  /**
+   * Checks a parameter of a measure request body
+   *
+   * @param {KuzzleRequest} request
+   * @param {string} action - measure action
+   * @param {string} name - parameter path in the request body
+   * @param {string} expected - description of the expected value
+   * @param {Function} isValid - tells whether a value is valid
+   * @param {string[]} [probes] - names of the probes targeted by the request
+   * @returns {BadRequestError|null} the rejection error, if any
+   */
+  _checkParameter(request, action, name, expected, isValid, probes) {
+    const value = _.get(request.input.body, name);
+
+    if (value === undefined || value === null) {
+      return this._rejectInput(action, `plugin-probe: missing "${name}" parameter. Expected ${expected}`, probes);
+    }
+
+    if (!isValid(value)) {
+      return this._rejectInput(action, `plugin-probe: invalid "${name}" parameter. Expected ${expected}`, probes);
+    }
+
+    return null;
+  }
+
+  /**
+   * Counts a rejected measure request
+   *
+   * @param {string} action - measure action
+   * @param {string} message - rejection reason
+   * @param {string[]} [probes] - names of the probes targeted by the request
+   * @returns {BadRequestError}
+   */
+  _rejectInput(action, message, probes = []) {
+    debug(`Rejected measure for ${action}: ${message}`);
+
+    this.rejectedInputs.actions[action] = (this.rejectedInputs.actions[action] || 0) + 1;
+
+    for (const name of probes) {
+      this.rejectedInputs.probes[name] = (this.rejectedInputs.probes[name] || 0) + 1;
+    }
+
+    return new this.context.errors.BadRequestError(message);
+  }
+
+  /**
+   * Extracts the probe name from a probe management request
+   *
+   * @param {KuzzleRequest} request
+   * @returns {string}
+   */
+  _getProbeName(request) {
+    const name = request.input.args.name;
+
+    if (!name || typeof name !== 'string') {
+      throw new this.context.errors.BadRequestError('plugin-probe: missing probe name');
+    }
+
+    return name;
+  }
+
+  /**
+   * Checks that the name of a new probe can be used as the name of its
+   * measures collection
+   *
+   * @param {string} name - probe name
+   * @throws {BadRequestError} If the name cannot be used
+   */
+  _checkProbeName(name) {
+    if (!probeNamePattern.test(name)) {
+      throw new this.context.errors.BadRequestError(`plugin-probe: [probe: ${name}] invalid probe name. Expected lowercase letters, digits, "_" and "-", starting with a letter or a digit`);
+    }
+  }
+
+  /**
+   * Extracts the probe name from a probe management request, and
+   * checks that this probe exists
+   *
+   * @param {KuzzleRequest} request
+   * @returns {string}
+   */
+  _getExistingProbeName(request) {
+    const name = this._getProbeName(request);
+
+    if (!this.probes[name]) {
+      throw new this.context.errors.NotFoundError(`plugin-probe: [probe: ${name}] probe not found`);
+    }
+
+    return name;
+  }
+
+  /**
+   * Extracts the probe name from a measures request, and checks that
+   * this probe stores its measures in Kuzzle
+   *
+   * @param {KuzzleRequest} request
+   * @returns {string}
+   */
+  _getStoredProbeName(request) {
+    const name = this._getExistingProbeName(request);
+
+    if (this.probes[name].storage.type !== 'kuzzle') {
+      throw new this.context.errors.BadRequestError(`plugin-probe: [probe: ${name}] measures are not stored in Kuzzle`);
+    }
+
+    return name;
+  }
+
+  /**
+   * Parses the optional "from" and "to" arguments of a measures request
+   *
+   * @param {Object} args - request arguments
+   * @returns {{gte: number, lte: number}} range, without unset boundaries
+   */
+  _getTimeRange(args) {
+    const range = {};
+
+    for (const boundary of [['from', 'gte'], ['to', 'lte']]) {
+      if (args[boundary[0]] !== undefined && args[boundary[0]] !== null) {
+        range[boundary[1]] = this._parseTimestamp(args[boundary[0]], boundary[0]);
+      }
+    }
+
+    return range;
+  }
+
+  /**
+   * Parses a timestamp argument, provided either as a number of
+   * milliseconds since Epoch, or as a date string
+   *
+   * @param {number|string} value
+   * @param {string} argName - argument name, used in error messages
+   * @returns {number}
+   */
+  _parseTimestamp(value, argName) {
+    let timestamp = Number(value);
+
+    if (typeof value === 'string' && isNaN(timestamp)) {
+      timestamp = Date.parse(value);
+    }
+
+    if ((typeof value !== 'number' && typeof value !== 'string') || value === '' || isNaN(timestamp)) {
+      throw new this.context.errors.BadRequestError(`plugin-probe: invalid "${argName}" parameter. Expected a timestamp or a date`);
+    }
+
+    return timestamp;
+  }
+
+  /**
+   * Parses an integer argument
+   *
+   * @param {number|string} value
+   * @param {string} argName - argument name, used in error messages
+   * @param {number} defaultValue - value used if the argument is not set
+   * @param {number} min - minimum accepted value
+   * @param {number} [max] - maximum accepted value
+   * @returns {number}
+   */
+  _parseIntegerArg(value, argName, defaultValue, min, max = Infinity) {
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+
+    const parsed = Number(value);
+
+    if (value === '' || !Number.isInteger(parsed) || parsed < min) {
+      throw new this.context.errors.BadRequestError(`plugin-probe: invalid "${argName}" parameter. Expected an integer greater than or equal to ${min}`);
+    }
+
+    if (parsed > max) {
+      throw new this.context.errors.BadRequestError(`plugin-probe: invalid "${argName}" parameter. Expected an integer lower than or equal to ${max}`);
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Converts a stored measure document to the format returned by
+   * measures searches
+   *
+   * @param {Object} hit - search result item
+   * @returns {{_id: string, timestamp: number, values: Object, content: *}}
+   */
+  _normalizeMeasure(hit) {
+    const content = hit._source.content;
+
+    return {
+      _id: hit._id,
+      timestamp: hit._source.timestamp,
+      origin: hit._source.origin === undefined ? null : hit._source.origin,
+      values: _.omit(hit._source, ['timestamp', 'origin', 'content']),
+      content: content === undefined ? null : content
+    };
+  }
+
+  /**
+   * Creates a measures index if it does not already exists
+   *
+   * @param {string} index
+   * @returns {Promise}
+   */
+  _createMeasuresIndex(index) {
+    return this.context.accessors.execute(
+      new this.context.constructors.Request({
+        index,
+        controller: 'index',
+        action: 'exists'
+      }))
+      .then(response => {
+        if (!response.result) {
+          return this.context.accessors.execute(
+            new this.context.constructors.Request({
+              index,
+              controller: 'index',
+              action: 'create'
+            }));
+        }
+        return;
+      });
+  }
+
+  /**
+   * Returns the names of the stored collections of a measures index
+   *
+   * @param {string} index
+   * @returns {Promise<string[]>}
+   */
+  _listCollections(index) {
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index,
+      controller: 'collection',
+      action: 'list',
+      type: 'stored'
+    }))
+      .then(response => response.result.collections.map(item => item.name));
+  }
+
+  /**
+   * Lists the existing collections of every index storing probes
+   * measures, creating the missing indexes
+   *
+   * @param {string[]} collections - existing collections of the storage index
+   * @returns {Promise<Object>} collections names, indexed by index name
+   */
+  _listMeasuresCollections(collections) {
+    const
+      measuresCollections = {[this.index]: collections},
+      indexes = _.uniq(Object.keys(this.probes)
+        .map(name => this.probes[name].storage)
+        .filter(storage => storage.type === 'kuzzle' && storage.index !== this.index)
+        .map(storage => storage.index));
+
+    return Bluebird.each(indexes, index => this._createMeasuresIndex(index)
+      .then(() => this._listCollections(index))
+      .then(indexCollections => {
+        measuresCollections[index] = indexCollections;
+      }))
+      .then(() => measuresCollections);
+  }
+
+  /**
+   * Creates the probe measurement collection
+   * Creates default fields mapping depending on the probe type attached
+   * Uses the mapping provided with the probe configuration for the `content` field
+   *
+   * @param {Object} probe
+   * @param {string[]} missingCollections
+   * @returns {Promise}
+   */
+  _createCollection(probe, missingCollections) {
+    if (missingCollections.indexOf(probe.name) === -1) {
+      return Bluebird.resolve({});
+    }
+
+    const
+      probeMapping = {
+        timestamp: {type: 'date', format: 'epoch_millis'},
+        origin: {type: 'keyword'}
+      },
+      countType = {type: 'integer'},
+      creationRequest = this.context.constructors.Request({
+        index: probe.storage.index,
+        collection: probe.name,
+        controller: 'collection',
+        action: 'create'
+      });
+    let mappingRequest;
+
+    switch (probe.type) {
+      case 'watcher':
+      case 'sampler':
+        if (probe.collects) {
+          if (probe.mapping) {
+            _.merge(probeMapping, {content: {properties: _.cloneDeep(probe.mapping)}});
+          }
+        }
+        else {
+          probeMapping.count = countType;
+
+          // group keys are documents values: they are stored as values, not
+          // as field names, to keep the number of mapped fields bounded
+          if (probe.groupBy) {
+            probeMapping.groups = {
+              properties: {
+                key: {type: 'keyword'},
+                count: countType
+              }
+            };
+          }
+
+          if (probe.aggregates) {
+            probeMapping.aggregates = {properties: {}};
+
+            for (const field of Object.keys(probe.aggregates)) {
+              const properties = {count: countType};
+
+              for (const aggregation of probe.aggregates[field]) {
+                properties[aggregation] = {type: 'double'};
+              }
+
+              _.set(probeMapping.aggregates.properties, field.split('.').join('.properties.'), {properties});
+            }
+          }
+        }
+        break;
+      case 'counter':
+        probeMapping.count = countType;
+
+        if (probe.rate) {
+          probeMapping.delta = countType;
+          probeMapping.ratePerSecond = {type: 'double'};
+        }
+        break;
+      case 'gauge':
+        for (const field of ['last', 'min', 'max', 'avg']) {
+          probeMapping[field] = {type: 'double'};
+        }
+        probeMapping.count = countType;
+        break;
+      case 'cardinality':
+        probeMapping.count = {type: 'long'};
+
+        if (probe.keepSketch) {
+          probeMapping.sketch = {
+            properties: {
+              precision: {type: 'integer'},
+              registers: {type: 'binary'}
+            }
+          };
+        }
+        break;
+      case 'topk':
+        probeMapping.count = countType;
+        probeMapping.top = {
+          properties: {
+            value: {type: 'keyword'},
+            count: countType,
+            error: countType
+          }
+        };
+        break;
+      case 'histogram':
+        probeMapping.count = countType;
+        probeMapping.sum = {type: 'double'};
+        probeMapping.min = {type: 'double'};
+        probeMapping.max = {type: 'double'};
+        probeMapping.buckets = {
+          properties: {
+            from: {type: 'double'},
+            to: {type: 'double'},
+            count: countType
+          }
+        };
+        probeMapping.percentiles = {properties: {}};
+
+        for (const percentile of probe.percentiles) {
+          probeMapping.percentiles.properties[this._getPercentileName(percentile)] = {type: 'double'};
+        }
+        break;
+      case 'monitor':
+        for (const hook of probe.hooks) {
+          probeMapping[hook] = {type: 'integer'};
+        }
+        break;
+      default:
+        throw new Error(`The probe type ${probe.type} is unknown`);
+    }
+
+    mappingRequest = this.context.constructors.Request({
+      index: probe.storage.index,
+      collection: probe.name,
+      controller: 'collection',
+      action: 'updateMapping',
+      body: {
+        properties: probeMapping
+      }
+    });
+
+    return this.context.accessors.execute(creationRequest)
+      .then(() => this.context.accessors.execute(mappingRequest));
+
+  }
+
+  /**
+   * Creates a mapping between an event name and its associated probes.
+   * This is especially useful for methods called by Kuzzle, because
+   * they only have the event name, and no information about the
+   * corresponding probes.
+   *
+   * The returned mapping is in the following format:
+   *  {
+   *    monitor: {
+   *      eventName: [associated, probes, list],
+   *      ...
+   *    },
+   *    counter: {
+   *      increasers: {
+   *        eventName: [associated, probes, list],
+   *        ...
+   *      },
+   *      decreasers: {
+   *        eventName: [associated, probes, list],
+   *        ...
+   *      }
+   *    },
+   *    gauge: {
+   *      eventName: [associated, probes, list],
+   *      ...
+   *    },
+   *    watcher: {
+   *      filterUniqueId: [associated, probes, names],
+   *      ...
+   *    },
+   *    sampler: {
+   *      filterUniqueId: [associated, probes, objects],
+   *      ...
+   *    },
+   *    histogram: {
+   *      filterUniqueId: [associated, probes, names],
+   *      ...
+   *    },
+   *    cardinality: {
+   *      filterUniqueId: [associated, probes, names],
+   *      ...
+   *    },
+   *    topk: {
+   *      filterUniqueId: [associated, probes, names],
+   *      ...
+   *    }
+   *  }
+   *
+   * @param {Object} probes configuration list
+   * @returns {Object} mapping object
+   */
+  _buildEventsToProbesMapping(probes) {
+    const mapping = {
+      monitor: {},
+      counter: {
+        increasers: {},
+        decreasers: {}
+      },
+      gauge: {},
+      watcher: {},
+      sampler: {},
+      histogram: {},
+      cardinality: {},
+      topk: {}
+    };
+
+    for (const name of Object.keys(probes)) {
+      switch (probes[name].type) {
+        case 'monitor':
+          for (const hook of probes[name].hooks) {
+            if (!mapping.monitor[hook]) {
+              mapping.monitor[hook] = [];
+            }
+
+            if (mapping.monitor[hook].indexOf(name) === -1) {
+              mapping.monitor[hook].push(name);
+            }
+          }
+          break;
+
+        case 'gauge':
+          for (const hook of probes[name].hooks) {
+            if (!mapping.gauge[hook]) {
+              mapping.gauge[hook] = [];
+            }
+
+            if (mapping.gauge[hook].indexOf(name) === -1) {
+              mapping.gauge[hook].push(name);
+            }
+          }
+          break;
+
+        case 'counter':
+          for (const type of ['increasers', 'decreasers']) {
+            if (!probes[name][type]) {
+              throw new Error(`plugin-probe: [probe: ${name}] "${type}" parameter missing"`);
+            }
+
+            for (const hook of probes[name][type].filter(value => value)) {
+              if (!mapping.counter[type][hook]) {
+                mapping.counter[type][hook] = [];
+              }
+
+              if (mapping.counter[type][hook].indexOf(name) === -1) {
+                mapping.counter[type][hook].push(name);
+              }
+            }
+          }
+          break;
+
+        case 'watcher':
+          if (!mapping.watcher[probes[name].filterId]) {
+            mapping.watcher[probes[name].filterId] = [name];
+          }
+          else {
+            mapping.watcher[probes[name].filterId].push(name);
+          }
+          break;
+
+        case 'sampler':
+          if (!mapping.sampler[probes[name].filterId]) {
+            mapping.sampler[probes[name].filterId] = [probes[name]];
+          }
+          else {
+            mapping.sampler[probes[name].filterId].push(probes[name]);
+          }
+          break;
+
+        case 'histogram':
+        case 'cardinality':
+        case 'topk':
+          if (!mapping[probes[name].type][probes[name].filterId]) {
+            mapping[probes[name].type][probes[name].filterId] = [name];
+          }
+          else {
+            mapping[probes[name].type][probes[name].filterId].push(name);
+          }
+          break;
+
+        default:
+          throw new Error(`The probe type ${probes[name].type} is unknown`);
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Takes the probes configuration and returns a ready-to-use object
+   *
+   * @param {Object} probes - raw probes configuration
+   * @returns {Object} converted probes
+   */
+  _configureProbes(probes) {
+    const output = {};
+
+    if (!probes || _.isEmpty(probes)) {
+      return output;
+    }
+
+    for (const name of Object.keys(probes)) {
+      const probe = _.cloneDeep(probes[name]);
+      probe.name = name;
+
+      if (!probe.type) {
+        throw new Error(`plugin-probe: [probe: ${name}] "type" parameter missing"`);
+      }
+
+      if (name === this.definitionsCollection) {
+        throw new Error(`plugin-probe: [probe: ${name}] this name is reserved to store probes definitions`);
+      }
+
+      if (name === this.alertsCollection) {
+        throw new Error(`plugin-probe: [probe: ${name}] this name is reserved to store alerts states`);
+      }
+
+      if (['sampler', 'histogram', 'cardinality', 'topk'].indexOf(probe.type) > -1 && (probe.interval === 'none' || !probe.interval)) {
+        throw new Error(`plugin-probe: [probe: ${name}] An "interval" parameter is required for ${probe.type} probes`);
+      }
+
+      if (probe.interval === 'none') {
+        probe.interval = undefined;
+      }
+      else if (typeof probe.interval === 'string') {
+        probe.interval = ms(probe.interval);
+
+        if (isNaN(probe.interval)) {
+          throw new Error(`plugin-probe: [probe: ${name}] Invalid interval "${probe.interval}".`);
+        }
+      }
+
+      probe.storage = this._configureStorage(probe);
+
+      /*
+       In the case of a counter probe, the same event cannot be in
+       the "increasers" and in the "decreasers" lists at the same
+       time
+       */
+      if (probe.type === 'counter' && _.intersection(probe.increasers, probe.decreasers).length > 0) {
+        throw new Error(`plugin-probe: [probe: ${name}] Configuration error: an event cannot be set both to increase and to decrease a counter`);
+      }
+
+      if (probe.type === 'counter') {
+        probe.rate = Boolean(probe.rate);
+        probe.resetOnStart = Boolean(probe.resetOnStart);
+      }
+
+      // monitor and counter probes storing 1 measure per origin
+      if (probe.splitBy !== undefined && probe.splitBy !== null) {
+        if (['monitor', 'counter'].indexOf(probe.type) === -1) {
+          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: "splitBy" can only be used with monitor and counter probes`);
+        }
+
+        if (probe.splitBy !== 'origin') {
+          throw new Error(`plugin-probe: [probe: ${name}] invalid "splitBy" parameter. Expected "origin"`);
+        }
+
+        // the rate, and the last counter value of rollups, are computed on the merged counter
+        if (probe.rate) {
+          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: "splitBy" cannot be used with "rate"`);
+        }
+
+        if (probe.type === 'counter' && probe.rollups !== undefined && probe.rollups !== null) {
+          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: "splitBy" cannot be used with "rollups" on counter probes`);
+        }
+
+        if (probe.maxOrigins === undefined || probe.maxOrigins === null) {
+          probe.maxOrigins = defaultMaxOrigins;
+        }
+
+        if (!Number.isInteger(probe.maxOrigins) || probe.maxOrigins < 1) {
+          throw new Error(`plugin-probe: [probe: ${name}] invalid "maxOrigins" parameter. Expected a positive integer`);
+        }
+      }
+
+      /*
+       configuration check of probes watching documents/messages
+       */
+      if (dslProbeTypes.indexOf(probe.type) > -1) {
+        if (!probe.index || !probe.collection) {
+          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: missing index or collection`);
+        }
+
+        // forcing an empty filter if not defined
+        if (probe.filter === undefined || probe.filter === null) {
+          probe.filter = {};
+        }
+      }
+
+      if (['watcher', 'sampler'].indexOf(probe.type) > -1) {
+        // checking if the "collects" parameter is correct
+        if (probe.collects) {
+          if (typeof probe.collects !== 'string' && !Array.isArray(probe.collects)) {
+            throw new Error(`plugin-probe: [probe: ${name}] Invalid "collects" format: expected array or string, got ${typeof probe.collects}`);
+          }
+
+          if (typeof probe.collects === 'string' && probe.collects !== '*') {
+            throw new Error(`plugin-probe: [probe: ${name}] Invalid "collects" value`);
+          }
+
+          if (Array.isArray(probe.collects) && probe.collects.length === 0) {
+            probe.collects = null;
+          }
+        }
+
+        // the "collects" parameter is required for sampler probes
+        if (probe.type === 'sampler' && !probe.collects) {
+          throw new Error(`plugin-probe: [probe: ${name}] A "collects" parameter is required for sampler probes`);
+        }
+      }
+
+      // watcher probes counting documents per group
+      if (probe.type === 'watcher' && probe.groupBy) {
+        if (typeof probe.groupBy === 'string') {
+          probe.groupBy = [probe.groupBy];
+        }
+
+        if (!Array.isArray(probe.groupBy) || probe.groupBy.length === 0 || probe.groupBy.some(jsonPath => !jsonPath || typeof jsonPath !== 'string')) {
+          throw new Error(`plugin-probe: [probe: ${name}] Invalid "groupBy" format: expected a JSON path or an array of JSON paths`);
+        }
+
+        if (probe.collects) {
+          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: "groupBy" cannot be used with "collects"`);
+        }
+
+        if (probe.maxGroups === undefined || probe.maxGroups === null) {
+          probe.maxGroups = defaultMaxGroups;
+        }
+
+        if (!Number.isInteger(probe.maxGroups) || probe.maxGroups < 1) {
+          throw new Error(`plugin-probe: [probe: ${name}] invalid "maxGroups" parameter. Expected a positive integer`);
+        }
+      }
+
+      // watcher probes aggregating documents fields
+      if (probe.type === 'watcher' && probe.aggregates) {
+        if (typeof probe.aggregates !== 'object' || Array.isArray(probe.aggregates) || _.isEmpty(probe.aggregates)) {
+          throw new Error(`plugin-probe: [probe: ${name}] Invalid "aggregates" format: expected an object associating JSON paths to aggregations lists`);
+        }
+
+        if (probe.collects) {
+          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: "aggregates" cannot be used with "collects"`);
+        }
+
+        for (const field of Object.keys(probe.aggregates)) {
+          const aggregations = probe.aggregates[field];
+
+          if (!Array.isArray(aggregations) || aggregations.length === 0 || aggregations.some(a => fieldAggregations.indexOf(a) === -1)) {
+            throw new Error(`plugin-probe: [probe: ${name}] Invalid aggregations for field "${field}": expected a list of ${fieldAggregations.join(', ')}`);
+          }
+        }
+      }
+
+      // sampler probe specific check
+      if (probe.type === 'sampler') {
+        if (!probe.sampleSize) {
+          throw new Error(`plugin-probe: [probe: ${name}] "sampleSize" parameter missing`);
+        }
+
+        if (typeof probe.sampleSize !== 'number') {
+          throw new Error(`plugin-probe: [probe: ${name}] invalid "sampleSize" parameter. Expected a number, got a ${typeof probe.sampleSize}`);
+        }
+      }
+
+      // gauge probe specific check
+      if (probe.type === 'gauge' && (!Array.isArray(probe.hooks) || probe.hooks.length === 0)) {
+        throw new Error(`plugin-probe: [probe: ${name}] "hooks" parameter missing`);
+      }
+
+      // cardinality probe specific check
+      if (probe.type === 'cardinality') {
+        if (!probe.field || typeof probe.field !== 'string') {
+          throw new Error(`plugin-probe: [probe: ${name}] "field" parameter missing`);
+        }
+
+        if (probe.precision === undefined || probe.precision === null) {
+          probe.precision = HyperLogLog.DEFAULT_PRECISION;
+        }
+
+        if (!Number.isInteger(probe.precision) || probe.precision < HyperLogLog.MIN_PRECISION || probe.precision > HyperLogLog.MAX_PRECISION) {
+          throw new Error(`plugin-probe: [probe: ${name}] invalid "precision" parameter. Expected an integer between ${HyperLogLog.MIN_PRECISION} and ${HyperLogLog.MAX_PRECISION}`);
+        }
+
+        probe.keepSketch = Boolean(probe.keepSketch);
+      }
+
+      if (probe.rollups !== undefined && probe.rollups !== null) {
+        probe.rollups = this._configureRollups(probe);
+      }
+
+      if (probe.alerts !== undefined && probe.alerts !== null) {
+        probe.alerts = this._configureAlerts(probe);
+      }
+
+      if (probe.webhooks !== undefined && probe.webhooks !== null) {
+        probe.webhooks = this._configureWebhooks(probe.webhooks, `plugin-probe: [probe: ${name}]`);
+      }
+
+      if (probe.sinks !== undefined && probe.sinks !== null) {
+        probe.sinks = this._configureSinks(probe);
+      }
+
+      if (probe.retention !== undefined && probe.retention !== null) {
+        if (probe.storage.type !== 'kuzzle') {
+          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: "retention" can only be used with probes stored in Kuzzle`);
+        }
+
+        if (probe.rollups) {
+          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: "retention" cannot be used with "rollups"`);
+        }
+
+        probe.retention = this._parseDuration(probe.retention);
+
+        if (isNaN(probe.retention)) {
+          throw new Error(`plugin-probe: [probe: ${name}] Invalid "retention" parameter: expected a duration`);
+        }
+      }
+
+      // top-K probe specific check
+      if (probe.type === 'topk') {
+        if (!probe.field || typeof probe.field !== 'string') {
+          throw new Error(`plugin-probe: [probe: ${name}] "field" parameter missing`);
+        }
+
+        if (probe.size === undefined || probe.size === null) {
+          probe.size = defaultTopSize;
+        }
+
+        if (!Number.isInteger(probe.size) || probe.size < 1) {
+          throw new Error(`plugin-probe: [probe: ${name}] invalid "size" parameter. Expected a positive integer`);
+        }
+
+        if (probe.capacity === undefined || probe.capacity === null) {
+          probe.capacity = probe.size * defaultTopCapacityFactor;
+        }
+
+        if (!Number.isInteger(probe.capacity) || probe.capacity < probe.size) {
+          throw new Error(`plugin-probe: [probe: ${name}] invalid "capacity" parameter. Expected an integer greater than or equal to "size"`);
+        }
+      }
+
+      // histogram probe specific check
+      if (probe.type === 'histogram') {
+        if (!probe.field || typeof probe.field !== 'string') {
+          throw new Error(`plugin-probe: [probe: ${name}] "field" parameter missing`);
+        }
+
+        if (!Array.isArray(probe.buckets) || probe.buckets.length === 0) {
+          throw new Error(`plugin-probe: [probe: ${name}] "buckets" parameter missing`);
+        }
+
+        for (let i = 0; i < probe.buckets.length; i++) {
+          if (typeof probe.buckets[i] !== 'number' || (i > 0 && probe.buckets[i] <= probe.buckets[i - 1])) {
+            throw new Error(`plugin-probe: [probe: ${name}] invalid "buckets" parameter. Expected an array of numbers, in increasing order`);
+          }
+        }
+
+        if (probe.percentiles === undefined || probe.percentiles === null) {
+          probe.percentiles = [50, 90, 99];
+        }
+
+        if (!Array.isArray(probe.percentiles) || probe.percentiles.some(p => typeof p !== 'number' || p <= 0 || p > 100)) {
+          throw new Error(`plugin-probe: [probe: ${name}] invalid "percentiles" parameter. Expected an array of numbers between 0 (excluded) and 100`);
+        }
+      }
+
+      output[name] = probe;
+    }
+
+    return output;
+  }
+
+  /**
+   * Returns an initializ "measures" object from the current probes
+   * configuration
+   *
+   * @param {Object} probes configuration
+   * @returns {Object} new measures object
+   */
+  _initializeMeasures(probes) {
+    const measures = {};
+
+    for (const name of Object.keys(probes)) {
+      measures[name] = {};
+
+      switch (probes[name].type) {
+        case 'monitor':
+          for (const hook of probes[name].hooks) {
+            measures[name][hook] = 0;
+          }
+          break;
+
+        case 'counter':
+          measures[name].count = 0;
+
+          if (probes[name].rate) {
+            Object.assign(measures[name], {delta: null, ratePerSecond: null});
+            Object.defineProperty(measures[name], 'rateReference', {writable: true});
+            this._setRateReference(measures[name]);
+          }
+          break;
+
+        case 'watcher':
+          if (probes[name].collects) {
+            measures[name].content = [];
+          }
+          else {
+            measures[name].count = 0;
+
+            // groups are saved as a list, as their keys are documents values
+            if (probes[name].groupBy) {
+              Object.defineProperty(measures[name], 'groupCounts', {value: new Map()});
+              Object.defineProperty(measures[name], 'groups', {
+                get () {
+                  return Array.from(this.groupCounts, ([key, count]) => ({key, count}));
+                },
+                enumerable: true
+              });
+            }
+
+            if (probes[name].aggregates) {
+              measures[name].aggregates = this._initializeAggregates(probes[name]);
+            }
+          }
+          break;
+
+        case 'sampler':
+          measures[name].content = [];
+          measures[name].count = 0;
+          break;
+
+        case 'histogram':
+          Object.assign(measures[name], this._initializeHistogram(probes[name]));
+          break;
+
+        case 'gauge':
+          Object.assign(measures[name], {last: null, min: null, max: null, avg: null, count: 0});
+          break;
+
+        case 'cardinality':
+          measures[name].count = 0;
+
+          // the sketch is only saved along with the estimate if required
+          Object.defineProperty(measures[name], 'sketch', {
+            value: new HyperLogLog(probes[name].precision),
+            enumerable: probes[name].keepSketch
+          });
+          break;
+
+        case 'topk':
+          measures[name].count = 0;
+
+          // only the most frequent values are saved, not the whole summary
+          Object.defineProperty(measures[name], 'summary', {value: new SpaceSaving(probes[name].capacity)});
+          Object.defineProperty(measures[name], 'top', {
+            get () {
+              return this.summary.top(probes[name].size);
+            },
+            enumerable: true
+          });
+          break;
+
+        default:
+          throw new Error(`The probe type ${probes[name].type} is unknown`);
+      }
+
+      // origins of the aggregated events, or of each collected content
+      Object.defineProperty(measures[name], 'origins', {value: new Set()});
+
+      if (measures[name].content) {
+        Object.defineProperty(measures[name], 'contentOrigins', {value: [], writable: true});
+      }
+
+      // measure of each origin, and origins which sent events since the last save
+      if (probes[name].splitBy) {
+        Object.defineProperty(measures[name], 'split', {value: new Map()});
+        Object.defineProperty(measures[name], 'splitUpdates', {value: new Set()});
+      }
+    }
+
+    return measures;
+  }
+
+  /**
+   * Saves the current measure to the probe storage: the database, or the
+   * storage backend configured on the probe
+   *
+   * There are two kinds of measures:
+   *  - single document measure, for instance a measure coming from a counter probe
+   *  - measures containing a set of content. These measures generate
+   *      1 document per content. For instance sampler probes generate a statistical
+   *      sample set of documents/messages.
+   *      These measures generates as many measure documents than collected contents.
+   *  - measures split per origin, generating 1 document per origin which
+   *      sent events since the previous measure. Events sent by unidentified
+   *      listeners are stored in a document without origin.
+   *
+   * If the measures spool is enabled, measures which cannot be saved are
+   * spooled, and replayed later. Measures of a probe are saved in order:
+   * new measures are spooled while older ones wait to be replayed.
+   *
+   * @param {Object} probe
+   * @param {Object} measure
+   */
+  _saveMeasure(probe, measure) {
+    const
+      timestamp = Date.now();
+    let
+      documents;
+
+    if (measure.content) {
+      if (measure.content.length === 0) {
+        return Bluebird.resolve(false);
+      }
+
+      documents = measure.content.map((content, i) => {
+        const document = {timestamp, content};
+
+        if (measure.contentOrigins[i] !== null) {
+          document.origin = measure.contentOrigins[i];
+        }
+
+        return document;
+      });
+    }
+    else if (probe.splitBy) {
+      measure.timestamp = timestamp;
+
+      if (measure.splitUpdates.size === 0) {
+        return Bluebird.resolve(false);
+      }
+
+      documents = Array.from(measure.splitUpdates, origin => {
+        const document = Object.assign({timestamp}, measure.split.get(origin));
+
+        if (origin !== null) {
+          document.origin = origin;
+        }
+
+        return document;
+      });
+    }
+    else {
+      measure.timestamp = timestamp;
+
+      try {
+        documents = [JSON.parse(JSON.stringify(measure))];
+      }
+      catch (error) {
+        return Bluebird.reject(error);
+      }
+
+      if (measure.origins.size > 0) {
+        documents[0].origin = Array.from(measure.origins).sort();
+      }
+    }
+
+    if (!this.spool) {
+      return this._storeDocuments(probe, documents);
+    }
+
+    if (this.spool.has(probe.name)) {
+      return this.spool.push(probe.name, documents);
+    }
+
+    return this._storeDocuments(probe, documents)
+      .catch(error => {
+        if (this._isRejectedMeasure(error)) {
+          this.context.log.error(`plugin-probe: [probe: ${probe.name}] measure rejected by the storage, dropped. Reason: ${error.message}`);
+          return;
+        }
+
+        this.context.log.warn(`plugin-probe: [probe: ${probe.name}] unable to save a measure, spooled for a later retry. Reason: ${error.message}`);
+
+        return this.spool.push(probe.name, documents);
+      });
+  }
+
+  /**
+   * Tells whether a measure save failed because the measure itself was
+   * rejected (4xx errors, e.g. a mapping conflict), in which case saving
+   * it again would fail the same way
+   *
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  _isRejectedMeasure(error) {
+    return typeof error.status === 'number' && error.status >= 400 && error.status < 500;
+  }
+
+  /**
+   * Stores measure documents in the probe storage
+   *
+   * @param {Object} probe
+   * @param {Array<Object>} documents
+   * @returns {Promise}
+   */
+  _storeDocuments(probe, documents) {
+    if (probe.storage.type !== 'kuzzle') {
+      return Bluebird.try(() => this.storages[probe.name].save(probe.name, documents));
+    }
+
+    // collected contents, and measures split per origin, are imported in bulk
+    if (documents.length > 1 || documents[0].content !== undefined) {
+      const bulkData = [];
+
+      for (const document of documents) {
+        bulkData.push({
+          index: {
+            _index: probe.storage.index,
+            _type: probe.name
+          }
+        });
+
+        bulkData.push(document);
+      }
+
+      return this.context.accessors.execute(this.context.constructors.Request({
+        index: probe.storage.index,
+        collection: probe.name,
+        controller: 'bulk',
+        action: 'import',
+        body: {
+          bulkData
+        }
+      }));
+    }
+
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: probe.storage.index,
+      collection: probe.name,
+      controller: 'document',
+      action: 'create',
+      body: documents[0]
+    }, {
+      user: {
+        _id: null
+      }
+    }));
+  }
+
+  /**
+   * Replays a spooled measure
+   *
+   * Measures of deleted probes, or of probes not stored anymore,
+   * are dropped. So are measures rejected by the storage: they would
+   * block the replay of the following spooled measures forever.
+   *
+   * @param {{probe: string, documents: Array<Object>}} entry
+   * @returns {Promise}
+   */
+  _replayMeasure(entry) {
+    const probe = this.probes[entry.probe];
+
+    if (!probe || probe.storage.type === 'none') {
+      this.context.log.warn(`plugin-probe: [probe: ${entry.probe}] spooled measure dropped: the probe does not store its measures anymore`);
+      return Bluebird.resolve();
+    }
+
+    return this._storeDocuments(probe, entry.documents)
+      .catch(error => {
+        if (!this._isRejectedMeasure(error)) {
+          throw error;
+        }
+
+        this.context.log.error(`plugin-probe: [probe: ${entry.probe}] spooled measure rejected by the storage, dropped. Reason: ${error.message}`);
+      });
+  }
+
+  /**
+   * Performs a set of operations after receiving a probe.
+   *
+   * @param {Object} probe
+   * @param {Object} measure
+   */
+  _afterMeasure(probe, measure) {
+    const
+      previousReference = probe.type === 'counter' && probe.rate ? measure.rateReference : null,
+      rateReference = previousReference ? this._computeRate(measure) : null;
+
+    // measures sent in the meantime are compared to this one
+    if (rateReference) {
+      measure.rateReference = rateReference;
+    }
+
+    return new Bluebird((resolve, reject) => {
+      if (probe.storage.type !== 'none') {
+        this._saveMeasure(probe, measure)
+          .then(() => resolve())
+          .catch(err => {
+            // if the measure cannot be saved, the next one covers both periods
+            if (rateReference && measure.rateReference === rateReference) {
+              measure.rateReference = previousReference;
+            }
+
+            reject(err);
+          });
+      } else {
+        resolve();
+      }
+    }).then(() => {
+      if (this._isExposed(probe)) {
+        this.lastMeasures[probe.name] = Object.assign({timestamp: Date.now()}, JSON.parse(JSON.stringify(measure)));
+      }
+
+      this._sendMetrics(probe, measure);
+
+      this._notifyMeasure(probe, measure);
+
+      const alertsUpdate = this._evaluateAlerts(probe, measure);
+
+      this._resetMeasure(probe, measure);
+      return alertsUpdate;
+    }).catch(err => this._showError(probe, measure, err));
+  }
+
+  /**
+   * Evaluates the alert rules of a probe against a measure
+   *
+   * A rule fires once the measured value breaches its threshold during
+   * the configured number of consecutive measures, and is resolved by the
+   * first measure not breaching it. Measures without a numeric value for
+   * the rule field do not breach it.
+   *
+   * Each transition triggers an "alert" event, and is persisted.
+   *
+   * @param {Object} probe
+   * @param {Object} measure
+   * @returns {Promise}
+   */
+  _evaluateAlerts(probe, measure) {
+    const transitions = [];
+
+    if (!probe.alerts) {
+      return Bluebird.resolve();
+    }
+
+    if (!this.alertStates[probe.name]) {
+      this.alertStates[probe.name] = {};
+    }
+
+    for (const rule of probe.alerts) {
+      const
+        value = _.get(measure, rule.field),
+        breached = typeof value === 'number' && alertOperators[rule.operator](value, rule.threshold);
+      let state = this.alertStates[probe.name][rule.name];
+
+      if (!state) {
+        state = this.alertStates[probe.name][rule.name] = {state: 'resolved', breaches: 0, since: null, value: null};
+      }
+
+      state.breaches = breached ? state.breaches + 1 : 0;
+
+      if ((breached && state.state !== 'firing' && state.breaches >= rule.consecutive) || (!breached && state.state === 'firing')) {
+        state.state = breached ? 'firing' : 'resolved';
+        state.since = Date.now();
+        state.value = typeof value === 'number' ? value : null;
+        transitions.push(rule);
+
+        const payload = {
+          probeName: probe.name,
+          alert: rule.name,
+          state: state.state,
+          field: rule.field,
+          operator: rule.operator,
+          threshold: rule.threshold,
+          value: state.value,
+          timestamp: state.since
+        };
+
+        this.context.accessors.trigger('alert', payload);
+        this._sendWebhooks(probe, 'alert', payload);
+      }
+    }
+
+    return Bluebird.each(transitions, rule => this._saveAlertState(probe.name, rule.name)
+      .catch(error => {
+        this.context.log.error(`plugin-probe: [probe: ${probe.name}] unable to save the "${rule.name}" alert state. Reason: ${error.message}`);
+      }));
+  }
+
+  /**
+   * Persists an alert rule state, creating the alerts collection if needed
+   *
+   * @param {string} probeName
+   * @param {string} alertName
+   * @returns {Promise}
+   */
+  _saveAlertState(probeName, alertName) {
+    const state = this.alertStates[probeName][alertName];
+
+    return this._createAlertsCollection()
+      .then(() => this.context.accessors.execute(this.context.constructors.Request({
+        index: this.index,
+        collection: this.alertsCollection,
+        _id: `${probeName}/${alertName}`,
+        controller: 'document',
+        action: 'createOrReplace',
+        body: {
+          probeName,
+          alert: alertName,
+          state: state.state,
+          since: state.since,
+          value: state.value
+        }
+      })));
+  }
+
+  /**
+   * Creates the collection storing alerts states, unless it exists
+   *
+   * @returns {Promise}
+   */
+  _createAlertsCollection() {
+    if (this.alertsCollectionReady) {
+      return Bluebird.resolve();
+    }
+
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: this.index,
+      collection: this.alertsCollection,
+      controller: 'collection',
+      action: 'create'
+    }))
+      .then(() => this.context.accessors.execute(this.context.constructors.Request({
+        index: this.index,
+        collection: this.alertsCollection,
+        controller: 'collection',
+        action: 'updateMapping',
+        body: {
+          properties: {
+            probeName: {type: 'keyword'},
+            alert: {type: 'keyword'},
+            state: {type: 'keyword'},
+            since: {type: 'date', format: 'epoch_millis'},
+            value: {type: 'double'}
+          }
+        }
+      })))
+      .then(() => {
+        this.alertsCollectionReady = true;
+      });
+  }
+
+  /**
+   * Loads the persisted alerts states of running probes, if the alerts
+   * collection exists
+   *
+   * Breaches counts are not persisted: firing alerts need a measure not
+   * breaching their threshold to be resolved, and resolved alerts need
+   * the configured number of consecutive breaches to fire.
+   *
+   * @param {string[]} collections - existing collections of the storage index
+   * @returns {Promise}
+   */
+  _loadAlertStates(collections) {
+    if (collections.indexOf(this.alertsCollection) === -1) {
+      return Bluebird.resolve();
+    }
+
+    this.alertsCollectionReady = true;
+
+    return this.context.accessors.execute(this.context.constructors.Request({
+      index: this.index,
+      collection: this.alertsCollection,
+      controller: 'document',
+      action: 'search',
+      body: {},
+      from: 0,
+      size: maxStoredAlerts
+    }))
+      .then(response => {
+        for (const hit of response.result.hits) {
+          const
+            probe = this.probes[hit._source.probeName],
+            alert = hit._source.alert;
+
+          if (probe && probe.alerts && probe.alerts.some(rule => rule.name === alert)) {
+            _.set(this.alertStates, [probe.name, alert], {
+              state: hit._source.state,
+              breaches: 0,
+              since: hit._source.since,
+              value: hit._source.value
+            });
+          }
+        }
+      })
+      .catch(error => {
+        this.context.log.error(`plugin-probe: unable to load alerts states. Reason: ${error.message}`);
+      });
+  }
+
+  /**
+   * Computes the counter variation and its rate per second since the
+   * last saved measure
+   *
+   * The rate is null if no time elapsed since the last saved measure.
+   *
+   * @param {Object} measure - counter measure
+   * @returns {{count: number, time: number}} reference for the next measure
+   */
+  _computeRate(measure) {
+    const
+      time = Date.now(),
+      elapsed = time - measure.rateReference.time;
+
+    measure.delta = measure.count - measure.rateReference.count;
+    measure.ratePerSecond = elapsed > 0 ? measure.delta * 1000 / elapsed : null;
+
+    return {count: measure.count, time};
+  }
+
+  /**
+   * Uses the current counter value as the reference to compute the next
+   * measure rate
+   *
+   * @param {Object} measure - counter measure
+   */
+  _setRateReference(measure) {
+    measure.rateReference = {count: measure.count, time: Date.now()};
+  }
+
+  /**
+   * Triggers a custom event to notify that KDC received a measure, and
+   * sends it to the webhooks accepting measures.
+   *
+   * @param {Object} probe
+   * @param {Object} measure
+   */
+  _notifyMeasure(probe, measure) {
+    const payload = {
+      data: JSON.parse(JSON.stringify(measure)),
+      probeName: probe.name
+    };
+
+    this.context.accessors.trigger('receivedMeasure', payload);
+    this._sendWebhooks(probe, 'measure', payload);
+  }
+
+  /**
+   * Reset the provided measure, if the probe configuration allows it
+   *
+   * @param {Object} probe
+   * @param {Object} measure
+   */
+  _resetMeasure(probe, measure) {
+    if (probe.type === 'monitor') {
+      for (const event of Object.keys(measure)) {
+        measure[event] = 0;
+      }
+    }
+
+    if (['watcher', 'sampler'].indexOf(probe.type) > -1) {
+      if (measure.count !== undefined) {
+        measure.count = 0;
+      }
+
+      if (measure.groupCounts) {
+        measure.groupCounts.clear();
+      }
+
+      if (measure.aggregates) {
+        measure.aggregates = this._initializeAggregates(probe);
+      }
+
+      if (measure.content) {
+        measure.content = [];
+        measure.contentOrigins = [];
+      }
+    }
+
+    if (probe.type === 'histogram') {
+      Object.assign(measure, this._initializeHistogram(probe));
+    }
+
+    if (probe.type === 'cardinality') {
+      measure.count = 0;
+      measure.sketch.clear();
+    }
+
+    if (probe.type === 'topk') {
+      measure.count = 0;
+      measure.summary.clear();
+    }
+
+    // gauges keep their last known value
+    if (probe.type === 'gauge') {
+      measure.min = measure.max = measure.avg = measure.last;
+      measure.count = 0;
+    }
+
+    // counters split per origin stay cumulative
+    if (probe.splitBy) {
+      if (probe.type === 'monitor') {
+        measure.split.clear();
+      }
+
+      measure.splitUpdates.clear();
+    }
+
+    measure.origins.clear();
+  }
+
+  /**
+   * Checks and normalizes a probe rollup tiers configuration:
+   *  {
+   *    raw: '7d',
+   *    tiers: [
+   *      {bucket: '1h', keep: '90d'},
+   *      {bucket: '1d'}
+   *    ]
+   *  }
+   *
+   * Durations are converted to milliseconds, and each tier gets the name
+   * of the collection storing its rollups.
+   *
+   * @param {Object} probe - probe configuration
+   * @returns {{raw: number, tiers: Array<{bucket: number, keep: number, collection: string}>}}
+   */
+  _configureRollups(probe) {
+    const
+      rollups = probe.rollups,
+      prefix = `plugin-probe: [probe: ${probe.name}]`,
+      tiers = [];
+
+    if (aggregableProbeTypes.indexOf(probe.type) === -1) {
+      throw new Error(`${prefix} Configuration error: ${probe.type} probes measures cannot be rolled up`);
+    }
+
+    if (probe.storage.type !== 'kuzzle') {
+      throw new Error(`${prefix} Configuration error: "rollups" can only be used with probes stored in Kuzzle`);
+    }
+
+    if (typeof rollups !== 'object' || !Array.isArray(rollups.tiers) || rollups.tiers.length === 0) {
+      throw new Error(`${prefix} Invalid "rollups" format: expected an object with "raw" and "tiers" parameters`);
+    }
+
+    const raw = this._parseDuration(rollups.raw);
+
+    if (isNaN(raw)) {
+      throw new Error(`${prefix} Invalid "rollups.raw" parameter: expected a duration`);
+    }
+
+    rollups.tiers.forEach((config, i) => {
+      const
+        previous = i === 0 ? {bucket: null, keep: raw} : tiers[i - 1],
+        tier = {
+          bucket: this._parseDuration(config && config.bucket),
+          keep: null
+        };
+
+      if (isNaN(tier.bucket)) {
+        throw new Error(`${prefix} Invalid rollup tier #${i}: "bucket" must be a duration`);
+      }
+
+      if (previous.bucket && tier.bucket % previous.bucket !== 0) {
+        throw new Error(`${prefix} Invalid rollup tier #${i}: "bucket" must be a multiple of the previous tier bucket`);
+      }
+
+      if (config.keep !== undefined && config.keep !== null) {
+        tier.keep = this._parseDuration(config.keep);
+
+        if (isNaN(tier.keep) || tier.keep <= previous.keep) {
+          throw new Error(`${prefix} Invalid rollup tier #${i}: "keep" must be a duration greater than the previous tier retention`);
+        }
+      }
+      else if (i < rollups.tiers.length - 1) {
+        throw new Error(`${prefix} Invalid rollup tier #${i}: "keep" is required for all tiers but the last one`);
+      }
+
+      // uses the short duration format in collection names, if exact
+      tier.collection = `${probe.name}-rollup-${ms(ms(tier.bucket)) === tier.bucket ? ms(tier.bucket) : tier.bucket}`;
+      tiers.push(tier);
+    });
+
+    return {raw, tiers};
+  }
+
+  /**
+   * Checks and normalizes a probe alert rules:
+   *  [
+   *    {name: 'alert name', field: 'count', operator: '>', threshold: 1000, consecutive: 3}
+   *  ]
+   *
+   * @param {Object} probe - probe configuration
+   * @returns {Array<Object>} alert rules
+   */
+  _configureAlerts(probe) {
+    const prefix = `plugin-probe: [probe: ${probe.name}]`;
+
+    if (!Array.isArray(probe.alerts)) {
+      throw new Error(`${prefix} Invalid "alerts" format: expected an array of alert rules`);
+    }
+
+    return probe.alerts.map((rule, i) => {
+      if (!rule || typeof rule.name !== 'string' || rule.name.length === 0) {
+        throw new Error(`${prefix} Invalid alert rule #${i}: "name" parameter missing`);
+      }
+
+      if (probe.alerts.findIndex(other => other && other.name === rule.name) !== i) {
+        throw new Error(`${prefix} Invalid alert rule #${i}: duplicate name "${rule.name}"`);
+      }
+
+      if (!rule.field || typeof rule.field !== 'string') {
+        throw new Error(`${prefix} Invalid alert rule "${rule.name}": "field" parameter missing`);
+      }
+
+      if (!alertOperators[rule.operator]) {
+        throw new Error(`${prefix} Invalid alert rule "${rule.name}": "operator" must be one of ${Object.keys(alertOperators).join(', ')}`);
+      }
+
+      if (typeof rule.threshold !== 'number' || !isFinite(rule.threshold)) {
+        throw new Error(`${prefix} Invalid alert rule "${rule.name}": "threshold" must be a number`);
+      }
+
+      const consecutive = rule.consecutive === undefined || rule.consecutive === null ? 1 : rule.consecutive;
+
+      if (!Number.isInteger(consecutive) || consecutive < 1) {
+        throw new Error(`${prefix} Invalid alert rule "${rule.name}": "consecutive" must be a positive integer`);
+      }
+
+      return {
+        name: rule.name,
+        field: rule.field,
+        operator: rule.operator,
+        threshold: rule.threshold,
+        consecutive
+      };
+    });
+  }
+
+  /**
+   * Checks and normalizes webhooks configurations:
+   *  [
+   *    {
+   *      url: 'https://example.com/measures',
+   *      events: ['measure', 'alert'],
+   *      secret: 'HMAC secret',
+   *      timeout: '5s',
+   *      retries: 3,
+   *      backoff: '1s',
+   *      queueSize: 1000
+   *    }
+   *  ]
+   *
+   * @param {Array<Object>} webhooks
+   * @param {string} prefix - error messages prefix
+   * @returns {Array<Object>} webhooks configurations, with default values
+   *                          and durations in milliseconds
+   */
+  _configureWebhooks(webhooks, prefix) {
+    if (!Array.isArray(webhooks)) {
+      throw new Error(`${prefix} Invalid "webhooks" format: expected an array of webhooks`);
+    }
+
+    return webhooks.map((config, i) => {
+      const webhook = Object.assign({}, defaultWebhookConfig, config);
+
+      if (typeof webhook.url !== 'string' || !/^https?:\/\/[^/]/.test(webhook.url)) {
+        throw new Error(`${prefix} Invalid webhook #${i}: "url" must be an HTTP or HTTPS URL`);
+      }
+
+      if (!Array.isArray(webhook.events) || webhook.events.length === 0 || webhook.events.some(event => webhookEvents.indexOf(event) === -1)) {
+        throw new Error(`${prefix} Invalid webhook #${i}: "events" must be a list of ${webhookEvents.join(', ')}`);
+      }
+
+      if (webhook.secret !== null && (typeof webhook.secret !== 'string' || webhook.secret.length === 0)) {
+        throw new Error(`${prefix} Invalid webhook #${i}: "secret" must be a non-empty string`);
+      }
+
+      for (const param of ['timeout', 'backoff']) {
+        webhook[param] = this._parseDuration(webhook[param]);
+
+        if (isNaN(webhook[param])) {
+          throw new Error(`${prefix} Invalid webhook #${i}: "${param}" must be a duration`);
+        }
+      }
+
+      if (!Number.isInteger(webhook.retries) || webhook.retries < 0) {
+        throw new Error(`${prefix} Invalid webhook #${i}: "retries" must be a positive integer or 0`);
+      }
+
+      if (!Number.isInteger(webhook.queueSize) || webhook.queueSize < 1) {
+        throw new Error(`${prefix} Invalid webhook #${i}: "queueSize" must be a positive integer`);
+      }
+
+      return webhook;
+    });
+  }
+
+  /**
+   * Creates the notifiers of the webhooks configured on a probe
+   *
+   * @param {Object} probe
+   * @returns {WebhookNotifier[]}
+   */
+  _createNotifiers(probe) {
+    return (probe.webhooks || []).map(webhook => new WebhookNotifier(webhook, this.context.log));
+  }
+
+  /**
+   * Sends a notification to the global webhooks, and to the webhooks
+   * configured on the probe, if they accept this kind of notification
+   *
+   * @param {Object} probe
+   * @param {string} event - "measure" or "alert"
+   * @param {Object} payload
+   */
+  _sendWebhooks(probe, event, payload) {
+    for (const notifier of this.globalNotifiers.concat(this.notifiers[probe.name] || [])) {
+      if (notifier.config.events.indexOf(event) > -1) {
+        notifier.notify(event, payload);
+      }
+    }
+  }
+
+  /**
+   * Executes a measures batch entry with the corresponding measure action.
+   * The entry is executed with a request derived from the batch one.
+   *
+   * @param {KuzzleRequest} request - batch request
+   * @param {Object} entry
+   * @param {number} i - entry position in the batch
+   * @returns {Promise}
+   */
+  _dispatchBatchEntry(request, entry, i) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new this.context.errors.BadRequestError(`plugin-probe: invalid batch entry #${i}. Expected an object`);
+    }
+
+    if (batchActions.indexOf(entry.action) === -1) {
+      throw new this.context.errors.BadRequestError(`plugin-probe: invalid batch entry #${i}: unknown action "${entry.action}". Expected one of ${batchActions.join(', ')}`);
+    }
+
+    const origin = request.input.body.origin;
+
+    return this[entry.action](this.context.constructors.Request(request, {
+      controller: 'measure',
+      action: entry.action,
+      body: Object.assign(origin === undefined ? {} : {origin}, _.omit(entry, 'action'))
+    }));
+  }
+
+  /**
+   * Checks and normalizes the measures spool configuration:
+   *  {
+   *    path: 'spool directory',
+   *    maxSize: 10000,
+   *    retryDelay: '1s',
+   *    maxRetryDelay: '5m'
+   *  }
+   *
+   * @param {Object} spool
+   * @returns {Object} spool configuration, with default values and
+   *                   durations in milliseconds
+   */
+  _configureSpool(spool) {
+    if (!spool || typeof spool !== 'object' || Array.isArray(spool)) {
+      throw new Error('plugin-probe: invalid spool configuration: expected an object');
+    }
+
+    const config = Object.assign({}, defaultSpoolConfig, spool);
+
+    if (typeof config.path !== 'string' || config.path.length === 0) {
+      throw new Error('plugin-probe: invalid spool "path": expected a non-empty string');
+    }
+
+    if (!Number.isInteger(config.maxSize) || config.maxSize < 1) {
+      throw new Error('plugin-probe: invalid spool "maxSize": expected a positive integer');
+    }
+
+    for (const param of ['retryDelay', 'maxRetryDelay']) {
+      config[param] = this._parseDuration(config[param]);
+
+      if (isNaN(config[param])) {
+        throw new Error(`plugin-probe: invalid spool "${param}": expected a duration`);
+      }
+    }
+
+    if (config.maxRetryDelay < config.retryDelay) {
+      throw new Error('plugin-probe: invalid spool "maxRetryDelay": expected a duration greater than or equal to "retryDelay"');
+    }
+
+    return config;
+  }
+
+  /**
+   * Checks and normalizes a probe storage configuration, either a storage
+   * type or an object:
+   *  - 'kuzzle' or {type: 'kuzzle', index: 'index name'} (default): measures
+   *    are stored in Kuzzle, in the storage index or in the provided index
+   *  - {type: 'file', path: 'measures.jsonl'}: measures are appended to a
+   *    newline-delimited JSON file
+   *  - 'none': measures are not stored. Probes with the deprecated
+   *    "volatile" parameter set to true are not stored either
+   *  - {type: 'custom', module: 'module name or path', options: {...}}:
+   *    measures are saved by a user-supplied storage backend
+   *
+   * @param {Object} probe - probe configuration
+   * @returns {Object} storage configuration, as an object
+   */
+  _configureStorage(probe) {
+    const prefix = `plugin-probe: [probe: ${probe.name}]`;
+    let storage = probe.storage;
+
+    if (storage === undefined || storage === null) {
+      storage = probe.volatile ? 'none' : 'kuzzle';
+    }
+    else if (probe.volatile) {
+      throw new Error(`${prefix} Configuration error: "volatile" cannot be used with "storage"`);
+    }
+
+    storage = typeof storage === 'string' ? {type: storage} : Object.assign({}, storage);
+
+    if (storageTypes.indexOf(storage.type) === -1) {
+      throw new Error(`${prefix} Invalid "storage" parameter: expected one of ${storageTypes.join(', ')}`);
+    }
+
+    switch (storage.type) {
+      case 'kuzzle':
+        if (storage.index === undefined || storage.index === null) {
+          storage.index = this.index;
+        }
+
+        if (typeof storage.index !== 'string' || storage.index.length === 0) {
+          throw new Error(`${prefix} Invalid "storage" parameter: "index" must be a non-empty string`);
+        }
+        break;
+
+      case 'file':
+        if (typeof storage.path !== 'string' || storage.path.length === 0) {
+          throw new Error(`${prefix} Invalid "storage" parameter: "path" must be a non-empty string`);
+        }
+        break;
+
+      case 'custom':
+        if (typeof storage.module !== 'string' || storage.module.length === 0) {
+          throw new Error(`${prefix} Invalid "storage" parameter: "module" must be a non-empty string`);
+        }
+
+        this._loadStorageModule(storage.module, prefix);
+        break;
+
+      default:
+        break;
+    }
+
+    return storage;
+  }
+
+  /**
+   * Loads a custom storage backend module. Relative paths are resolved
+   * from the current working directory.
+   *
+   * @param {string} name - module name or path
+   * @param {string} prefix - error messages prefix
+   * @returns {Function} storage backend class
+   */
+  _loadStorageModule(name, prefix) {
+    let Backend;
+
+    try {
+      Backend = require(name.startsWith('.') ? path.resolve(name) : name);
+    }
+    catch (error) {
+      throw new Error(`${prefix} Unable to load the storage module "${name}". Reason: ${error.message}`);
+    }
+
+    if (typeof Backend !== 'function' || !Backend.prototype || typeof Backend.prototype.save !== 'function') {
+      throw new Error(`${prefix} Invalid storage module "${name}": expected a class implementing a "save" method`);
+    }
+
+    return Backend;
+  }
+
+  /**
+   * Creates the storage backend of a probe not stored in Kuzzle
+   *
+   * @param {Object} probe
+   * @returns {Object|null} storage backend, implementing save(probeName, documents),
+   *                        and optionally init(probeName)
+   */
+  _createStorage(probe) {
+    if (probe.storage.type === 'file') {
+      return new FileStorage(probe.storage.path);
+    }
+
+    if (probe.storage.type === 'custom') {
+      const Backend = this._loadStorageModule(probe.storage.module, `plugin-probe: [probe: ${probe.name}]`);
+
+      return new Backend(probe.storage.options || {}, this.context);
     }
 
-    return mapping;
+    return null;
   }
 
   /**
-   * Takes the probes configuration and returns a ready-to-use object
+   * Checks and normalizes a probe StatsD/Graphite sinks configurations:
+   *  [
+   *    {
+   *      type: 'statsd',
+   *      host: 'localhost',
+   *      port: 8125,
+   *      protocol: 'udp',
+   *      prefix: 'kdc.probe_name'
+   *    }
+   *  ]
    *
-   * @param {Object} probes - raw probes configuration
-   * @returns {Object} converted probes
+   * Default ports and protocols depend on the sink type: 8125 over UDP
+   * for StatsD, and 2003 over TCP for Graphite.
+   *
+   * @param {Object} probe - probe configuration
+   * @returns {Array<Object>} sinks configurations, with default values
    */
-  _configureProbes(probes) {
-    const output = {};
+  _configureSinks(probe) {
+    const prefix = `plugin-probe: [probe: ${probe.name}]`;
 
-    if (!probes || _.isEmpty(probes)) {
-      return output;
+    if (!this._isExposed(probe)) {
+      throw new Error(`${prefix} Configuration error: "sinks" can only be used with monitor, counter, gauge and count-only watcher probes`);
     }
 
-    for (const name of Object.keys(probes)) {
-      const probe = _.cloneDeep(probes[name]);
-      probe.name = name;
+    if (!Array.isArray(probe.sinks)) {
+      throw new Error(`${prefix} Invalid "sinks" format: expected an array of sinks`);
+    }
 
-      if (!probe.type) {
-        throw new Error(`plugin-probe: [probe: ${name}] "type" parameter missing"`);
+    return probe.sinks.map((config, i) => {
+      if (!config || !sinkDefaults[config.type]) {
+        throw new Error(`${prefix} Invalid sink #${i}: "type" must be one of ${Object.keys(sinkDefaults).join(', ')}`);
       }
 
-      if (probe.type === 'sampler' && (probe.interval === 'none' || !probe.interval)) {
-        throw new Error(`plugin-probe: [probe: ${name}] An "interval" parameter is required for sampler probes`);
+      const sink = Object.assign({
+        host: 'localhost',
+        prefix: `kdc.${this._getMetricSegment(probe.name)}`
+      }, sinkDefaults[config.type], config);
+
+      if (typeof sink.host !== 'string' || sink.host.length === 0) {
+        throw new Error(`${prefix} Invalid sink #${i}: "host" must be a non-empty string`);
       }
 
-      if (probe.interval === 'none') {
-        probe.interval = undefined;
+      if (!Number.isInteger(sink.port) || sink.port < 1 || sink.port > 65535) {
+        throw new Error(`${prefix} Invalid sink #${i}: "port" must be an integer between 1 and 65535`);
       }
-      else if (typeof probe.interval === 'string') {
-        probe.interval = ms(probe.interval);
 
-        if (isNaN(probe.interval)) {
-          throw new Error(`plugin-probe: [probe: ${name}] Invalid interval "${probe.interval}".`);
-        }
+      if (sinkProtocols.indexOf(sink.protocol) === -1) {
+        throw new Error(`${prefix} Invalid sink #${i}: "protocol" must be one of ${sinkProtocols.join(', ')}`);
       }
 
-      /*
-       In the case of a counter probe, the same event cannot be in
-       the "increasers" and in the "decreasers" lists at the same
-       time
-       */
-      if (probe.type === 'counter' && _.intersection(probe.increasers, probe.decreasers).length > 0) {
-        throw new Error(`plugin-probe: [probe: ${name}] Configuration error: an event cannot be set both to increase and to decrease a counter`);
+      if (typeof sink.prefix !== 'string' || sink.prefix.length === 0) {
+        throw new Error(`${prefix} Invalid sink #${i}: "prefix" must be a non-empty string`);
       }
 
-      /*
-       watcher and sampler configuration check
-       */
-      if (['watcher', 'sampler'].indexOf(probe.type) > -1) {
-        if (!probe.index || !probe.collection) {
-          throw new Error(`plugin-probe: [probe: ${name}] Configuration error: missing index or collection`);
-        }
+      return sink;
+    });
+  }
 
-        // checking if the "collects" parameter is correct
-        if (probe.collects) {
-          if (typeof probe.collects !== 'string' && !Array.isArray(probe.collects)) {
-            throw new Error(`plugin-probe: [probe: ${name}] Invalid "collects" format: expected array or string, got ${typeof probe.collects}`);
-          }
+  /**
+   * Creates the StatsD/Graphite sinks configured on a probe
+   *
+   * @param {Object} probe
+   * @returns {MetricsSink[]}
+   */
+  _createSinks(probe) {
+    return (probe.sinks || []).map(sink => new MetricsSink(sink, this.context.log));
+  }
 
-          if (typeof probe.collects === 'string' && probe.collects !== '*') {
-            throw new Error(`plugin-probe: [probe: ${name}] Invalid "collects" value`);
-          }
+  /**
+   * Closes the StatsD/Graphite sinks of a probe
+   *
+   * @param {string} name - probe name
+   */
+  _closeSinks(name) {
+    for (const sink of this.sinks[name] || []) {
+      sink.close();
+    }
+  }
 
-          if (Array.isArray(probe.collects) && probe.collects.length === 0) {
-            probe.collects = null;
-          }
-        }
+  /**
+   * Sends a measure values to the StatsD/Graphite sinks of its probe
+   *
+   * Metrics are named after the sink prefix, followed by the monitored
+   * event (monitor probes), the statistic (gauge probes) or "count"
+   * (counter and watcher probes). Monitor and watcher values are counted
+   * during a measure interval, and sent as StatsD counters, while other
+   * values are sent as StatsD gauges.
+   *
+   * @param {Object} probe
+   * @param {Object} measure
+   */
+  _sendMetrics(probe, measure) {
+    const sinks = this.sinks[probe.name];
 
-        // the "collects" parameter is required for sampler probes
-        if (probe.type === 'sampler' && !probe.collects) {
-          throw new Error(`plugin-probe: [probe: ${name}] A "collects" parameter is required for sampler probes`);
-        }
+    if (!sinks || sinks.length === 0) {
+      return;
+    }
 
-        // forcing an empty filter if not defined
-        if (probe.filter === undefined || probe.filter === null) {
-          probe.filter = {};
-        }
-      }
+    const
+      type = ['monitor', 'watcher'].indexOf(probe.type) > -1 ? 'counter' : 'gauge',
+      timestamp = measure.timestamp || Date.now(),
+      samples = this._getMetricSamples(probe, measure);
 
-      // sampler probe specific check
-      if (probe.type === 'sampler') {
-        if (!probe.sampleSize) {
-          throw new Error(`plugin-probe: [probe: ${name}] "sampleSize" parameter missing`);
-        }
+    for (const sink of sinks) {
+      const metrics = samples.map(sample => {
+        const segments = Object.keys(sample.labels).map(label => this._getMetricSegment(String(sample.labels[label])));
 
-        if (typeof probe.sampleSize !== 'number') {
-          throw new Error(`plugin-probe: [probe: ${name}] invalid "sampleSize" parameter. Expected a number, got a ${typeof probe.sampleSize}`);
-        }
-      }
+        return {
+          name: [sink.config.prefix].concat(segments.length > 0 ? segments : 'count').join('.'),
+          value: sample.value,
+          type
+        };
+      });
 
-      output[name] = probe;
+      sink.send(metrics, timestamp);
     }
-
-    return output;
   }
 
   /**
-   * Returns an initializ "measures" object from the current probes
-   * configuration
+   * Converts a probe name or an event name to a StatsD/Graphite metric
+   * name segment
    *
-   * @param {Object} probes configuration
-   * @returns {Object} new measures object
+   * @param {string} name
+   * @returns {string}
    */
-  _initializeMeasures(probes) {
-    const measures = {};
+  _getMetricSegment(name) {
+    return name.replace(/[^a-zA-Z0-9_-]/g, '_');
+  }
 
-    for (const name of Object.keys(probes)) {
-      measures[name] = {};
+  /**
+   * Converts a duration to milliseconds. Durations are either numbers of
+   * milliseconds, or strings in human readable format, using the "ms"
+   * conversion library
+   *
+   * @param {number|string} value
+   * @returns {number} NaN if the duration is invalid
+   */
+  _parseDuration(value) {
+    const duration = typeof value === 'string' ? ms(value) : value;
 
-      switch (probes[name].type) {
-        case 'monitor':
-          for (const hook of probes[name].hooks) {
-            measures[name][hook] = 0;
-          }
-          break;
+    return Number.isInteger(duration) && duration > 0 ? duration : NaN;
+  }
 
-        case 'counter':
-          measures[name].count = 0;
-          break;
+  /**
+   * Returns an empty histogram measure
+   *
+   * @param {Object} probe
+   * @returns {Object}
+   */
+  _initializeHistogram(probe) {
+    const
+      buckets = [],
+      percentiles = {};
 
-        case 'watcher':
-          if (probes[name].collects) {
-            measures[name].content = [];
-          }
-          else {
-            measures[name].count = 0;
-          }
-          break;
+    for (let i = 0; i <= probe.buckets.length; i++) {
+      const bucket = {};
 
-        case 'sampler':
-          measures[name].content = [];
-          measures[name].count = 0;
-          break;
+      if (i > 0) {
+        bucket.from = probe.buckets[i - 1];
+      }
 
-        default:
-          throw new Error(`The probe type ${probes[name].type} is unknown`);
+      if (i < probe.buckets.length) {
+        bucket.to = probe.buckets[i];
       }
+
+      bucket.count = 0;
+      buckets.push(bucket);
     }
 
-    return measures;
+    for (const percentile of probe.percentiles) {
+      percentiles[this._getPercentileName(percentile)] = null;
+    }
+
+    return {
+      count: 0,
+      sum: 0,
+      min: null,
+      max: null,
+      buckets,
+      percentiles
+    };
   }
 
   /**
-   * Saves the current measure to the database
-   *
-   * There are two kinds of measures:
-   *  - single document measure, for instance a measure coming from a counter probe
-   *  - measures containing a set of content. These measures generate
-   *      1 document per content. For instance sampler probes generate a statistical
-   *      sample set of documents/messages.
-   *      These measures generates as many measure documents than collected contents.
+   * Adds a value to a histogram measure, and updates its percentiles
    *
    * @param {Object} probe
    * @param {Object} measure
+   * @param {number} value
    */
-  _saveMeasure(probe, measure) {
-    const
-      timestamp = Date.now();
-    let
-      promise,
-      request;
+  _addHistogramValue(probe, measure, value) {
+    let bucket = _.findIndex(measure.buckets, b => b.to === undefined || value < b.to);
 
-    if (measure.content) {
-      if (measure.content.length === 0) {
-        return Bluebird.resolve(false);
-      }
+    measure.buckets[bucket].count++;
+    measure.count++;
+    measure.sum += value;
+    measure.min = measure.min === null ? value : Math.min(measure.min, value);
+    measure.max = measure.max === null ? value : Math.max(measure.max, value);
 
-      request = [];
-
-      for (const content of measure.content) {
-        request.push({
-          index: {
-            _index: this.index,
-            _type: probe.name
-          }
-        });
+    for (const percentile of probe.percentiles) {
+      const rank = percentile / 100 * measure.count;
+      let cumulated = 0;
 
-        request.push({
-          timestamp,
-          content
-        });
+      bucket = 0;
+      while (cumulated + measure.buckets[bucket].count < rank) {
+        cumulated += measure.buckets[bucket].count;
+        bucket++;
       }
 
-      promise = this.context.accessors.execute(this.context.constructors.Request({
-        index: this.index,
-        collection: probe.name,
-        controller: 'bulk',
-        action: 'import',
-        body: {
-          bulkData: request
-        }
-      }));
-    }
-    else {
-      request = measure;
-      request.timestamp = timestamp;
+      const
+        lower = Math.max(measure.buckets[bucket].from !== undefined ? measure.buckets[bucket].from : -Infinity, measure.min),
+        upper = Math.min(measure.buckets[bucket].to !== undefined ? measure.buckets[bucket].to : Infinity, measure.max);
 
-      try {
-        promise = this.context.accessors.execute(this.context.constructors.Request({
-          index: this.index,
-          collection: probe.name,
-          controller: 'document',
-          action: 'create',
-          body: JSON.parse(JSON.stringify(request))
-        }, {
-          user: {
-            _id: null
-          }
-        }));
-      }
-      catch (error) {
-        promise = Bluebird.reject(error);
-      }
+      measure.percentiles[this._getPercentileName(percentile)] =
+        lower + (upper - lower) * (rank - cumulated) / measure.buckets[bucket].count;
     }
+  }
 
-    return promise;
+  /**
+   * Returns the measure field name of a percentile (e.g. 99.9 => "p99_9")
+   *
+   * @param {number} percentile
+   * @returns {string}
+   */
+  _getPercentileName(percentile) {
+    return `p${String(percentile).replace('.', '_')}`;
   }
 
   /**
-   * Performs a set of operations after receiving a probe.
+   * Register probes watching documents/messages in the DSL
    *
-   * @param {Object} probe
-   * @param {Object} measure
+   * @param {Object} probes
+   * @returns {Object} Instantiated DSL
    */
-  _afterMeasure(probe, measure) {
-    return new Bluebird((resolve, reject) => {
-      if (!probe.volatile) {
-        this._saveMeasure(probe, measure)
-          .then(() => resolve())
-          .catch(err => reject(err));
-      } else {
-        resolve();
-      }
-    }).then(() => {
-      this._notifyMeasure(probe, measure);
-      this._resetMeasure(probe, measure);
-      return;
-    }).catch(err => this._showError(probe, measure, err));
+  _prepareDsl(probes) {
+    const
+      dsl = new this.context.constructors.Dsl(),
+      promises = [];
+
+    for (const name of Object.keys(probes)) {
+      promises.push(this._registerFilter(dsl, probes[name]));
+    }
+
+    return Bluebird.all(promises).then(() => dsl);
   }
 
   /**
-   * Triggers a custom event to notify that KDC received a measure.
+   * Registers the filter of a probe watching documents/messages in the DSL,
+   * and stores the resulting filter identifier in the probe
    *
+   * @param {Object} dsl
    * @param {Object} probe
-   * @param {Object} measure
+   * @returns {Promise}
    */
-  _notifyMeasure(probe, measure) {
-    this.context.accessors.trigger('receivedMeasure', {
-      data: JSON.parse(JSON.stringify(measure)),
-      probeName: probe.name
-    });
+  _registerFilter(dsl, probe) {
+    if (dslProbeTypes.indexOf(probe.type) === -1) {
+      return Bluebird.resolve();
+    }
+
+    return Bluebird.resolve(dsl.register(probe.index, probe.collection, probe.filter))
+      .then(result => {
+        probe.filterId = result.id;
+      });
   }
 
   /**
-   * Reset the provided measure, if the probe configuration allows it
+   * Counts a document/message in its group, for watcher probes configured
+   * with a "groupBy" parameter.
+   *
+   * Missing, null or empty values are replaced by "__missing__".
    *
    * @param {Object} probe
    * @param {Object} measure
+   * @param {Object} content - document/message content
    */
-  _resetMeasure(probe, measure) {
-    if (probe.type === 'monitor') {
-      for (const event of Object.keys(measure)) {
-        measure[event] = 0;
+  _countGroup(probe, measure, content) {
+    let key = probe.groupBy
+      .map(jsonPath => {
+        const value = _.get(content, jsonPath);
+
+        return value === undefined || value === null || value === '' ? '__missing__' : String(value);
+      })
+      .join('|');
+
+    if (!measure.groupCounts.has(key)) {
+      const groupsCount = measure.groupCounts.size - (measure.groupCounts.has(otherGroup) ? 1 : 0);
+
+      if (groupsCount >= probe.maxGroups) {
+        key = otherGroup;
       }
     }
 
-    if (['watcher', 'sampler'].indexOf(probe.type) > -1) {
-      if (measure.count !== undefined) {
-        measure.count = 0;
-      }
+    measure.groupCounts.set(key, (measure.groupCounts.get(key) || 0) + 1);
+  }
 
-      if (measure.content) {
-        measure.content = [];
+  /**
+   * Returns empty aggregated values, for watcher probes configured with an
+   * "aggregates" parameter
+   *
+   * @param {Object} probe
+   * @returns {Object}
+   */
+  _initializeAggregates(probe) {
+    const aggregates = {};
+
+    for (const field of Object.keys(probe.aggregates)) {
+      const values = {count: 0};
+
+      for (const aggregation of probe.aggregates[field]) {
+        values[aggregation] = aggregation === 'sum' ? 0 : null;
       }
+
+      _.set(aggregates, field, values);
     }
+
+    return aggregates;
   }
 
   /**
-   * Register watcher and sampler probes in the DSL
+   * Updates the aggregated values of a watcher probe with the fields of a
+   * document/message. Non-numeric fields are ignored.
    *
-   * @param {Object} probes
-   * @returns {Object} Instantiated DSL
+   * @param {Object} probe
+   * @param {Object} measure
+   * @param {Object} content - document/message content
    */
-  _prepareDsl(probes) {
-    const
-      dsl = new this.context.constructors.Dsl(),
-      promises = [];
+  _aggregateFields(probe, measure, content) {
+    for (const field of Object.keys(probe.aggregates)) {
+      const
+        value = _.get(content, field),
+        values = _.get(measure.aggregates, field);
 
-    for (const name of Object.keys(probes)) {
-      const probe = probes[name];
+      if (typeof value !== 'number' || !isFinite(value)) {
+        continue;
+      }
 
-      if (['watcher', 'sampler'].indexOf(probe.type) > -1) {
-        promises.push(
-          dsl
-            .register(probe.index, probe.collection, probe.filter)
-            .then(result => {
-              probe.filterId = result.id;
-            })
-        );
+      values.count++;
+
+      for (const aggregation of probe.aggregates[field]) {
+        switch (aggregation) {
+          case 'sum':
+            values.sum += value;
+            break;
+          case 'avg':
+            values.avg = values.count === 1 ? value : values.avg + (value - values.avg) / values.count;
+            break;
+          case 'min':
+            values.min = values.min === null ? value : Math.min(values.min, value);
+            break;
+          case 'max':
+            values.max = values.max === null ? value : Math.max(values.max, value);
+            break;
+        }
       }
     }
-
-    return Bluebird.all(promises).then(() => dsl);
   }
 
   /**
@@ -0,0 +1,252 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const
+  fs = require('fs'),
+  path = require('path'),
+  mkdirp = require('mkdirp'),
+  longTimeout = require('long-timeout'),
+  Bluebird = require('bluebird');
+
+/**
+ * On-disk write-ahead buffer of measures which could not be saved.
+ *
+ * Spooled entries are appended to a newline-delimited JSON file, and
+ * replayed in order, with an exponential backoff between failed
+ * attempts. Replayed entries are removed from the file. Entries are
+ * reloaded from the file when the KDC restarts.
+ *
+ * Once the spool is full, new entries are dropped.
+ *
+ * @class MeasureSpool
+ * @param {Object} config - normalized spool configuration:
+ *   {path, maxSize, retryDelay, maxRetryDelay}
+ * @param {Object} log - logger
+ * @param {Function} replay - replays an entry, returning a promise
+ */
+class MeasureSpool {
+  constructor (config, log, replay) {
+    this.config = config;
+    this.log = log;
+    this.replay = replay;
+    this.file = path.resolve(config.path, 'spool.jsonl');
+    this.entries = [];
+    this.dropped = 0;
+    this.delay = config.retryDelay;
+    this.timer = null;
+    this.flushing = false;
+    this.writing = Bluebird.resolve();
+  }
+
+  /**
+   * Number of spooled entries
+   *
+   * @returns {number}
+   */
+  get depth () {
+    return this.entries.length;
+  }
+
+  /**
+   * Loads the entries spooled before a restart, and schedules their replay
+   *
+   * @returns {Promise}
+   */
+  load () {
+    // entries spooled until now are written before the file is read
+    const written = this.entries.length;
+
+    return this._enqueueWrite(() => Bluebird.fromCallback(callback => mkdirp(path.dirname(this.file), callback))
+      .then(() => Bluebird.fromCallback(callback => fs.readFile(this.file, 'utf8', callback)))
+      .catch(error => {
+        if (error.code === 'ENOENT') {
+          return '';
+        }
+
+        throw error;
+      })
+      .then(content => {
+        const entries = [];
+
+        for (const line of content.split('\n')) {
+          if (line.length > 0) {
+            try {
+              entries.push(JSON.parse(line));
+            }
+            catch (error) {
+              this.log.error(`plugin-probe: ignored corrupted spooled measure. Reason: ${error.message}`);
+            }
+          }
+        }
+
+        this.entries = entries.concat(this.entries.slice(written));
+        this._schedule();
+      }));
+  }
+
+  /**
+   * Tells whether measures of a probe are waiting to be replayed
+   *
+   * @param {string} probeName
+   * @returns {boolean}
+   */
+  has (probeName) {
+    return this.entries.some(entry => entry.probe === probeName);
+  }
+
+  /**
+   * Spools measure documents of a probe
+   * The returned promise is only rejected if the spool is full: entries which
+   * cannot be written to disk are still replayed from memory, and written to
+   * the spool file with its next rewrite
+   *
+   * @param {string} probeName
+   * @param {Array<Object>} documents
+   * @returns {Promise}
+   */
+  push (probeName, documents) {
+    if (this.entries.length >= this.config.maxSize) {
+      this.dropped++;
+      return Bluebird.reject(new Error(`measures spool is full (${this.config.maxSize} measures), measure dropped (${this.dropped} dropped so far)`));
+    }
+
+    const entry = {probe: probeName, documents};
+
+    this.entries.push(entry);
+    this._schedule();
+
+    return this._enqueueWrite(() => Bluebird.fromCallback(callback => fs.appendFile(this.file, JSON.stringify(entry) + '\n', callback)))
+      .catch(error => {
+        this.log.error(`plugin-probe: unable to write a measure of probe "${probeName}" to the spool file, it is lost if the plugin restarts before it is replayed. Reason: ${error.message}`);
+      });
+  }
+
+  /**
+   * Stops replaying spooled entries. Entries are kept on disk.
+   */
+  close () {
+    if (this.timer) {
+      longTimeout.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Replays spooled entries in order, until the spool is empty or an
+   * entry cannot be replayed. The spool file is then rewritten with the
+   * remaining entries.
+   *
+   * @returns {Promise}
+   */
+  flush () {
+    if (this.flushing) {
+      return Bluebird.resolve();
+    }
+
+    let replayed = 0;
+
+    this.flushing = true;
+    this.close();
+
+    const next = () => {
+      if (replayed >= this.entries.length) {
+        return Bluebird.resolve();
+      }
+
+      return Bluebird.try(() => this.replay(this.entries[replayed]))
+        .then(() => {
+          replayed++;
+          return next();
+        });
+    };
+
+    return next()
+      .then(() => {
+        this.delay = this.config.retryDelay;
+      })
+      .catch(error => {
+        this.log.warn(`plugin-probe: unable to replay spooled measures, next attempt in ${this.delay}ms. Reason: ${error.message}`);
+        this.delay = Math.min(this.delay * 2, this.config.maxRetryDelay);
+      })
+      .then(() => {
+        if (replayed === 0) {
+          return;
+        }
+
+        this.entries.splice(0, replayed);
+
+        // entries spooled from now on are appended after the rewrite
+        const content = this.entries.map(entry => JSON.stringify(entry) + '\n').join('');
+
+        return this._enqueueWrite(() => this._rewrite(content));
+      })
+      .catch(error => {
+        this.log.error(`plugin-probe: unable to update the measures spool file. Reason: ${error.message}`);
+      })
+      .finally(() => {
+        this.flushing = false;
+        this._schedule();
+      });
+  }
+
+  /**
+   * Schedules the next replay, if needed
+   */
+  _schedule () {
+    if (!this.timer && !this.flushing && this.entries.length > 0) {
+      this.timer = longTimeout.setTimeout(() => {
+        this.timer = null;
+        this.flush();
+      }, this.delay);
+    }
+  }
+
+  /**
+   * Replaces the spool file content
+   *
+   * @param {string} content
+   * @returns {Promise}
+   */
+  _rewrite (content) {
+    const tmpFile = `${this.file}.tmp`;
+
+    return Bluebird.fromCallback(callback => fs.writeFile(tmpFile, content, callback))
+      .then(() => Bluebird.fromCallback(callback => fs.rename(tmpFile, this.file, callback)));
+  }
+
+  /**
+   * Serializes file operations
+   *
+   * @param {Function} operation - returns a promise
+   * @returns {Promise}
+   */
+  _enqueueWrite (operation) {
+    this.writing = this.writing
+      .catch(() => {})
+      .then(operation);
+
+    return this.writing;
+  }
+}
+
+module.exports = MeasureSpool;
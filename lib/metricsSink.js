@@ -0,0 +1,196 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const
+  dgram = require('dgram'),
+  net = require('net');
+
+// Maximum size of UDP packets, fitting in a typical network MTU
+const maxPacketSize = 1432;
+
+// Maximum amount of data waiting to be sent over TCP, in bytes
+const maxBufferSize = 1024 * 1024;
+
+/**
+ * Sends metrics to a StatsD or Graphite (plaintext protocol) endpoint,
+ * over UDP or TCP, without blocking the caller.
+ *
+ * StatsD counters are sent with the "c" type, and other metrics as
+ * gauges ("g" type). Graphite metrics are timestamped with the measure time.
+ *
+ * UDP metrics are sent in as few packets as possible. TCP connections
+ * are kept open and reopened on the next sent metrics if they are closed.
+ * Metrics which cannot be sent are dropped.
+ *
+ * @class MetricsSink
+ * @param {Object} config - normalized sink configuration:
+ *   {type, host, port, protocol, prefix}
+ * @param {Object} log - logger
+ */
+class MetricsSink {
+  constructor (config, log) {
+    this.config = config;
+    this.log = log;
+    this.socket = null;
+  }
+
+  /**
+   * Sends metrics
+   *
+   * @param {Array<{name: string, value: number, type: string}>} metrics -
+   *   metric types are either "counter" or "gauge"
+   * @param {number} timestamp - measure time, in milliseconds since Epoch
+   */
+  send (metrics, timestamp) {
+    const lines = [];
+
+    for (const metric of metrics) {
+      if (this.config.type === 'graphite') {
+        lines.push(`${metric.name} ${metric.value} ${Math.floor(timestamp / 1000)}`);
+        continue;
+      }
+
+      // signed gauge values are variations: gauges are reset first
+      if (metric.type === 'gauge' && metric.value < 0) {
+        lines.push(`${metric.name}:0|g`);
+      }
+
+      lines.push(`${metric.name}:${metric.value}|${metric.type === 'counter' ? 'c' : 'g'}`);
+    }
+
+    if (lines.length === 0) {
+      return;
+    }
+
+    if (this.config.protocol === 'udp') {
+      this._sendPackets(lines);
+    }
+    else {
+      this._write(lines);
+    }
+  }
+
+  /**
+   * Closes the sink socket, if any
+   */
+  close () {
+    if (!this.socket) {
+      return;
+    }
+
+    if (this.config.protocol === 'udp') {
+      this.socket.close();
+    }
+    else {
+      this.socket.destroy();
+    }
+
+    this.socket = null;
+  }
+
+  /**
+   * Sends metrics lines over UDP
+   *
+   * @param {Array<string>} lines
+   */
+  _sendPackets (lines) {
+    if (!this.socket) {
+      const socket = dgram.createSocket(net.isIPv6(this.config.host) ? 'udp6' : 'udp4');
+
+      socket.on('error', error => {
+        this._showError(error);
+        this.socket = null;
+        socket.close();
+      });
+      socket.unref();
+      this.socket = socket;
+    }
+
+    let packet = [];
+
+    for (const line of lines) {
+      if (packet.length > 0 && Buffer.byteLength(packet.concat(line).join('\n')) > maxPacketSize) {
+        this._sendPacket(packet);
+        packet = [];
+      }
+
+      packet.push(line);
+    }
+
+    this._sendPacket(packet);
+  }
+
+  /**
+   * Sends a single UDP packet
+   *
+   * @param {Array<string>} lines
+   */
+  _sendPacket (lines) {
+    // Graphite lines are newline terminated
+    const packet = lines.join('\n') + (this.config.type === 'graphite' ? '\n' : '');
+
+    this.socket.send(packet, this.config.port, this.config.host, error => {
+      if (error) {
+        this._showError(error);
+      }
+    });
+  }
+
+  /**
+   * Writes metrics lines over TCP
+   *
+   * @param {Array<string>} lines
+   */
+  _write (lines) {
+    if (!this.socket) {
+      const socket = net.connect({host: this.config.host, port: this.config.port});
+
+      socket.on('error', error => this._showError(error));
+      socket.on('close', () => {
+        if (this.socket === socket) {
+          this.socket = null;
+        }
+      });
+      socket.unref();
+      this.socket = socket;
+    }
+
+    if (this.socket.bufferSize > maxBufferSize) {
+      this.log.warn(`plugin-probe: ${this.config.type} sink ${this.config.host}:${this.config.port} is too slow, metrics dropped`);
+      return;
+    }
+
+    this.socket.write(`${lines.join('\n')}\n`);
+  }
+
+  /**
+   * Logs a network error
+   *
+   * @param {Error} error
+   */
+  _showError (error) {
+    this.log.error(`plugin-probe: ${this.config.type} sink ${this.config.host}:${this.config.port} failed to send metrics. Reason: ${error.message}`);
+  }
+}
+
+module.exports = MetricsSink;
@@ -0,0 +1,166 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Space-Saving summary (Metwally, Agrawal & El Abbadi, 2005), tracking the
+ * most frequent values of a stream using a bounded amount of memory:
+ * at most "capacity" distinct values are monitored at any time.
+ *
+ * When a new value is added while the summary is full, it replaces the
+ * least frequent monitored value and inherits its count. Counts are thus
+ * overestimated by at most the "error" reported with each value, itself
+ * bounded by (number of added values / capacity).
+ *
+ * Monitored values are kept in a min-heap ordered by count, making
+ * additions O(log(capacity)).
+ *
+ * @class SpaceSaving
+ * @param {number} capacity - maximum number of monitored values
+ */
+class SpaceSaving {
+  constructor (capacity) {
+    if (!Number.isInteger(capacity) || capacity < 1) {
+      throw new Error(`Invalid Space-Saving capacity "${capacity}": expected a positive integer`);
+    }
+
+    this.capacity = capacity;
+    this.clear();
+  }
+
+  /**
+   * Resets the summary
+   */
+  clear () {
+    this.entries = new Map();
+    this.heap = [];
+    this.total = 0;
+  }
+
+  /**
+   * Adds a value to the summary. Non-string values are serialized in JSON.
+   *
+   * @param {*} value
+   */
+  add (value) {
+    const key = typeof value === 'string' ? value : JSON.stringify(value);
+    let entry = this.entries.get(key);
+
+    this.total++;
+
+    if (entry) {
+      entry.count++;
+      this._siftDown(entry.position);
+    }
+    else if (this.heap.length < this.capacity) {
+      entry = {value: key, count: 1, error: 0, position: this.heap.length};
+      this.entries.set(key, entry);
+      this.heap.push(entry);
+      this._siftUp(entry.position);
+    }
+    else {
+      // replacing the least frequent monitored value
+      entry = this.heap[0];
+      this.entries.delete(entry.value);
+      entry.value = key;
+      entry.error = entry.count;
+      entry.count++;
+      this.entries.set(key, entry);
+      this._siftDown(0);
+    }
+  }
+
+  /**
+   * Returns the most frequent values, sorted by decreasing estimated count
+   *
+   * @param {number} [size] - maximum number of returned values (default: capacity)
+   * @returns {Array<{value: string, count: number, error: number}>}
+   */
+  top (size = this.capacity) {
+    return this.heap
+      .map(entry => ({value: entry.value, count: entry.count, error: entry.error}))
+      .sort((a, b) => b.count - a.count || a.error - b.error || (a.value < b.value ? -1 : 1))
+      .slice(0, size);
+  }
+
+  /**
+   * Moves a heap entry up until its parent count is lower than or equal to its own
+   *
+   * @param {number} position
+   */
+  _siftUp (position) {
+    while (position > 0) {
+      const parent = (position - 1) >> 1;
+
+      if (this.heap[parent].count <= this.heap[position].count) {
+        return;
+      }
+
+      this._swap(position, parent);
+      position = parent;
+    }
+  }
+
+  /**
+   * Moves a heap entry down until its children counts are greater than or equal to its own
+   *
+   * @param {number} position
+   */
+  _siftDown (position) {
+    for (;;) {
+      const
+        left = 2 * position + 1,
+        right = left + 1;
+      let smallest = position;
+
+      if (left < this.heap.length && this.heap[left].count < this.heap[smallest].count) {
+        smallest = left;
+      }
+
+      if (right < this.heap.length && this.heap[right].count < this.heap[smallest].count) {
+        smallest = right;
+      }
+
+      if (smallest === position) {
+        return;
+      }
+
+      this._swap(position, smallest);
+      position = smallest;
+    }
+  }
+
+  /**
+   * @param {number} i
+   * @param {number} j
+   */
+  _swap (i, j) {
+    const entry = this.heap[i];
+
+    this.heap[i] = this.heap[j];
+    this.heap[j] = entry;
+    this.heap[i].position = i;
+    this.heap[j].position = j;
+  }
+}
+
+module.exports = SpaceSaving;
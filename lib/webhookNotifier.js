@@ -0,0 +1,154 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const
+  crypto = require('crypto'),
+  http = require('http'),
+  https = require('https'),
+  url = require('url'),
+  Bluebird = require('bluebird');
+
+/**
+ * Posts JSON notifications to an HTTP(S) endpoint, one at a time and in
+ * order, without blocking the caller.
+ *
+ * Notifications are queued in memory: once the queue is full, new
+ * notifications are dropped. Failed deliveries (network errors, timeouts
+ * and non-2xx responses) are retried with an exponential backoff.
+ *
+ * If a secret is configured, each request is signed with a
+ * "X-Probe-Signature: sha256=<HMAC-SHA256 of the body, in hexadecimal>" header.
+ *
+ * @class WebhookNotifier
+ * @param {Object} config - normalized webhook configuration:
+ *   {url, events, secret, timeout, retries, backoff, queueSize}
+ * @param {Object} log - logger
+ */
+class WebhookNotifier {
+  constructor (config, log) {
+    this.config = config;
+    this.log = log;
+    this.url = url.parse(config.url);
+    this.queue = [];
+    this.sending = false;
+    this.dropped = 0;
+  }
+
+  /**
+   * Queues a notification
+   *
+   * @param {string} event - notification type, sent in the "X-Probe-Event" header
+   * @param {Object} payload
+   * @returns {boolean} false if the notification is dropped
+   */
+  notify (event, payload) {
+    if (this.queue.length >= this.config.queueSize) {
+      this.dropped++;
+      this.log.warn(`plugin-probe: webhook ${this.config.url} queue is full, notification dropped (${this.dropped} dropped so far)`);
+      return false;
+    }
+
+    this.queue.push({event, body: JSON.stringify(payload)});
+
+    if (!this.sending) {
+      this._sendNext();
+    }
+
+    return true;
+  }
+
+  /**
+   * Delivers queued notifications until the queue is empty
+   */
+  _sendNext () {
+    const notification = this.queue.shift();
+
+    if (!notification) {
+      this.sending = false;
+      return;
+    }
+
+    this.sending = true;
+    this._deliver(notification, 0).then(() => this._sendNext());
+  }
+
+  /**
+   * Delivers a notification, retrying on failure
+   *
+   * @param {{event: string, body: string}} notification
+   * @param {number} attempt - number of failed attempts so far
+   * @returns {Promise} never rejected
+   */
+  _deliver (notification, attempt) {
+    return this._post(notification)
+      .catch(error => {
+        if (attempt >= this.config.retries) {
+          this.log.error(`plugin-probe: webhook ${this.config.url} delivery failed after ${attempt + 1} attempts, notification dropped. Reason: ${error.message}`);
+          return;
+        }
+
+        return Bluebird.delay(this.config.backoff * Math.pow(2, attempt))
+          .then(() => this._deliver(notification, attempt + 1));
+      });
+  }
+
+  /**
+   * Sends a single HTTP POST request
+   *
+   * @param {{event: string, body: string}} notification
+   * @returns {Promise}
+   */
+  _post (notification) {
+    return new Bluebird((resolve, reject) => {
+      const
+        transport = this.url.protocol === 'https:' ? https : http,
+        headers = {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(notification.body),
+          'X-Probe-Event': notification.event
+        };
+
+      if (this.config.secret) {
+        headers['X-Probe-Signature'] = 'sha256=' + crypto.createHmac('sha256', this.config.secret).update(notification.body).digest('hex');
+      }
+
+      const request = transport.request(Object.assign({method: 'POST', headers}, this.url), response => {
+        // the response body is not used
+        response.resume();
+
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve();
+        }
+        else {
+          reject(new Error(`unexpected HTTP status ${response.statusCode}`));
+        }
+      });
+
+      request.setTimeout(this.config.timeout, () => request.destroy(new Error(`no response after ${this.config.timeout}ms`)));
+      request.on('error', reject);
+      request.end(notification.body);
+    });
+  }
+}
+
+module.exports = WebhookNotifier;
@@ -0,0 +1,244 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  Request = require('kuzzle-common-objects').Request;
+
+describe('#alerts', () => {
+  let
+    plugin,
+    fakeContext;
+
+  const
+    rule = options => Object.assign({name: 'tooMany', field: 'count', operator: '>', threshold: 2}, options),
+    configure = (alerts, config) => plugin.init(Object.assign({
+      storageIndex: 'storageIndex',
+      probes: {
+        foo: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: ['bar:baz'],
+          alerts
+        }
+      }
+    }, config), fakeContext),
+    sendEvent = event => plugin.counter(new Request({body: {event}})),
+    alertEvents = () => fakeContext.accessors.trigger.args.filter(args => args[0] === 'alert').map(args => args[1]),
+    saved = () => fakeContext.accessors.execute.args
+      .map(args => args[0])
+      .filter(request => request.input.action === 'createOrReplace');
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+    fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+  });
+
+  describe('#configuration', () => {
+    it('should normalize alert rules', () => {
+      configure([rule(), rule({name: 'tooFew', operator: '<=', threshold: 0, consecutive: 3, foo: 'bar'})]);
+
+      should(plugin.probes.foo.alerts).eql([
+        {name: 'tooMany', field: 'count', operator: '>', threshold: 2, consecutive: 1},
+        {name: 'tooFew', field: 'count', operator: '<=', threshold: 0, consecutive: 3}
+      ]);
+    });
+
+    it('should throw if alert rules are invalid', () => {
+      const prefix = 'plugin-probe: [probe: foo]';
+
+      should(() => configure({})).throw(`${prefix} Invalid "alerts" format: expected an array of alert rules`);
+      should(() => configure([rule({name: ''})])).throw(`${prefix} Invalid alert rule #0: "name" parameter missing`);
+      should(() => configure([rule(), rule()])).throw(`${prefix} Invalid alert rule #1: duplicate name "tooMany"`);
+      should(() => configure([rule({field: null})])).throw(`${prefix} Invalid alert rule "tooMany": "field" parameter missing`);
+      should(() => configure([rule({operator: '=~'})])).throw(`${prefix} Invalid alert rule "tooMany": "operator" must be one of >, >=, <, <=, ==, !=`);
+      should(() => configure([rule({threshold: '2'})])).throw(`${prefix} Invalid alert rule "tooMany": "threshold" must be a number`);
+      should(() => configure([rule({consecutive: 0})])).throw(`${prefix} Invalid alert rule "tooMany": "consecutive" must be a positive integer`);
+    });
+
+    it('should reserve the alerts collection name', () => {
+      should(() => plugin.init({storageIndex: 'storageIndex', probes: {'probe-alerts': {type: 'monitor', hooks: ['foo:bar']}}}, fakeContext))
+        .throw('plugin-probe: [probe: probe-alerts] this name is reserved to store alerts states');
+      should(() => configure([rule()], {alertsCollection: 'probe-definitions'})).throw('plugin-probe: invalid alerts collection');
+    });
+  });
+
+  describe('#evaluation', () => {
+    it('should fire and resolve alerts on saved measures', () => {
+      return configure([rule()])
+        .then(() => sendEvent('foo:bar'))
+        .delay(10)
+        .then(() => sendEvent('foo:bar'))
+        .delay(10)
+        .then(() => {
+          should(alertEvents()).be.empty();
+
+          return sendEvent('foo:bar');
+        })
+        .delay(10)
+        .then(() => {
+          should(alertEvents()).match([{probeName: 'foo', alert: 'tooMany', state: 'firing', field: 'count', operator: '>', threshold: 2, value: 3}]);
+          should(plugin.alertStates.foo.tooMany).match({state: 'firing', breaches: 1, value: 3});
+
+          // still firing: no new transition
+          return sendEvent('foo:bar');
+        })
+        .delay(10)
+        .then(() => {
+          should(alertEvents()).have.length(1);
+
+          return sendEvent('bar:baz');
+        })
+        .delay(10)
+        .then(() => sendEvent('bar:baz'))
+        .delay(10)
+        .then(() => {
+          should(alertEvents()).have.length(2);
+          should(alertEvents()[1]).match({alert: 'tooMany', state: 'resolved', value: 2});
+          should(plugin.alertStates.foo.tooMany).match({state: 'resolved', breaches: 0});
+        });
+    });
+
+    it('should fire alerts after the configured number of consecutive breaches', () => {
+      return configure([rule({threshold: 0, consecutive: 3})])
+        .then(() => sendEvent('foo:bar'))
+        .delay(10)
+        .then(() => sendEvent('bar:baz'))
+        .delay(10)
+        .then(() => sendEvent('foo:bar'))
+        .delay(10)
+        .then(() => sendEvent('foo:bar'))
+        .delay(10)
+        .then(() => {
+          should(alertEvents()).be.empty();
+
+          return sendEvent('foo:bar');
+        })
+        .delay(10)
+        .then(() => {
+          should(alertEvents()).match([{state: 'firing', value: 3}]);
+        });
+    });
+
+    it('should not consider measures without a numeric value as breaching the threshold', () => {
+      return configure([rule({field: 'foo.bar', operator: '!=', threshold: 0})])
+        .then(() => sendEvent('foo:bar'))
+        .delay(10)
+        .then(() => {
+          should(alertEvents()).be.empty();
+          should(plugin.alertStates.foo.tooMany).match({state: 'resolved', breaches: 0});
+        });
+    });
+
+    it('should persist alert states on transitions', () => {
+      return configure([rule({threshold: 0})])
+        .then(() => sendEvent('foo:bar'))
+        .delay(10)
+        .then(() => sendEvent('foo:bar'))
+        .delay(10)
+        .then(() => {
+          const
+            creations = fakeContext.accessors.execute.args.map(args => args[0]).filter(request => request.input.controller === 'collection'),
+            requests = saved();
+
+          should(creations.map(request => request.input.action)).eql(['create', 'updateMapping']);
+          should(creations[0].input.resource.collection).be.eql('probe-alerts');
+
+          should(requests).have.length(1);
+          should(requests[0].input.resource).match({index: 'storageIndex', collection: 'probe-alerts', _id: 'foo/tooMany'});
+          should(requests[0].input.body).match({probeName: 'foo', alert: 'tooMany', state: 'firing', value: 1});
+          should(requests[0].input.body.since).be.a.Number();
+        });
+    });
+
+    it('should log alert states persistence errors', () => {
+      return configure([rule({threshold: 0})])
+        .then(() => {
+          fakeContext.accessors.execute = sinon.stub().callsFake(request => request.input.resource.collection === 'probe-alerts'
+            ? Promise.reject(new Error('foobar'))
+            : Promise.resolve({result: {}}));
+
+          return sendEvent('foo:bar');
+        })
+        .delay(10)
+        .then(() => {
+          should(alertEvents()).have.length(1);
+          should(fakeContext.log.error).be.calledWith('plugin-probe: [probe: foo] unable to save the "tooMany" alert state. Reason: foobar');
+        });
+    });
+  });
+
+  describe('#stored states', () => {
+    it('should load the alert states of configured rules on startup', () => {
+      fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+      fakeContext.accessors.execute
+        .onFirstCall().resolves({result: true})
+        .onSecondCall().resolves({result: {collections: [{name: 'foo'}, {name: 'probe-alerts'}]}})
+        .onThirdCall().resolves({result: {}})
+        .onCall(3).resolves({result: {hits: []}})
+        .onCall(4).resolves({result: {hits: [
+          {_id: 'foo/tooMany', _source: {probeName: 'foo', alert: 'tooMany', state: 'firing', since: 123, value: 3}},
+          {_id: 'foo/removed', _source: {probeName: 'foo', alert: 'removed', state: 'firing', since: 123, value: 3}},
+          {_id: 'bar/tooMany', _source: {probeName: 'bar', alert: 'tooMany', state: 'firing', since: 123, value: 3}}
+        ]}});
+
+      return configure([rule()])
+        .then(() => plugin.startProbes())
+        .then(() => {
+          const request = fakeContext.accessors.execute.args[4][0];
+
+          should(fakeContext.accessors.execute.args[2][0].input.action).be.eql('updateMapping');
+          should(request.input.resource.collection).be.eql('probe-alerts');
+          should(request.input.action).be.eql('search');
+          should(plugin.alertStates).eql({foo: {tooMany: {state: 'firing', breaches: 0, since: 123, value: 3}}});
+          should(plugin.alertsCollectionReady).be.true();
+        });
+    });
+
+    it('should keep the states of alert rules still configured when updating a probe', () => {
+      return configure([rule(), rule({name: 'tooFew', operator: '<', threshold: 0})])
+        .then(() => {
+          plugin.alertStates.foo = {
+            tooMany: {state: 'firing', breaches: 1, since: 123, value: 3},
+            tooFew: {state: 'resolved', breaches: 0, since: null, value: null}
+          };
+
+          return plugin.updateProbe(new Request({
+            name: 'foo',
+            body: {type: 'counter', increasers: ['foo:bar'], decreasers: [], alerts: [rule({threshold: 10})]}
+          }));
+        })
+        .then(() => {
+          should(plugin.alertStates.foo).eql({tooMany: {state: 'firing', breaches: 1, since: 123, value: 3}});
+
+          return plugin.deleteProbe(new Request({name: 'foo'}));
+        })
+        .then(() => {
+          should(plugin.alertStates).not.have.property('foo');
+        });
+    });
+  });
+});
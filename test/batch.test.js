@@ -0,0 +1,152 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  {Request, errors: {BadRequestError}} = require('kuzzle-common-objects');
+
+describe('#batch', () => {
+  let
+    plugin,
+    fakeContext;
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+
+    return plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        monitor: {
+          type: 'monitor',
+          hooks: ['foo:bar'],
+          interval: '1m'
+        },
+        counter: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: ['bar:baz'],
+          interval: '1m'
+        },
+        gauge: {
+          type: 'gauge',
+          hooks: ['foo:gauge'],
+          interval: '1m'
+        },
+        watcher: {
+          type: 'watcher',
+          index: 'foo',
+          collection: 'bar',
+          interval: '1m'
+        }
+      }
+    }, fakeContext);
+  });
+
+  it('should dispatch entries to the measure actions, in order', () => {
+    sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+    return plugin.batch(new Request({
+      body: {
+        entries: [
+          {action: 'monitor', event: 'foo:bar'},
+          {action: 'counter', event: 'foo:bar'},
+          {action: 'counter', event: 'foo:bar'},
+          {action: 'counter', event: 'bar:baz'},
+          {action: 'gauge', event: 'foo:gauge', value: 42},
+          {action: 'watcher', payload: {data: {index: 'foo', collection: 'bar', body: {foo: 'bar'}}}}
+        ]
+      }
+    }))
+      .then(result => {
+        should(result).eql({
+          errors: 0,
+          results: [{status: 200}, {status: 200}, {status: 200}, {status: 200}, {status: 200}, {status: 200}]
+        });
+        should(plugin.measures.monitor).eql({'foo:bar': 1});
+        should(plugin.measures.counter).eql({count: 1});
+        should(plugin.measures.gauge).match({last: 42, count: 1});
+        should(plugin.measures.watcher).match({count: 1});
+        should(plugin.dsl.test).calledOnce().and.calledWith('foo', 'bar', {foo: 'bar'});
+      });
+  });
+
+  it('should report failed entries without rejecting the whole batch', () => {
+    return plugin.batch(new Request({
+      body: {
+        entries: [
+          'foo',
+          {event: 'foo:bar'},
+          {action: 'search', name: 'monitor'},
+          {action: 'gauge', event: 'foo:gauge', value: 'foo'},
+          {action: 'monitor', event: 'foo:bar'}
+        ]
+      }
+    }))
+      .then(result => {
+        should(result).eql({
+          errors: 4,
+          results: [
+            {status: 400, error: {message: 'plugin-probe: invalid batch entry #0. Expected an object'}},
+            {status: 400, error: {message: 'plugin-probe: invalid batch entry #1: unknown action "undefined". Expected one of monitor, counter, watcher, sampler, histogram, gauge, cardinality, topk'}},
+            {status: 400, error: {message: 'plugin-probe: invalid batch entry #2: unknown action "search". Expected one of monitor, counter, watcher, sampler, histogram, gauge, cardinality, topk'}},
+            {status: 400, error: {message: 'plugin-probe: invalid "value" parameter. Expected a number'}},
+            {status: 200}
+          ]
+        });
+        should(plugin.measures.monitor).eql({'foo:bar': 1});
+      });
+  });
+
+  it('should execute entries with requests derived from the batch request', () => {
+    const
+      user = {_id: 'listener'},
+      request = new Request({body: {entries: [{action: 'monitor', event: 'foo:bar'}]}}, {user});
+
+    sinon.spy(plugin, 'monitor');
+
+    return plugin.batch(request)
+      .then(() => {
+        const entryRequest = plugin.monitor.firstCall.args[0];
+
+        should(entryRequest).not.be.exactly(request);
+        should(entryRequest.input.action).eql('monitor');
+        should(entryRequest.input.body).eql({event: 'foo:bar'});
+        should(entryRequest.context.user).be.exactly(user);
+      });
+  });
+
+  it('should reject invalid batches', () => {
+    const entries = new Array(1001).fill({action: 'monitor', event: 'foo:bar'});
+
+    return should(plugin.batch(new Request({body: {}})))
+      .be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "entries" parameter. Expected an array'})
+      .then(() => should(plugin.batch(new Request({body: {entries}})))
+        .be.rejectedWith(BadRequestError, {message: 'plugin-probe: too many batch entries (1001). Expected at most 1000 entries'}))
+      .then(() => {
+        should(plugin.measures.monitor).eql({'foo:bar': 0});
+      });
+  });
+});
@@ -0,0 +1,272 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  proxyquire = require('proxyquire'),
+  StubContext = require('./stubs/context.stub'),
+  longTimeout = require('long-timeout'),
+  Request = require('kuzzle-common-objects').Request,
+  HyperLogLog = require('../lib/hyperLogLog');
+
+describe('#cardinality probes', () => {
+  let
+    Plugin,
+    plugin,
+    fakeContext,
+    setIntervalSpy;
+
+  const sendDocument = body => plugin.cardinality(new Request({
+    body: {
+      payload: {
+        data: {
+          index: 'foo',
+          collection: 'bar',
+          body
+        }
+      }
+    }
+  }));
+
+  beforeEach(() => {
+    setIntervalSpy = sinon.spy(longTimeout, 'setInterval');
+    Plugin = proxyquire('../lib/index', {
+      'long-timeout': longTimeout
+    });
+
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+  });
+
+  afterEach(() => {
+    setIntervalSpy.returnValues.forEach(value => {
+      longTimeout.clearInterval(value);
+    });
+    setIntervalSpy.restore();
+  });
+
+  it('should initialize probes according to their configuration', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'cardinality',
+          index: 'foo',
+          collection: 'bar',
+          field: 'user.id',
+          interval: '1h'
+        }
+      }
+    }, fakeContext).then(() => {
+      should(plugin.probes.foo).match({precision: 14, keepSketch: false, filter: {}});
+      should(plugin.eventMapping.cardinality.filterId).match(['foo']);
+      should(plugin.measures.foo).eql({count: 0});
+      should(plugin.measures.foo.sketch).be.instanceof(HyperLogLog);
+    });
+  });
+
+  it('should throw an error if the "interval" parameter is missing', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'cardinality',
+            index: 'foo',
+            collection: 'bar',
+            field: 'user.id'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] An "interval" parameter is required for cardinality probes');
+  });
+
+  it('should throw an error if the "field" parameter is missing', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'cardinality',
+            index: 'foo',
+            collection: 'bar',
+            interval: '1h'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] "field" parameter missing');
+  });
+
+  it('should throw an error if the "precision" parameter is invalid', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'cardinality',
+            index: 'foo',
+            collection: 'bar',
+            field: 'user.id',
+            precision: 20,
+            interval: '1h'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] invalid "precision" parameter. Expected an integer between 4 and 16');
+  });
+
+  it('should estimate the number of distinct values of the watched field', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'cardinality',
+          index: 'foo',
+          collection: 'bar',
+          field: 'user.id',
+          interval: '1h'
+        }
+      }
+    }, fakeContext).then(() => {
+      sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+      for (const id of ['foo', 'bar', 'foo', 42, 'baz', 42]) {
+        sendDocument({user: {id}});
+      }
+      sendDocument({user: {}});
+
+      should(plugin.measures.foo.count).be.eql(4);
+      should(fakeContext.accessors.execute).not.be.called();
+    });
+  });
+
+  it('should save the estimate only, unless the sketch must be kept', (done) => {
+    fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+    fakeContext.accessors.execute
+      .onFirstCall().resolves({result: true})
+      .onSecondCall().resolves({result: {collections: [{name: 'foo'}, {name: 'bar'}]}})
+      .onThirdCall().resolves({result: 'someResult'});
+
+    plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'cardinality',
+          index: 'foo',
+          collection: 'bar',
+          field: 'id',
+          interval: 250
+        },
+        bar: {
+          type: 'cardinality',
+          index: 'foo',
+          collection: 'bar',
+          field: 'id',
+          precision: 4,
+          keepSketch: true,
+          interval: 250
+        }
+      }
+    }, fakeContext)
+      .then(() => plugin.startProbes())
+      .then(() => {
+        fakeContext.accessors.execute = sinon.stub().resolves();
+        sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+        sendDocument({id: 'foo'});
+        sendDocument({id: 'bar'});
+
+        setTimeout(() => {
+          try {
+            const
+              fooMeasure = fakeContext.accessors.execute.args.find(args => args[0].input.resource.collection === 'foo')[0].input.body,
+              barMeasure = fakeContext.accessors.execute.args.find(args => args[0].input.resource.collection === 'bar')[0].input.body;
+
+            should(fooMeasure).have.keys('count', 'timestamp');
+            should(fooMeasure.count).be.eql(2);
+            should(barMeasure.count).be.eql(2);
+            should(barMeasure.sketch.precision).be.eql(4);
+            should(HyperLogLog.fromJSON(barMeasure.sketch).count()).be.eql(2);
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          setTimeout(() => {
+            try {
+              should(plugin.measures.foo.count).be.eql(0);
+              should(plugin.measures.bar.sketch.count()).be.eql(0);
+              done();
+            }
+            catch (e) {
+              done(e);
+            }
+          }, 20);
+        }, 300);
+      })
+      .catch(err => done(err));
+  });
+
+  it('should create a collection with the estimate and sketch mapping', (done) => {
+    fakeContext.accessors.execute = sinon.stub();
+    fakeContext.accessors.execute
+      .onFirstCall().resolves({result: true})
+      .onSecondCall().resolves({result: {collections: ['foo']}})
+      .onThirdCall().resolves({result: 'someResult'})
+      .onCall(4).resolves({result: 'someResult'});
+
+    plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        fooprobe: {
+          type: 'cardinality',
+          index: 'foo',
+          collection: 'bar',
+          field: 'id',
+          keepSketch: true,
+          interval: 1000
+        }
+      }
+    }, fakeContext)
+      .then(() => plugin.startProbes());
+
+    setTimeout(() => {
+      should(fakeContext.accessors.execute.callCount).be.eql(4);
+      should(fakeContext.accessors.execute.args[3][0].input.body).eql({
+        properties: {
+          timestamp: {type: 'date', format: 'epoch_millis'},
+          origin: {type: 'keyword'},
+          count: {type: 'long'},
+          sketch: {
+            properties: {
+              precision: {type: 'integer'},
+              registers: {type: 'binary'}
+            }
+          }
+        }
+      });
+
+      done();
+    }, 20);
+  });
+});
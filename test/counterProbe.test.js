@@ -371,4 +371,282 @@ describe('#counter probes', () => {
       done();
     }, 20);
   });
+
+  describe('#rate', () => {
+    const sendEvent = event => plugin.counter(new Request({body: {event}}));
+
+    let now;
+
+    beforeEach(() => {
+      now = 1000;
+      sinon.stub(Date, 'now').callsFake(() => now);
+    });
+
+    afterEach(() => {
+      Date.now.restore();
+    });
+
+    it('should not add rates to measures by default', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'counter',
+            increasers: ['foo:bar'],
+            decreasers: []
+          }
+        }
+      }, fakeContext).then(() => {
+        sendEvent('foo:bar');
+
+        should(plugin.probes.foo.rate).be.false();
+        should(fakeContext.accessors.execute.args[0][0].input.body).have.keys('count', 'timestamp');
+      });
+    });
+
+    it('should add the delta and the rate per second since the previous saved measure', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'counter',
+            increasers: ['foo:bar'],
+            decreasers: ['bar:baz'],
+            rate: true
+          }
+        }
+      }, fakeContext)
+        .then(() => {
+          should(plugin.measures.foo).eql({count: 0, delta: null, ratePerSecond: null});
+
+          now = 3000;
+          return sendEvent('foo:bar');
+        })
+        .delay(10)
+        .then(() => {
+          should(fakeContext.accessors.execute.args[0][0].input.body).match({count: 1, delta: 1, ratePerSecond: 0.5});
+
+          now = 7000;
+          return sendEvent('bar:baz');
+        })
+        .delay(10)
+        .then(() => {
+          should(fakeContext.accessors.execute.args[1][0].input.body).match({count: 0, delta: -1, ratePerSecond: -0.25});
+
+          sendEvent('foo:bar');
+
+          // no elapsed time since the previous measure
+          should(fakeContext.accessors.execute.args[2][0].input.body).match({count: 1, delta: 1, ratePerSecond: null});
+        });
+    });
+
+    it('should compute the first rate from the probe start', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'counter',
+            increasers: ['foo:bar'],
+            decreasers: [],
+            rate: true
+          }
+        }
+      }, fakeContext)
+        .then(() => {
+          now = 5000;
+          return sendEvent('foo:bar');
+        })
+        .delay(10)
+        .then(() => {
+          fakeContext.accessors.execute = sinon.stub().resolves();
+          fakeContext.accessors.execute
+            .onFirstCall().resolves({result: true})
+            .onSecondCall().resolves({result: {collections: [{name: 'foo'}]}});
+
+          now = 11000;
+          return plugin.startProbes();
+        })
+        .delay(10)
+        .then(() => {
+          now = 21000;
+          sendEvent('foo:bar');
+
+          should(fakeContext.accessors.execute.lastCall.args[0].input.body).match({count: 2, delta: 1, ratePerSecond: 0.1});
+        });
+    });
+
+    it('should compute rates from the last successfully saved measure', () => {
+      fakeContext.accessors.execute = sinon.stub().rejects(new Error('storage unavailable'));
+
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'counter',
+            increasers: ['foo:bar'],
+            decreasers: [],
+            rate: true
+          }
+        }
+      }, fakeContext)
+        .then(() => {
+          now = 2000;
+          return sendEvent('foo:bar');
+        })
+        .delay(10)
+        .then(() => {
+          fakeContext.accessors.execute = sinon.stub().resolves();
+          now = 5000;
+          sendEvent('foo:bar');
+
+          should(fakeContext.accessors.execute.args[0][0].input.body).match({count: 2, delta: 2, ratePerSecond: 0.5});
+        });
+    });
+
+    it('should compare concurrent measures to each other', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'counter',
+            increasers: ['foo:bar'],
+            decreasers: [],
+            rate: true
+          }
+        }
+      }, fakeContext)
+        .then(() => {
+          now = 2000;
+
+          return Promise.all([sendEvent('foo:bar'), sendEvent('foo:bar'), sendEvent('foo:bar')]);
+        })
+        .then(() => {
+          should(fakeContext.accessors.execute.args.map(args => args[0].input.body.delta)).eql([1, 1, 1]);
+          should(plugin.measures.foo.rateReference).eql({count: 3, time: 2000});
+        });
+    });
+
+    it('should add the delta and rate fields to the collection mapping', () => {
+      fakeContext.accessors.execute = sinon.stub();
+      fakeContext.accessors.execute
+        .onFirstCall().resolves({result: true})
+        .onSecondCall().resolves({result: {collections: []}});
+      fakeContext.accessors.execute.resolves({result: 'someResult'});
+
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'counter',
+            increasers: ['foo:bar'],
+            decreasers: [],
+            rate: true,
+            interval: 1000
+          }
+        }
+      }, fakeContext)
+        .then(() => plugin.startProbes())
+        .delay(10)
+        .then(() => {
+          should(fakeContext.accessors.execute.args[3][0].input.body).eql({
+            properties: {
+              timestamp: {type: 'date', format: 'epoch_millis'},
+              origin: {type: 'keyword'},
+              count: {type: 'integer'},
+              delta: {type: 'integer'},
+              ratePerSecond: {type: 'double'}
+            }
+          });
+        });
+    });
+  });
+
+  describe('#restore on start', () => {
+    const config = options => ({
+      storageIndex: 'bar',
+      probes: {
+        foo: Object.assign({
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: []
+        }, options)
+      }
+    });
+
+    beforeEach(() => {
+      fakeContext.accessors.execute = sinon.stub().resolves();
+      fakeContext.accessors.execute
+        .onFirstCall().resolves({result: true})
+        .onSecondCall().resolves({result: {collections: [{name: 'foo'}]}});
+    });
+
+    it('should resume counters from their last saved measure', () => {
+      fakeContext.accessors.execute
+        .onCall(3).resolves({result: {hits: [{_id: 'someId', _source: {count: 42, timestamp: 123}}]}});
+
+      return plugin.init(config({rate: true}), fakeContext)
+        .then(() => plugin.startProbes())
+        .delay(10)
+        .then(() => {
+          const request = fakeContext.accessors.execute.args[3][0];
+
+          should(request.input.resource).match({index: 'bar', collection: 'foo'});
+          should(request.input.controller).be.eql('document');
+          should(request.input.action).be.eql('search');
+          should(request.input.body).eql({sort: [{timestamp: 'desc'}]});
+          should(request.input.args).match({from: 0, size: 1});
+          should(plugin.measures.foo.count).be.eql(42);
+
+          // the restored value is not part of the first measure delta
+          plugin.counter(new Request({body: {event: 'foo:bar'}}));
+
+          should(fakeContext.accessors.execute.lastCall.args[0].input.body).match({count: 43, delta: 1});
+        });
+    });
+
+    it('should start from 0 if no measure was saved', () => {
+      fakeContext.accessors.execute
+        .onCall(3).resolves({result: {hits: []}});
+
+      return plugin.init(config(), fakeContext)
+        .then(() => plugin.startProbes())
+        .then(() => {
+          should(fakeContext.accessors.execute.args[3][0].input.action).be.eql('search');
+          should(plugin.measures.foo.count).be.eql(0);
+        });
+    });
+
+    it('should log an error and start from 0 if the last measure cannot be retrieved', () => {
+      fakeContext.accessors.execute
+        .onCall(3).rejects(new Error('foobar'));
+
+      return plugin.init(config(), fakeContext)
+        .then(() => plugin.startProbes())
+        .then(() => {
+          should(plugin.measures.foo.count).be.eql(0);
+          should(fakeContext.log.error).be.calledWith('plugin-probe: [probe: foo] unable to restore the counter value, starting from 0. Reason: foobar');
+        });
+    });
+
+    it('should not restore counters configured to be reset on start', () => {
+      return plugin.init(config({resetOnStart: true}), fakeContext)
+        .then(() => plugin.startProbes())
+        .then(() => {
+          should(plugin.probes.foo.resetOnStart).be.true();
+          should(fakeContext.accessors.execute.args.some(args => args[0].input.action === 'search')).be.false();
+          should(plugin.measures.foo.count).be.eql(0);
+        });
+    });
+
+    it('should not restore counters without a measures collection', () => {
+      fakeContext.accessors.execute
+        .onSecondCall().resolves({result: {collections: []}});
+
+      return plugin.init(config(), fakeContext)
+        .then(() => plugin.startProbes())
+        .then(() => {
+          should(fakeContext.accessors.execute.args.some(args => args[0].input.action === 'search')).be.false();
+        });
+    });
+  });
 });
@@ -0,0 +1,143 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  {Request, errors: {BadRequestError}} = require('kuzzle-common-objects');
+
+describe('#discovery mode', () => {
+  let
+    plugin,
+    fakeContext,
+    clock;
+
+  const
+    configure = discovery => plugin.init(Object.assign({
+      storageIndex: 'storageIndex',
+      probes: {
+        monitor: {
+          type: 'monitor',
+          hooks: ['foo:bar'],
+          interval: '1m'
+        }
+      }
+    }, discovery === undefined ? {} : {discovery}), fakeContext),
+    send = (action, body) => plugin[action](new Request({body})).catch(() => {});
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+    clock = sinon.useFakeTimers({now: 1000, toFake: ['Date']});
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('should be disabled by default', () => {
+    return configure()
+      .then(() => send('monitor', {event: 'bar:baz'}))
+      .then(() => plugin.getUnknownEvents())
+      .then(result => {
+        should(result).eql({enabled: false, dropped: 0, events: []});
+      });
+  });
+
+  it('should throw if the "discovery" parameter is invalid', () => {
+    should(() => configure('true')).throw('plugin-probe: invalid "discovery" parameter: expected a boolean');
+  });
+
+  it('should record unknown events, and keep rejecting them', () => {
+    return configure(true)
+      .then(() => {
+        const promise = plugin.monitor(new Request({body: {event: 'bar:baz'}}));
+
+        return should(promise).be.rejectedWith(BadRequestError, {message: 'plugin-probe: unknown event "bar:baz": no monitor probe listens to it'});
+      })
+      .then(() => {
+        clock.tick(500);
+
+        return Promise.all([
+          send('monitor', {event: 'bar:baz'}),
+          send('counter', {event: 'bar:baz'}),
+          send('gauge', {event: 'foo:gauge', value: 42}),
+          send('gauge', {event: 'foo:gauge', value: 'foo'}),
+          send('monitor', {event: 'foo:bar'}),
+          send('monitor', {})
+        ]);
+      })
+      .then(() => plugin.getUnknownEvents())
+      .then(result => {
+        should(result).eql({
+          enabled: true,
+          dropped: 0,
+          events: [
+            {action: 'monitor', event: 'bar:baz', count: 2, firstSeen: 1000, lastSeen: 1500},
+            {action: 'gauge', event: 'foo:gauge', count: 2, firstSeen: 1500, lastSeen: 1500},
+            {action: 'counter', event: 'bar:baz', count: 1, firstSeen: 1500, lastSeen: 1500}
+          ]
+        });
+        should(plugin.measures.monitor).eql({'foo:bar': 1});
+      });
+  });
+
+  it('should limit the number of recorded events', () => {
+    return configure(true)
+      .then(() => {
+        const events = [];
+
+        for (let i = 0; i < 1002; i++) {
+          events.push(send('monitor', {event: `event:${i}`}));
+        }
+
+        return Promise.all(events);
+      })
+      .then(() => send('monitor', {event: 'event:0'}))
+      .then(() => plugin.getUnknownEvents())
+      .then(result => {
+        should(result.events).have.length(1000);
+        should(result.events[0]).match({event: 'event:0', count: 2});
+        should(result.dropped).eql(2);
+      });
+  });
+
+  it('should forget events once a probe listens to them', () => {
+    return configure(true)
+      .then(() => Promise.all([
+        send('monitor', {event: 'bar:baz'}),
+        send('counter', {event: 'bar:baz'})
+      ]))
+      .then(() => plugin._setProbe(plugin._validateProbe('counter', {
+        type: 'counter',
+        increasers: ['bar:baz'],
+        decreasers: [],
+        interval: '1m'
+      }), 'storage', {}))
+      .then(() => plugin.getUnknownEvents())
+      .then(result => {
+        should(result.events).match([{action: 'monitor', event: 'bar:baz'}]).and.have.length(1);
+      });
+  });
+});
@@ -0,0 +1,86 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  rimraf = require('rimraf'),
+  FileStorage = require('../lib/fileStorage');
+
+describe('#FileStorage', () => {
+  let directory;
+
+  const readLines = file => fs.readFileSync(file, 'utf8').split('\n');
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kdc-'));
+  });
+
+  afterEach(() => {
+    rimraf.sync(directory);
+  });
+
+  it('should create the file directory', () => {
+    const storage = new FileStorage(path.join(directory, 'foo', 'bar', 'measures.jsonl'));
+
+    return storage.init()
+      .then(() => {
+        should(fs.statSync(path.join(directory, 'foo', 'bar')).isDirectory()).be.true();
+
+        // already existing directories are ignored
+        return storage.init();
+      });
+  });
+
+  it('should append measure documents as JSON lines, in order', () => {
+    const
+      file = path.join(directory, 'measures.jsonl'),
+      storage = new FileStorage(file);
+
+    storage.save('foo', [{timestamp: 1, count: 3}]);
+
+    return storage.save('bar', [{timestamp: 2, content: {foo: 'bar'}}, {timestamp: 2, content: {foo: 'baz'}}])
+      .then(() => {
+        should(readLines(file)).eql([
+          '{"probe":"foo","timestamp":1,"count":3}',
+          '{"probe":"bar","timestamp":2,"content":{"foo":"bar"}}',
+          '{"probe":"bar","timestamp":2,"content":{"foo":"baz"}}',
+          ''
+        ]);
+      });
+  });
+
+  it('should keep writing after a failed write', () => {
+    const
+      file = path.join(directory, 'missing', 'measures.jsonl'),
+      storage = new FileStorage(file);
+
+    return should(storage.save('foo', [{timestamp: 1, count: 3}])).be.rejectedWith({code: 'ENOENT'})
+      .then(() => storage.init())
+      .then(() => storage.save('foo', [{timestamp: 2, count: 4}]))
+      .then(() => {
+        should(readLines(file)).eql(['{"probe":"foo","timestamp":2,"count":4}', '']);
+      });
+  });
+});
@@ -0,0 +1,215 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  proxyquire = require('proxyquire'),
+  StubContext = require('./stubs/context.stub'),
+  longTimeout = require('long-timeout'),
+  {Request, errors: {BadRequestError}} = require('kuzzle-common-objects');
+
+describe('#gauge probes', () => {
+  let
+    Plugin,
+    plugin,
+    fakeContext,
+    setIntervalSpy;
+
+  beforeEach(() => {
+    setIntervalSpy = sinon.spy(longTimeout, 'setInterval');
+    Plugin = proxyquire('../lib/index', {
+      'long-timeout': longTimeout
+    });
+
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+  });
+
+  afterEach(() => {
+    setIntervalSpy.returnValues.forEach(value => {
+      longTimeout.clearInterval(value);
+    });
+    setIntervalSpy.restore();
+  });
+
+  it('should throw an error if the "hooks" parameter is missing', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'gauge',
+            interval: '1m'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] "hooks" parameter missing');
+  });
+
+  it('should initialize the events mapping and the measures properly', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'gauge',
+          hooks: ['foo:bar']
+        },
+        bar: {
+          type: 'gauge',
+          hooks: ['foo:bar', 'bar:baz', 'foo:bar'],
+          interval: '1m'
+        }
+      }
+    }, fakeContext).then(() => {
+      should(plugin.eventMapping.gauge['foo:bar']).match(['foo', 'bar']);
+      should(plugin.eventMapping.gauge['bar:baz']).match(['bar']);
+      should(plugin.measures.foo).eql({last: null, min: null, max: null, avg: null, count: 0});
+    });
+  });
+
+  it('should reject a request without a numeric value', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'gauge',
+          hooks: ['foo:bar'],
+          interval: '1m'
+        }
+      }
+    }, fakeContext).then(() => {
+      return should(plugin.gauge(new Request({body: {event: 'foo:bar', value: 'foo'}})))
+        .be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "value" parameter. Expected a number'});
+    });
+  });
+
+  it('should keep the last, min, max and average values', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'gauge',
+          hooks: ['foo:bar'],
+          interval: '1m'
+        }
+      }
+    }, fakeContext).then(() => {
+      for (const value of [10, 2, 30, 6]) {
+        plugin.gauge(new Request({body: {event: 'foo:bar', value}}));
+      }
+
+      should(plugin.measures.foo).eql({last: 6, min: 2, max: 30, avg: 12, count: 4});
+      should(fakeContext.accessors.execute).not.be.called();
+    });
+  });
+
+  it('should save immediately a measure if no interval is set in the probe', (done) => {
+    plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'gauge',
+          hooks: ['foo:bar']
+        }
+      }
+    }, fakeContext).then(() => {
+      plugin.gauge(new Request({body: {event: 'foo:bar', value: 42}}));
+
+      should(fakeContext.accessors.execute).be.calledOnce();
+      should(fakeContext.accessors.execute.args[0][0].input.resource.collection).be.eql('foo');
+      should(fakeContext.accessors.execute.args[0][0].input.action).be.eql('create');
+      should(fakeContext.accessors.execute.args[0][0].input.body).match({last: 42, min: 42, max: 42, avg: 42, count: 1});
+      should(fakeContext.accessors.execute.args[0][0].input.body).ownProperty('timestamp');
+
+      setTimeout(() => {
+        try {
+          should(plugin.measures.foo).match({last: 42, min: 42, max: 42, avg: 42, count: 0});
+          done();
+        }
+        catch (e) {
+          done(e);
+        }
+      }, 20);
+    });
+  });
+
+  it('should start a new measurement from the last known value', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'gauge',
+          hooks: ['foo:bar'],
+          interval: '1m'
+        }
+      }
+    }, fakeContext).then(() => {
+      plugin.gauge(new Request({body: {event: 'foo:bar', value: 10}}));
+      plugin.gauge(new Request({body: {event: 'foo:bar', value: 20}}));
+
+      plugin._resetMeasure(plugin.probes.foo, plugin.measures.foo);
+      should(plugin.measures.foo).eql({last: 20, min: 20, max: 20, avg: 20, count: 0});
+
+      plugin.gauge(new Request({body: {event: 'foo:bar', value: 4}}));
+      should(plugin.measures.foo).eql({last: 4, min: 4, max: 4, avg: 4, count: 1});
+    });
+  });
+
+  it('should create a collection with the gauge fields mapping', (done) => {
+    fakeContext.accessors.execute = sinon.stub();
+    fakeContext.accessors.execute
+      .onFirstCall().resolves({result: true})
+      .onSecondCall().resolves({result: {collections: ['foo']}})
+      .onThirdCall().resolves({result: 'someResult'})
+      .onCall(4).resolves({result: 'someResult'});
+
+    plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        fooprobe: {
+          type: 'gauge',
+          hooks: ['foo:bar'],
+          interval: 1000
+        }
+      }
+    }, fakeContext)
+      .then(() => plugin.startProbes());
+
+    setTimeout(() => {
+      should(fakeContext.accessors.execute.callCount).be.eql(4);
+      should(fakeContext.accessors.execute.args[3][0].input.body).match({
+        properties: {
+          timestamp: {type: 'date', format: 'epoch_millis'},
+          origin: {type: 'keyword'},
+          last: {type: 'double'},
+          min: {type: 'double'},
+          max: {type: 'double'},
+          avg: {type: 'double'},
+          count: {type: 'integer'}
+        }
+      });
+
+      done();
+    }, 20);
+  });
+});
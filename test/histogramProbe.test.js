@@ -0,0 +1,388 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  proxyquire = require('proxyquire'),
+  StubContext = require('./stubs/context.stub'),
+  longTimeout = require('long-timeout'),
+  Request = require('kuzzle-common-objects').Request;
+
+describe('#histogram probes', () => {
+  let
+    Plugin,
+    plugin,
+    fakeContext,
+    setIntervalSpy;
+
+  const sendDocument = body => plugin.histogram(new Request({
+    body: {
+      payload: {
+        data: {
+          index: 'foo',
+          collection: 'bar',
+          body
+        }
+      }
+    }
+  }));
+
+  beforeEach(() => {
+    setIntervalSpy = sinon.spy(longTimeout, 'setInterval');
+    Plugin = proxyquire('../lib/index', {
+      'long-timeout': longTimeout
+    });
+
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+  });
+
+  afterEach(() => {
+    setIntervalSpy.returnValues.forEach(value => {
+      longTimeout.clearInterval(value);
+    });
+    setIntervalSpy.restore();
+  });
+
+  it('should initialize probes according to their configuration', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'histogram',
+          index: 'foo',
+          collection: 'bar',
+          field: 'latency',
+          buckets: [10, 100],
+          interval: '1m'
+        }
+      }
+    }, fakeContext).then(() => {
+      should(plugin.probes.foo).match({
+        interval: 60 * 1000,
+        filter: {},
+        percentiles: [50, 90, 99]
+      });
+      should(plugin.eventMapping.histogram.filterId).match(['foo']);
+    });
+  });
+
+  it('should throw an error if the "interval" parameter is missing', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'histogram',
+            index: 'foo',
+            collection: 'bar',
+            field: 'latency',
+            buckets: [10, 100]
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] An "interval" parameter is required for histogram probes');
+  });
+
+  it('should throw an error if the "field" parameter is missing', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'histogram',
+            index: 'foo',
+            collection: 'bar',
+            buckets: [10, 100],
+            interval: '1m'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] "field" parameter missing');
+  });
+
+  it('should throw an error if the "buckets" parameter is missing', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'histogram',
+            index: 'foo',
+            collection: 'bar',
+            field: 'latency',
+            buckets: [],
+            interval: '1m'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] "buckets" parameter missing');
+  });
+
+  it('should throw an error if the buckets are not in increasing order', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'histogram',
+            index: 'foo',
+            collection: 'bar',
+            field: 'latency',
+            buckets: [10, 100, 50],
+            interval: '1m'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] invalid "buckets" parameter. Expected an array of numbers, in increasing order');
+  });
+
+  it('should throw an error if the "percentiles" parameter is invalid', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'histogram',
+            index: 'foo',
+            collection: 'bar',
+            field: 'latency',
+            buckets: [10, 100],
+            percentiles: [50, 120],
+            interval: '1m'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] invalid "percentiles" parameter. Expected an array of numbers between 0 (excluded) and 100');
+  });
+
+  it('should initialize the measures object properly', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'histogram',
+          index: 'foo',
+          collection: 'bar',
+          field: 'latency',
+          buckets: [10, 100],
+          percentiles: [50, 99.9],
+          interval: '1m'
+        }
+      }
+    }, fakeContext).then(() => {
+      should(plugin.measures.foo).eql({
+        count: 0,
+        sum: 0,
+        min: null,
+        max: null,
+        buckets: [
+          {to: 10, count: 0},
+          {from: 10, to: 100, count: 0},
+          {from: 100, count: 0}
+        ],
+        percentiles: {p50: null, p99_9: null}
+      });
+    });
+  });
+
+  it('should compute the distribution of the watched field', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'histogram',
+          index: 'foo',
+          collection: 'bar',
+          field: 'payload.latency',
+          buckets: [10, 100],
+          percentiles: [25, 50, 100],
+          interval: '1m'
+        }
+      }
+    }, fakeContext).then(() => {
+      sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+      for (const latency of [2, 4, 10, 40, 70, 250, 'foo']) {
+        sendDocument({payload: {latency}});
+      }
+      sendDocument({foo: 'bar'});
+
+      should(plugin.measures.foo).match({
+        count: 6,
+        sum: 376,
+        min: 2,
+        max: 250,
+        buckets: [
+          {to: 10, count: 2},
+          {from: 10, to: 100, count: 3},
+          {from: 100, count: 1}
+        ]
+      });
+
+      // 25th: 1.5th value => 1st bucket, interpolated between min (2) and 10
+      should(plugin.measures.foo.percentiles.p25).be.approximately(8, 0.001);
+      // 50th: 3rd value => 2nd bucket, 1st of its 3 values
+      should(plugin.measures.foo.percentiles.p50).be.approximately(40, 0.001);
+      // 100th: last bucket upper boundary is the max value
+      should(plugin.measures.foo.percentiles.p100).be.eql(250);
+
+      should(fakeContext.accessors.execute).not.be.called();
+    });
+  });
+
+  it('should ignore documents matching filters of other probes', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'histogram',
+          index: 'foo',
+          collection: 'bar',
+          field: 'latency',
+          buckets: [10],
+          interval: '1m'
+        }
+      }
+    }, fakeContext).then(() => {
+      sinon.stub(plugin.dsl, 'test').returns(['filterId', 'otherFilterId']);
+
+      sendDocument({latency: 3});
+
+      should(plugin.measures.foo.count).be.eql(1);
+    });
+  });
+
+  it('should save and reset the measure after the given interval', (done) => {
+    fakeContext.accessors.execute = sinon.stub();
+    fakeContext.accessors.execute
+      .onFirstCall().resolves({result: true})
+      .onSecondCall().resolves({result: {collections: ['foo']}})
+      .onThirdCall().resolves({result: 'someResult'});
+
+    plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'histogram',
+          index: 'foo',
+          collection: 'bar',
+          field: 'latency',
+          buckets: [10],
+          interval: 250
+        }
+      }
+    }, fakeContext)
+      .then(() => plugin.startProbes())
+      .then(() => {
+        fakeContext.accessors.execute = sinon.stub().resolves();
+        sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+        sendDocument({latency: 3});
+        sendDocument({latency: 42});
+
+        setTimeout(() => {
+          try {
+            should(fakeContext.accessors.execute).be.calledOnce();
+            should(fakeContext.accessors.execute.args[0][0].input.action).be.eql('create');
+            should(fakeContext.accessors.execute.args[0][0].input.body).match({
+              count: 2,
+              sum: 45,
+              min: 3,
+              max: 42,
+              buckets: [{to: 10, count: 1}, {from: 10, count: 1}]
+            });
+            should(fakeContext.accessors.execute.args[0][0].input.body).ownProperty('timestamp');
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          setTimeout(() => {
+            try {
+              should(plugin.measures.foo).match({count: 0, min: null, buckets: [{count: 0}, {count: 0}]});
+              done();
+            }
+            catch (e) {
+              done(e);
+            }
+          }, 20);
+        }, 300);
+      })
+      .catch(err => done(err));
+  });
+
+  it('should create a collection with the histogram fields mapping', (done) => {
+    fakeContext.accessors.execute = sinon.stub();
+    fakeContext.accessors.execute
+      .onFirstCall().resolves({result: true})
+      .onSecondCall().resolves({result: {collections: ['foo']}})
+      .onThirdCall().resolves({result: 'someResult'})
+      .onCall(4).resolves({result: 'someResult'});
+
+    plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        fooprobe: {
+          type: 'histogram',
+          index: 'foo',
+          collection: 'bar',
+          field: 'latency',
+          buckets: [10],
+          percentiles: [50, 99.9],
+          interval: 1000
+        }
+      }
+    }, fakeContext)
+      .then(() => plugin.startProbes());
+
+    setTimeout(() => {
+      should(fakeContext.accessors.execute.callCount).be.eql(4);
+      should(fakeContext.accessors.execute.args[3][0].input.body).match({
+        properties: {
+          timestamp: {type: 'date', format: 'epoch_millis'},
+          origin: {type: 'keyword'},
+          count: {type: 'integer'},
+          sum: {type: 'double'},
+          min: {type: 'double'},
+          max: {type: 'double'},
+          buckets: {
+            properties: {
+              from: {type: 'double'},
+              to: {type: 'double'},
+              count: {type: 'integer'}
+            }
+          },
+          percentiles: {
+            properties: {
+              p50: {type: 'double'},
+              p99_9: {type: 'double'}
+            }
+          }
+        }
+      });
+
+      done();
+    }, 20);
+  });
+});
@@ -0,0 +1,112 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  HyperLogLog = require('../lib/hyperLogLog');
+
+describe('#HyperLogLog', () => {
+  it('should throw if the precision is invalid', () => {
+    should(() => new HyperLogLog(3)).throw('Invalid HyperLogLog precision "3": expected an integer between 4 and 16');
+    should(() => new HyperLogLog(17)).throw('Invalid HyperLogLog precision "17": expected an integer between 4 and 16');
+    should(() => new HyperLogLog(10.5)).throw(/^Invalid HyperLogLog precision/);
+  });
+
+  it('should estimate an empty sketch to 0', () => {
+    should(new HyperLogLog().count()).be.eql(0);
+  });
+
+  it('should not count duplicate values', () => {
+    const sketch = new HyperLogLog();
+
+    for (let i = 0; i < 100; i++) {
+      sketch.add('foo');
+      sketch.add('bar');
+      sketch.add({foo: 'bar'});
+    }
+
+    should(sketch.count()).be.eql(3);
+  });
+
+  it('should estimate large cardinalities within the expected error', () => {
+    const sketch = new HyperLogLog(12);
+
+    for (let i = 0; i < 20000; i++) {
+      sketch.add(`user-${i}`);
+      sketch.add(`user-${i % 100}`);
+    }
+
+    // standard error: 1.04 / sqrt(4096) = 1.6%, allowing 3 standard errors
+    should(sketch.count()).be.approximately(20000, 20000 * 0.05);
+  });
+
+  it('should clear the sketch', () => {
+    const sketch = new HyperLogLog(4);
+
+    sketch.add('foo');
+    sketch.clear();
+
+    should(sketch.count()).be.eql(0);
+    should(sketch.registers.every(r => r === 0)).be.true();
+  });
+
+  it('should merge sketches', () => {
+    const
+      first = new HyperLogLog(),
+      second = new HyperLogLog();
+
+    for (let i = 0; i < 1000; i++) {
+      first.add(i);
+      second.add(i + 500);
+    }
+
+    should(first.merge(second).count()).be.approximately(1500, 1500 * 0.03);
+  });
+
+  it('should refuse to merge sketches with different precisions', () => {
+    should(() => new HyperLogLog(10).merge(new HyperLogLog(12)))
+      .throw('Cannot merge HyperLogLog sketches with different precisions (10 and 12)');
+  });
+
+  it('should serialize and deserialize sketches', () => {
+    const sketch = new HyperLogLog(8);
+
+    for (let i = 0; i < 50; i++) {
+      sketch.add(i);
+    }
+
+    const serialized = JSON.parse(JSON.stringify(sketch));
+
+    should(serialized.precision).be.eql(8);
+    should(serialized.registers).be.a.String();
+
+    const copy = HyperLogLog.fromJSON(serialized);
+
+    should(copy.count()).be.eql(sketch.count());
+    should(copy.registers.equals(sketch.registers)).be.true();
+  });
+
+  it('should refuse to deserialize invalid registers', () => {
+    should(() => HyperLogLog.fromJSON({precision: 8, registers: Buffer.alloc(16).toString('base64')}))
+      .throw('Invalid HyperLogLog registers: expected 256 registers, got 16');
+  });
+});
@@ -0,0 +1,219 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  {Request, errors: {BadRequestError}} = require('kuzzle-common-objects');
+
+describe('#measures aggregation', () => {
+  let
+    plugin,
+    fakeContext;
+
+  const
+    aggregate = args => plugin.aggregateMeasures(new Request(args)),
+    respond = (buckets, first = 0, last = 3600000) => fakeContext.accessors.execute.resolves({
+      result: {
+        total: 0,
+        hits: [],
+        aggregations: {buckets: {buckets}, first: {value: first}, last: {value: last}}
+      }
+    });
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+
+    return plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        monitor: {
+          type: 'monitor',
+          hooks: ['foo:bar', 'bar:baz'],
+          interval: '10m'
+        },
+        counter: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: [],
+          interval: '10m'
+        },
+        watcher: {
+          type: 'watcher',
+          index: 'foo',
+          collection: 'bar',
+          interval: '10m'
+        },
+        collector: {
+          type: 'watcher',
+          index: 'foo',
+          collection: 'bar',
+          collects: '*',
+          interval: '10m'
+        },
+        gauge: {
+          type: 'gauge',
+          hooks: ['foo:bar'],
+          interval: '10m'
+        }
+      }
+    }, fakeContext)
+      .then(() => {
+        fakeContext.accessors.execute = sinon.stub();
+        respond([]);
+      });
+  });
+
+  it('should build a date histogram on the probe measures', () => {
+    return aggregate({name: 'monitor', bucket: '1h', from: 0, to: 86400000})
+      .then(result => {
+        const request = fakeContext.accessors.execute.firstCall.args[0];
+
+        should(request.input.resource).match({index: 'storageIndex', collection: 'monitor'});
+        should(request.input.controller).be.eql('document');
+        should(request.input.action).be.eql('search');
+        should(request.input.args.size).be.eql(0);
+        should(request.input.body).eql({
+          query: {range: {timestamp: {gte: 0, lte: 86400000}}},
+          aggregations: {
+            buckets: {
+              date_histogram: {
+                field: 'timestamp',
+                min_doc_count: 0,
+                interval: '3600000ms',
+                extended_bounds: {min: 0, max: 86400000}
+              },
+              aggregations: {
+                'foo:bar': {sum: {field: 'foo:bar'}},
+                'bar:baz': {sum: {field: 'bar:baz'}}
+              }
+            }
+          }
+        });
+        should(result).eql({probe: 'monitor', type: 'monitor', bucket: 3600000, buckets: []});
+      });
+  });
+
+  it('should sum monitored events counts', () => {
+    respond([{key: 0, doc_count: 6, 'foo:bar': {value: 42}, 'bar:baz': {value: 0}}]);
+
+    return aggregate({name: 'monitor', bucket: 3600000})
+      .then(result => {
+        should(fakeContext.accessors.execute.lastCall.args[0].input.body.query).eql({match_all: {}});
+        should(fakeContext.accessors.execute.lastCall.args[0].input.body.aggregations.buckets.date_histogram.extended_bounds).eql({min: 0, max: 3600000});
+        should(result.buckets).eql([{from: 0, to: 3600000, measures: 6, values: {'foo:bar': 42, 'bar:baz': 0}}]);
+      });
+  });
+
+  it('should take the last and maximum counter values', () => {
+    respond([
+      {key: 0, doc_count: 2, last: {hits: {hits: [{_source: {count: 12}}]}}, max: {value: 15}},
+      {key: 60000, doc_count: 0, last: {hits: {hits: []}}, max: {value: null}}
+    ]);
+
+    return aggregate({name: 'counter', bucket: '1m'})
+      .then(result => {
+        should(fakeContext.accessors.execute.lastCall.args[0].input.body.aggregations.buckets.aggregations).eql({
+          last: {top_hits: {size: 1, sort: [{timestamp: 'desc'}], _source: ['count']}},
+          max: {max: {field: 'count'}}
+        });
+        should(result.buckets).eql([
+          {from: 0, to: 60000, measures: 2, values: {last: 12, max: 15}},
+          {from: 60000, to: 120000, measures: 0, values: {last: null, max: null}}
+        ]);
+      });
+  });
+
+  it('should count watched documents', () => {
+    respond([{key: 0, doc_count: 3, count: {value: 27}}]);
+
+    return aggregate({name: 'watcher', bucket: '1m'})
+      .then(result => {
+        should(fakeContext.accessors.execute.lastCall.args[0].input.body.aggregations.buckets.aggregations).eql({
+          count: {sum: {field: 'count'}}
+        });
+        should(result.buckets).eql([{from: 0, to: 60000, measures: 3, values: {count: 27}}]);
+      });
+  });
+
+  it('should count collected contents', () => {
+    respond([{key: 0, doc_count: 3}]);
+
+    return aggregate({name: 'collector', bucket: '1m'})
+      .then(result => {
+        should(fakeContext.accessors.execute.lastCall.args[0].input.body.aggregations.buckets.aggregations).eql({});
+        should(result.buckets).eql([{from: 0, to: 60000, measures: 3, values: {count: 3}}]);
+      });
+  });
+
+  it('should reject invalid bucket sizes', () => {
+    const message = 'plugin-probe: invalid "bucket" parameter. Expected a duration';
+
+    return should(aggregate({name: 'monitor'})).be.rejectedWith(BadRequestError, {message})
+      .then(() => should(aggregate({name: 'monitor', bucket: 'foo'})).be.rejectedWith(BadRequestError, {message}))
+      .then(() => should(aggregate({name: 'monitor', bucket: -1})).be.rejectedWith(BadRequestError, {message}));
+  });
+
+  it('should reject requests with too many buckets', () => {
+    return should(aggregate({name: 'monitor', bucket: '1s', from: 0, to: '2017-01-01'}))
+      .be.rejectedWith(BadRequestError, {message: 'plugin-probe: too many buckets requested (maximum: 10000)'});
+  });
+
+  it('should bound the time range with the first and last stored measures', () => {
+    respond([], 1000, 7200000);
+
+    return aggregate({name: 'monitor', bucket: '1h', from: 0})
+      .then(() => {
+        should(fakeContext.accessors.execute).be.calledTwice();
+        should(fakeContext.accessors.execute.firstCall.args[0].input.body).eql({
+          query: {range: {timestamp: {gte: 0}}},
+          aggregations: {
+            first: {min: {field: 'timestamp'}},
+            last: {max: {field: 'timestamp'}}
+          }
+        });
+        should(fakeContext.accessors.execute.lastCall.args[0].input.body.aggregations.buckets.date_histogram.extended_bounds).eql({min: 0, max: 7200000});
+
+        respond([], 0, 86400000);
+
+        return should(aggregate({name: 'monitor', bucket: 1})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: too many buckets requested (maximum: 10000)'});
+      })
+      .then(() => {
+        fakeContext.accessors.execute.resetHistory();
+        respond([], null, null);
+
+        return aggregate({name: 'monitor', bucket: '1h'});
+      })
+      .then(result => {
+        should(fakeContext.accessors.execute).be.calledOnce();
+        should(result).eql({probe: 'monitor', type: 'monitor', bucket: 3600000, buckets: []});
+      });
+  });
+
+  it('should reject probe types which measures cannot be aggregated', () => {
+    return should(aggregate({name: 'gauge', bucket: '1h'}))
+      .be.rejectedWith(BadRequestError, {message: 'plugin-probe: [probe: gauge] gauge probes measures cannot be aggregated'});
+  });
+});
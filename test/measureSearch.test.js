@@ -0,0 +1,150 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  {Request, errors: {BadRequestError, NotFoundError}} = require('kuzzle-common-objects');
+
+describe('#measures search', () => {
+  let
+    plugin,
+    fakeContext;
+
+  const search = (args, body) => plugin.searchMeasures(new Request(Object.assign({body}, args)));
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+
+    return plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        monitor: {
+          type: 'monitor',
+          hooks: ['foo:bar', 'bar:baz'],
+          interval: '1h'
+        },
+        watcher: {
+          type: 'watcher',
+          index: 'foo',
+          collection: 'bar',
+          collects: '*',
+          interval: '1h'
+        },
+        volatile: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: [],
+          volatile: true
+        }
+      }
+    }, fakeContext)
+      .then(() => {
+        fakeContext.accessors.execute = sinon.stub().resolves({result: {total: 0, hits: []}});
+      });
+  });
+
+  it('should search the measures collection of the probe', () => {
+    return search({name: 'monitor'})
+      .then(result => {
+        const request = fakeContext.accessors.execute.firstCall.args[0];
+
+        should(request.input.resource).match({index: 'storageIndex', collection: 'monitor'});
+        should(request.input.controller).be.eql('document');
+        should(request.input.action).be.eql('search');
+        should(request.input.args).match({from: 0, size: 10});
+        should(request.input.body).eql({
+          query: {match_all: {}},
+          sort: [{timestamp: 'asc'}]
+        });
+        should(result).eql({probe: 'monitor', type: 'monitor', total: 0, hits: []});
+      });
+  });
+
+  it('should filter measures on their timestamp and the provided query', () => {
+    return search({name: 'watcher', from: '1000', to: '2017-01-01T00:00:00.000Z', offset: '20', size: 5}, {query: {term: {'content.foo': 'bar'}}})
+      .then(() => {
+        const request = fakeContext.accessors.execute.firstCall.args[0];
+
+        should(request.input.args).match({from: 20, size: 5});
+        should(request.input.body.query).eql({
+          bool: {
+            filter: [
+              {range: {timestamp: {gte: 1000, lte: 1483228800000}}},
+              {term: {'content.foo': 'bar'}}
+            ]
+          }
+        });
+      });
+  });
+
+  it('should return measures in a normalized shape', () => {
+    fakeContext.accessors.execute.resolves({
+      result: {
+        total: 42,
+        hits: [
+          {_id: 'foo', _source: {timestamp: 1000, origin: ['node-1', 'node-2'], 'foo:bar': 3, 'bar:baz': 0}},
+          {_id: 'bar', _source: {timestamp: 2000, content: {foo: 'bar'}}}
+        ]
+      }
+    });
+
+    return search({name: 'monitor'})
+      .then(result => {
+        should(result).eql({
+          probe: 'monitor',
+          type: 'monitor',
+          total: 42,
+          hits: [
+            {_id: 'foo', timestamp: 1000, origin: ['node-1', 'node-2'], values: {'foo:bar': 3, 'bar:baz': 0}, content: null},
+            {_id: 'bar', timestamp: 2000, origin: null, values: {}, content: {foo: 'bar'}}
+          ]
+        });
+      });
+  });
+
+  it('should reject searches on unknown probes', () => {
+    return should(search({name: 'foo'})).be.rejectedWith(NotFoundError, {message: 'plugin-probe: [probe: foo] probe not found'});
+  });
+
+  it('should reject searches on probes not stored in Kuzzle', () => {
+    return should(search({name: 'volatile'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: [probe: volatile] measures are not stored in Kuzzle'});
+  });
+
+  it('should reject invalid time ranges', () => {
+    return should(search({name: 'monitor', from: 'foo'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "from" parameter. Expected a timestamp or a date'})
+      .then(() => should(search({name: 'monitor', to: ''})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "to" parameter. Expected a timestamp or a date'}));
+  });
+
+  it('should reject invalid pagination arguments', () => {
+    return should(search({name: 'monitor', offset: -1})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "offset" parameter. Expected an integer greater than or equal to 0'})
+      .then(() => should(search({name: 'monitor', size: '1.5'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "size" parameter. Expected an integer greater than or equal to 1'}))
+      .then(() => should(search({name: 'monitor', size: 1001})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "size" parameter. Expected an integer lower than or equal to 1000'}));
+  });
+
+  it('should reject invalid queries', () => {
+    return should(search({name: 'monitor'}, {query: 'foo'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "query" parameter. Expected an object'});
+  });
+});
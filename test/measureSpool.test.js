@@ -0,0 +1,197 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  rimraf = require('rimraf'),
+  Bluebird = require('bluebird'),
+  MeasureSpool = require('../lib/measureSpool');
+
+describe('#MeasureSpool', () => {
+  let
+    directory,
+    log,
+    replay,
+    spool;
+
+  const
+    createSpool = config => new MeasureSpool(Object.assign({
+      path: directory,
+      maxSize: 10,
+      retryDelay: 10,
+      maxRetryDelay: 40
+    }, config), log, replay),
+    spooledLines = () => fs.readFileSync(path.join(directory, 'spool.jsonl'), 'utf8')
+      .split('\n')
+      .filter(line => line.length > 0)
+      .map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kdc-spool-'));
+    log = {error: sinon.stub(), warn: sinon.stub()};
+    replay = sinon.stub().resolves();
+  });
+
+  afterEach(() => {
+    if (spool) {
+      spool.close();
+    }
+
+    rimraf.sync(directory);
+  });
+
+  it('should persist spooled entries', () => {
+    spool = createSpool({retryDelay: 1000, maxRetryDelay: 1000});
+
+    return spool.load()
+      .then(() => Bluebird.all([
+        spool.push('foo', [{timestamp: 1, count: 3}]),
+        spool.push('bar', [{timestamp: 2, content: {}}])
+      ]))
+      .then(() => {
+        should(spool.depth).eql(2);
+        should(spool.has('foo')).be.true();
+        should(spool.has('baz')).be.false();
+        should(spooledLines()).eql([
+          {probe: 'foo', documents: [{timestamp: 1, count: 3}]},
+          {probe: 'bar', documents: [{timestamp: 2, content: {}}]}
+        ]);
+      });
+  });
+
+  it('should replay spooled entries in order, and empty the spool file', () => {
+    spool = createSpool();
+
+    return spool.load()
+      .then(() => Bluebird.all([
+        spool.push('foo', [{timestamp: 1}]),
+        spool.push('foo', [{timestamp: 2}])
+      ]))
+      .delay(50)
+      .then(() => {
+        should(replay.args.map(args => args[0].documents[0].timestamp)).eql([1, 2]);
+        should(spool.depth).eql(0);
+        should(spooledLines()).eql([]);
+      });
+  });
+
+  it('should retry with an exponential backoff, keeping entries order', () => {
+    replay.onFirstCall().rejects(new Error('foo'));
+    replay.onSecondCall().resolves();
+    replay.onThirdCall().rejects(new Error('bar'));
+    spool = createSpool();
+
+    return spool.load()
+      .then(() => Bluebird.all([
+        spool.push('foo', [{timestamp: 1}]),
+        spool.push('foo', [{timestamp: 2}])
+      ]))
+      .then(() => spool.flush())
+      .then(() => {
+        should(spool.delay).eql(20);
+        should(log.warn).calledWith('plugin-probe: unable to replay spooled measures, next attempt in 10ms. Reason: foo');
+
+        return spool.flush();
+      })
+      .then(() => {
+        // the first entry is replayed, the second one is not
+        should(spool.delay).eql(40);
+        should(spool.entries).eql([{probe: 'foo', documents: [{timestamp: 2}]}]);
+        should(spooledLines()).eql([{probe: 'foo', documents: [{timestamp: 2}]}]);
+
+        replay.rejects(new Error('baz'));
+        return spool.flush();
+      })
+      .then(() => {
+        // capped retry delay
+        should(spool.delay).eql(40);
+
+        replay.resolves();
+        return spool.flush();
+      })
+      .then(() => {
+        should(spool.delay).eql(10);
+        should(replay.args.map(args => args[0].documents[0].timestamp)).eql([1, 1, 2, 2, 2]);
+        should(spool.depth).eql(0);
+      });
+  });
+
+  it('should drop new entries once full', () => {
+    spool = createSpool({maxSize: 1, retryDelay: 1000, maxRetryDelay: 1000});
+
+    return spool.push('foo', [{timestamp: 1}])
+      .then(() => should(spool.push('foo', [{timestamp: 2}])).be.rejectedWith('measures spool is full (1 measures), measure dropped (1 dropped so far)'))
+      .then(() => {
+        should(spool.depth).eql(1);
+        should(spool.dropped).eql(1);
+      });
+  });
+
+  it('should keep entries which cannot be written to disk, and spool them only once', () => {
+    spool = createSpool();
+
+    return spool.load()
+      .then(() => {
+        sinon.stub(fs, 'appendFile').yields(new Error('foo'));
+
+        return spool.push('foo', [{timestamp: 1}]);
+      })
+      .finally(() => fs.appendFile.restore())
+      .then(() => {
+        should(log.error).calledWithMatch('plugin-probe: unable to write a measure of probe "foo" to the spool file, it is lost if the plugin restarts before it is replayed. Reason: foo');
+        should(spool.entries).eql([{probe: 'foo', documents: [{timestamp: 1}]}]);
+      })
+      .delay(50)
+      .then(() => {
+        should(replay).calledOnce();
+        should(replay.firstCall.args[0]).eql({probe: 'foo', documents: [{timestamp: 1}]});
+        should(spool.depth).eql(0);
+      });
+  });
+
+  it('should reload spooled entries after a restart', () => {
+    spool = createSpool({retryDelay: 1000, maxRetryDelay: 1000});
+
+    return spool.load()
+      .then(() => spool.push('foo', [{timestamp: 1}]))
+      .then(() => {
+        fs.appendFileSync(path.join(directory, 'spool.jsonl'), 'corrupted\n');
+        spool.close();
+
+        spool = createSpool();
+        return spool.load();
+      })
+      .then(() => {
+        should(spool.entries).eql([{probe: 'foo', documents: [{timestamp: 1}]}]);
+        should(log.error).calledWithMatch('plugin-probe: ignored corrupted spooled measure. Reason:');
+      })
+      .delay(50)
+      .then(() => {
+        should(replay).calledOnce();
+        should(spool.depth).eql(0);
+      });
+  });
+});
@@ -0,0 +1,189 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  {Request, errors: {BadRequestError}} = require('kuzzle-common-objects');
+
+describe('#measure requests validation', () => {
+  let
+    plugin,
+    fakeContext;
+
+  const
+    payloadActions = ['watcher', 'sampler', 'histogram', 'cardinality', 'topk'],
+    send = (action, body) => plugin[action](new Request({body}));
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+
+    return plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        monitor: {
+          type: 'monitor',
+          hooks: ['foo:bar'],
+          interval: '1m'
+        },
+        counter: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: ['bar:baz'],
+          interval: '1m'
+        },
+        gauge: {
+          type: 'gauge',
+          hooks: ['foo:gauge'],
+          interval: '1m'
+        },
+        otherGauge: {
+          type: 'gauge',
+          hooks: ['foo:gauge'],
+          interval: '1m'
+        },
+        watcher: {
+          type: 'watcher',
+          index: 'foo',
+          collection: 'bar',
+          interval: '1m'
+        }
+      }
+    }, fakeContext)
+      .then(() => {
+        sinon.stub(plugin.dsl, 'test').returns([]);
+      });
+  });
+
+  it('should reject requests without a valid event', () => {
+    return should(send('monitor', {})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: missing "event" parameter. Expected a non-empty string'})
+      .then(() => should(send('counter', {event: 42})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "event" parameter. Expected a non-empty string'}))
+      .then(() => should(send('gauge', {event: ''})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "event" parameter. Expected a non-empty string'}))
+      .then(() => should(plugin.monitor(new Request({}))).be.rejectedWith(BadRequestError, {message: 'plugin-probe: missing "event" parameter. Expected a non-empty string'}));
+  });
+
+  it('should reject events no probe listens to', () => {
+    return should(send('monitor', {event: 'bar:baz'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: unknown event "bar:baz": no monitor probe listens to it'})
+      .then(() => should(send('monitor', {event: 'constructor'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: unknown event "constructor": no monitor probe listens to it'}))
+      .then(() => should(send('counter', {event: 'foo:gauge'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: unknown event "foo:gauge": no counter probe listens to it'}))
+      .then(() => should(send('gauge', {event: 'foo:bar', value: 42})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: unknown event "foo:bar": no gauge probe listens to it'}))
+      .then(() => send('counter', {event: 'bar:baz'}))
+      .then(result => {
+        should(result).eql({acknowledged: true});
+        should(plugin.measures.counter.count).eql(-1);
+        should(plugin.measures.monitor).eql({'foo:bar': 0});
+      });
+  });
+
+  it('should reject events if no probe is configured', () => {
+    plugin = new Plugin();
+    plugin.init({storageIndex: 'storageIndex'}, fakeContext);
+
+    return should(send('counter', {event: 'foo:bar'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: unknown event "foo:bar": no counter probe listens to it'})
+      .then(() => should(send('watcher', {payload: {data: {index: 'foo', collection: 'bar', body: {}}}})).be.fulfilled());
+  });
+
+  it('should reject gauge requests without a valid value', () => {
+    return should(send('gauge', {event: 'foo:gauge'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: missing "value" parameter. Expected a number'})
+      .then(() => should(send('gauge', {event: 'foo:gauge', value: Infinity})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "value" parameter. Expected a number'}))
+      .then(() => {
+        should(plugin.measures.gauge.count).eql(0);
+      });
+  });
+
+  payloadActions.forEach(action => {
+    it(`should reject ${action} requests without a valid payload`, () => {
+      const data = {index: 'foo', collection: 'bar', body: {}};
+
+      return should(send(action, {})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: missing "payload" parameter. Expected an object'})
+        .then(() => should(send(action, {payload: 'foo'})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "payload" parameter. Expected an object'}))
+        .then(() => should(send(action, {payload: {}})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: missing "payload.data" parameter. Expected an object'}))
+        .then(() => should(send(action, {payload: {data: []}})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "payload.data" parameter. Expected an object'}))
+        .then(() => should(send(action, {payload: {data: Object.assign({}, data, {index: null})}})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: missing "payload.data.index" parameter. Expected a non-empty string'}))
+        .then(() => should(send(action, {payload: {data: Object.assign({}, data, {collection: 42})}})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "payload.data.collection" parameter. Expected a non-empty string'}))
+        .then(() => should(send(action, {payload: {data: Object.assign({}, data, {body: undefined})}})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: missing "payload.data.body" parameter. Expected an object'}))
+        .then(() => should(send(action, {payload: {data}})).be.fulfilled())
+        .then(() => {
+          should(plugin.dsl.test).calledOnce().and.calledWith('foo', 'bar', {});
+        });
+    });
+  });
+
+  it('should count rejected requests per action and per probe', () => {
+    return Promise.all([
+      send('monitor', {event: 'bar:baz'}),
+      send('monitor', {}),
+      send('gauge', {event: 'foo:gauge', value: 'foo'}),
+      send('watcher', {payload: {}}),
+      send('monitor', {event: 'foo:bar'})
+    ].map(promise => promise.catch(() => {})))
+      .then(() => plugin.getRejections())
+      .then(rejections => {
+        should(rejections).eql({
+          total: 4,
+          actions: {monitor: 2, gauge: 1, watcher: 1},
+          probes: {gauge: 1, otherGauge: 1}
+        });
+
+        return plugin.exportMetrics(new Request({}));
+      })
+      .then(result => {
+        should(result).containEql([
+          '# HELP kdc_rejected_inputs_total measure requests rejected because of an invalid body',
+          '# TYPE kdc_rejected_inputs_total counter',
+          'kdc_rejected_inputs_total{action="gauge"} 1',
+          'kdc_rejected_inputs_total{action="monitor"} 2',
+          'kdc_rejected_inputs_total{action="watcher"} 1',
+          ''
+        ].join('\n'));
+
+        return plugin._removeProbe('gauge');
+      })
+      .then(() => plugin.getRejections())
+      .then(rejections => {
+        should(rejections.probes).eql({otherGauge: 1});
+      });
+  });
+
+  it('should count payload rejections for the probes watching the payload collection', () => {
+    const data = {index: 'foo', collection: 'bar', body: {}};
+
+    return Promise.all([
+      send('watcher', {payload: {data: {index: 'foo'}}}),
+      send('watcher', {payload: {data: Object.assign({}, data, {body: 'foo'})}}),
+      send('watcher', {payload: {data}, origin: 42}),
+      send('watcher', {payload: {data: Object.assign({}, data, {collection: 'baz', body: null})}}),
+      send('sampler', {payload: {data: Object.assign({}, data, {body: null})}})
+    ].map(promise => promise.catch(() => {})))
+      .then(() => plugin.getRejections())
+      .then(rejections => {
+        should(rejections).eql({
+          total: 5,
+          actions: {watcher: 4, sampler: 1},
+          probes: {watcher: 2}
+        });
+      });
+  });
+});
@@ -0,0 +1,179 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  Request = require('kuzzle-common-objects').Request;
+
+describe('#metrics', () => {
+  let
+    plugin,
+    fakeContext;
+
+  const
+    configure = () => plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        'probe-monitor': {
+          type: 'monitor',
+          hooks: ['foo:bar', 'bar:"baz"'],
+          interval: '1h'
+        },
+        counter: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: [],
+          interval: 'none'
+        },
+        gauge: {
+          type: 'gauge',
+          hooks: ['foo:bar'],
+          interval: '1h'
+        },
+        watcher: {
+          type: 'watcher',
+          index: 'foo',
+          collection: 'bar',
+          interval: '1h'
+        },
+        collector: {
+          type: 'watcher',
+          index: 'foo',
+          collection: 'bar',
+          collects: '*',
+          interval: '1h'
+        }
+      }
+    }, fakeContext),
+    exportMetrics = () => {
+      const request = new Request({controller: 'measure', action: 'metrics'});
+
+      return plugin.exportMetrics(request)
+        .then(result => {
+          should(request.response.raw).be.true();
+          should(request.response.headers['content-type']).eql('text/plain; version=0.0.4; charset=utf-8');
+
+          return result;
+        });
+    };
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+    fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+  });
+
+  it('should expose ongoing measures of monitor, counter, gauge and count-only watcher probes', () => {
+    return configure()
+      .then(() => {
+        plugin.measures['probe-monitor']['foo:bar'] = 3;
+        plugin.measures.watcher.count = 42;
+
+        return plugin.gauge(new Request({body: {event: 'foo:bar', value: 12.5}}));
+      })
+      .then(() => exportMetrics())
+      .then(result => {
+        should(result).eql([
+          '# HELP kdc_probe ongoing measures of the probes',
+          '# TYPE kdc_probe gauge',
+          'kdc_probe{probe="counter"} 0',
+          'kdc_probe{probe="gauge",stat="last"} 12.5',
+          'kdc_probe{probe="gauge",stat="min"} 12.5',
+          'kdc_probe{probe="gauge",stat="max"} 12.5',
+          'kdc_probe{probe="gauge",stat="avg"} 12.5',
+          'kdc_probe{probe="probe-monitor",hook="foo:bar"} 3',
+          'kdc_probe{probe="probe-monitor",hook="bar:\\"baz\\""} 0',
+          'kdc_probe{probe="watcher"} 42',
+          ''
+        ].join('\n'));
+      });
+  });
+
+  it('should not expose unknown gauge values', () => {
+    return configure()
+      .then(() => exportMetrics())
+      .then(result => {
+        should(result).not.containEql('probe="gauge"');
+      });
+  });
+
+  it('should expose the last measures of probes', () => {
+    const now = Date.now();
+
+    return configure()
+      .then(() => {
+        sinon.stub(Date, 'now').returns(now);
+
+        return plugin.counter(new Request({body: {event: 'foo:bar'}}));
+      })
+      .delay(10)
+      .finally(() => Date.now.restore())
+      .then(() => {
+        should(plugin.lastMeasures.counter).eql({count: 1, timestamp: now});
+
+        return exportMetrics();
+      })
+      .then(result => {
+        should(result).containEql([
+          '# HELP kdc_probe_last last measures of the probes',
+          '# TYPE kdc_probe_last gauge',
+          'kdc_probe_last{probe="counter"} 1',
+          '# HELP kdc_probe_last_timestamp_seconds last measures times of the probes',
+          '# TYPE kdc_probe_last_timestamp_seconds gauge',
+          `kdc_probe_last_timestamp_seconds{probe="counter"} ${now / 1000}`,
+          ''
+        ].join('\n'));
+      });
+  });
+
+  it('should expose probes which names differ only by characters not allowed in metric names', () => {
+    return configure()
+      .then(() => plugin.createProbe(new Request({name: 'counter_last', body: {type: 'counter', increasers: ['foo:bar'], decreasers: []}})))
+      .then(() => plugin.createProbe(new Request({name: 'probe_monitor', body: {type: 'monitor', hooks: ['foo:bar']}})))
+      .then(() => exportMetrics())
+      .then(result => {
+        const lines = result.split('\n');
+
+        should(lines.filter(line => line.startsWith('# TYPE kdc_probe '))).have.length(1);
+        should(lines).containEql('kdc_probe{probe="counter_last"} 0');
+        should(lines).containEql('kdc_probe{probe="probe-monitor",hook="foo:bar"} 0');
+        should(lines).containEql('kdc_probe{probe="probe_monitor",hook="foo:bar"} 0');
+      });
+  });
+
+  it('should forget the last measure of a replaced or deleted probe', () => {
+    return configure()
+      .then(() => plugin.counter(new Request({body: {event: 'foo:bar'}})))
+      .delay(10)
+      .then(() => {
+        should(plugin.lastMeasures).have.keys('counter');
+
+        return plugin.deleteProbe(new Request({name: 'counter'}));
+      })
+      .then(() => {
+        should(plugin.lastMeasures).be.empty();
+      });
+  });
+});
@@ -0,0 +1,216 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  dgram = require('dgram'),
+  net = require('net'),
+  Bluebird = require('bluebird'),
+  MetricsSink = require('../lib/metricsSink');
+
+describe('#MetricsSink', () => {
+  let
+    sink,
+    log;
+
+  const
+    waitFor = (predicate, timeout = 2000) => {
+      const start = Date.now();
+
+      return Bluebird.delay(10).then(function check () {
+        if (predicate() || Date.now() - start > timeout) {
+          return;
+        }
+
+        return Bluebird.delay(10).then(check);
+      });
+    },
+    metrics = [
+      {name: 'kdc.foo.some_event', value: 3, type: 'counter'},
+      {name: 'kdc.foo.count', value: -2, type: 'gauge'}
+    ];
+
+  beforeEach(() => {
+    sink = null;
+    log = {error: sinon.stub(), warn: sinon.stub()};
+  });
+
+  afterEach(() => {
+    if (sink) {
+      sink.close();
+    }
+  });
+
+  describe('#udp', () => {
+    let
+      server,
+      packets;
+
+    beforeEach(done => {
+      packets = [];
+      server = dgram.createSocket('udp4');
+      server.on('message', message => packets.push(message.toString()));
+      server.bind(0, '127.0.0.1', done);
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    it('should send StatsD counters and gauges', () => {
+      sink = new MetricsSink({type: 'statsd', host: '127.0.0.1', port: server.address().port, protocol: 'udp'}, log);
+      sink.send(metrics, 1483228800000);
+
+      return waitFor(() => packets.length > 0)
+        .then(() => {
+          should(packets).eql(['kdc.foo.some_event:3|c\nkdc.foo.count:0|g\nkdc.foo.count:-2|g']);
+        });
+    });
+
+    it('should send timestamped Graphite metrics', () => {
+      sink = new MetricsSink({type: 'graphite', host: '127.0.0.1', port: server.address().port, protocol: 'udp'}, log);
+      sink.send(metrics, 1483228800999);
+
+      return waitFor(() => packets.length > 0)
+        .then(() => {
+          should(packets).eql(['kdc.foo.some_event 3 1483228800\nkdc.foo.count -2 1483228800\n']);
+        });
+    });
+
+    it('should split metrics in packets fitting in the network MTU', () => {
+      const many = [];
+
+      for (let i = 0; i < 100; i++) {
+        many.push({name: `kdc.foo.some_long_metric_name_${i}`, value: i, type: 'counter'});
+      }
+
+      sink = new MetricsSink({type: 'statsd', host: '127.0.0.1', port: server.address().port, protocol: 'udp'}, log);
+      sink.send(many, Date.now());
+
+      return waitFor(() => packets.join('\n').split('\n').length === 100)
+        .then(() => {
+          should(packets.length).be.above(1);
+
+          for (const packet of packets) {
+            should(Buffer.byteLength(packet)).not.be.above(1432);
+          }
+
+          should(packets.join('\n').split('\n')).eql(many.map(metric => `${metric.name}:${metric.value}|c`));
+        });
+    });
+
+    it('should not send anything without metrics', () => {
+      sink = new MetricsSink({type: 'statsd', host: '127.0.0.1', port: server.address().port, protocol: 'udp'}, log);
+      sink.send([], Date.now());
+
+      should(sink.socket).be.null();
+    });
+  });
+
+  describe('#tcp', () => {
+    let
+      server,
+      connections,
+      received;
+
+    beforeEach(done => {
+      connections = [];
+      received = '';
+      server = net.createServer(socket => {
+        connections.push(socket);
+        socket.on('data', data => {
+          received += data;
+        });
+      });
+      server.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(done => {
+      for (const socket of connections) {
+        socket.destroy();
+      }
+
+      server.close(done);
+    });
+
+    it('should write newline-terminated metrics on a persistent connection', () => {
+      sink = new MetricsSink({type: 'graphite', host: '127.0.0.1', port: server.address().port, protocol: 'tcp'}, log);
+      sink.send(metrics, 1483228800000);
+      sink.send(metrics.slice(0, 1), 1483228860000);
+
+      return waitFor(() => received.split('\n').length === 4)
+        .then(() => {
+          should(received).eql('kdc.foo.some_event 3 1483228800\nkdc.foo.count -2 1483228800\nkdc.foo.some_event 3 1483228860\n');
+          should(connections).have.length(1);
+        });
+    });
+
+    it('should reconnect once the connection is closed', () => {
+      sink = new MetricsSink({type: 'statsd', host: '127.0.0.1', port: server.address().port, protocol: 'tcp'}, log);
+      sink.send(metrics.slice(0, 1), Date.now());
+
+      return waitFor(() => received.length > 0)
+        .then(() => {
+          connections[0].destroy();
+          return waitFor(() => sink.socket === null);
+        })
+        .then(() => {
+          sink.send(metrics.slice(0, 1), Date.now());
+          return waitFor(() => connections.length === 2 && received.length > 23);
+        })
+        .then(() => {
+          should(received).eql('kdc.foo.some_event:3|c\nkdc.foo.some_event:3|c\n');
+        });
+    });
+
+    it('should drop metrics while too much data waits to be sent', () => {
+      sink = new MetricsSink({type: 'graphite', host: '127.0.0.1', port: server.address().port, protocol: 'tcp'}, log);
+      sink.send(metrics.slice(0, 1), 1483228800000);
+
+      Object.defineProperty(sink.socket, 'bufferSize', {value: 2 * 1024 * 1024});
+      sinon.spy(sink.socket, 'write');
+      sink.send(metrics.slice(0, 1), 1483228860000);
+
+      should(sink.socket.write).not.be.called();
+      should(log.warn).calledWith(`plugin-probe: graphite sink 127.0.0.1:${server.address().port} is too slow, metrics dropped`);
+    });
+
+    it('should log connection errors', () => {
+      const port = server.address().port;
+
+      return Bluebird.fromCallback(callback => server.close(callback))
+        .then(() => {
+          sink = new MetricsSink({type: 'graphite', host: '127.0.0.1', port, protocol: 'tcp'}, log);
+          sink.send(metrics, Date.now());
+
+          return waitFor(() => log.error.called);
+        })
+        .then(() => {
+          should(log.error).calledWithMatch(`plugin-probe: graphite sink 127.0.0.1:${port} failed to send metrics. Reason:`);
+
+          // restarts the server, closed in afterEach
+          return Bluebird.fromCallback(callback => server.listen(0, '127.0.0.1', callback));
+        });
+    });
+  });
+});
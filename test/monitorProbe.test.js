@@ -135,6 +135,8 @@ describe('#monitor probes', () => {
         }
       }
     }, fakeContext).then(() => {
+      sinon.spy(plugin, '_afterMeasure');
+
       plugin.monitor(new Request({
         body: {
           event: 'foo:bar'
@@ -151,15 +153,12 @@ describe('#monitor probes', () => {
       should(fakeContext.accessors.execute.args[0][0].input.body).ownProperty('timestamp');
 
       // measure should have been reset
-      setTimeout(() => {
-        try {
+      plugin._afterMeasure.firstCall.returnValue
+        .then(() => {
           should(plugin.measures.foo['foo:bar']).be.eql(0);
           done();
-        }
-        catch (e) {
-          done(e);
-        }
-      }, 0);
+        })
+        .catch(done);
     });
   });
 
@@ -0,0 +1,193 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  Bluebird = require('bluebird'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  {Request, errors: {BadRequestError}} = require('kuzzle-common-objects');
+
+describe('#measures origin', () => {
+  let
+    plugin,
+    fakeContext;
+
+  const
+    data = {index: 'foo', collection: 'bar', body: {foo: 'bar'}},
+    send = (action, body, user = null) => plugin[action](new Request({body}, {user})),
+    saved = () => fakeContext.accessors.execute.args.map(args => args[0].input.body);
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+
+    return plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        monitor: {
+          type: 'monitor',
+          hooks: ['foo:bar'],
+          interval: '1m'
+        },
+        counter: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: [],
+          interval: 'none'
+        },
+        watcher: {
+          type: 'watcher',
+          index: 'foo',
+          collection: 'bar',
+          collects: '*',
+          interval: '1m'
+        },
+        sampler: {
+          type: 'sampler',
+          index: 'foo',
+          collection: 'bar',
+          collects: '*',
+          sampleSize: 2,
+          interval: '1m'
+        }
+      }
+    }, fakeContext)
+      .then(() => {
+        sinon.stub(plugin.dsl, 'test').returns([plugin.probes.watcher.filterId]);
+        fakeContext.accessors.execute.resetHistory();
+      });
+  });
+
+  it('should identify listeners with the authenticated user, or the "origin" parameter of anonymous requests', () => {
+    return Promise.all([
+      send('monitor', {event: 'foo:bar', origin: 'node-2'}, {_id: 'listener'}),
+      send('monitor', {event: 'foo:bar'}, {_id: 'listener'}),
+      send('monitor', {event: 'foo:bar'}, {_id: '-1'}),
+      send('monitor', {event: 'foo:bar'}),
+      send('monitor', {event: 'foo:bar', origin: 'node-2'})
+    ])
+      .then(() => {
+        should(Array.from(plugin.measures.monitor.origins)).eql(['listener', 'node-2']);
+
+        return plugin._afterMeasure(plugin.probes.monitor, plugin.measures.monitor);
+      })
+      .then(() => {
+        should(saved()).match([{'foo:bar': 5, origin: ['listener', 'node-2']}]);
+        should(plugin.measures.monitor['foo:bar']).eql(0);
+        should(plugin.measures.monitor.origins.size).eql(0);
+
+        return plugin._afterMeasure(plugin.probes.monitor, plugin.measures.monitor);
+      })
+      .then(() => {
+        should(saved()[1]).not.have.property('origin');
+      });
+  });
+
+  it('should save the origin of each measure', () => {
+    return Bluebird.resolve(send('counter', {event: 'foo:bar', origin: 'node-1'}))
+      .delay(10)
+      .then(() => {
+        should(saved()).match([{count: 1, origin: ['node-1']}]);
+      });
+  });
+
+  it('should save the origin of each collected document', () => {
+    return Promise.all([
+      send('watcher', {payload: {data}, origin: 'node-1'}),
+      send('watcher', {payload: {data}})
+    ])
+      .then(() => plugin._afterMeasure(plugin.probes.watcher, plugin.measures.watcher))
+      .then(() => {
+        should(saved()[0].bulkData).eql([
+          {index: {_index: 'storageIndex', _type: 'watcher'}},
+          {timestamp: saved()[0].bulkData[1].timestamp, content: {foo: 'bar'}, origin: 'node-1'},
+          {index: {_index: 'storageIndex', _type: 'watcher'}},
+          {timestamp: saved()[0].bulkData[1].timestamp, content: {foo: 'bar'}}
+        ]);
+        should(plugin.measures.watcher.contentOrigins).eql([]);
+      });
+  });
+
+  it('should keep the origins of sampled documents', () => {
+    plugin.dsl.test.returns([plugin.probes.sampler.filterId]);
+
+    return Promise.all(['node-1', 'node-2', 'node-3', 'node-4', 'node-5', 'node-6'].map(origin => send('sampler', {
+      payload: {data: Object.assign({}, data, {body: {origin}})},
+      origin
+    })))
+      .then(() => {
+        const measure = plugin.measures.sampler;
+
+        should(measure.content).have.length(2);
+        should(measure.contentOrigins).eql(measure.content.map(content => content.origin));
+      });
+  });
+
+  it('should reject invalid origins', () => {
+    return should(send('monitor', {event: 'foo:bar', origin: 42})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "origin" parameter. Expected a non-empty string'})
+      .then(() => should(send('watcher', {payload: {data}, origin: ''})).be.rejectedWith(BadRequestError, {message: 'plugin-probe: invalid "origin" parameter. Expected a non-empty string'}))
+      .then(() => {
+        should(plugin.measures.monitor).eql({'foo:bar': 0});
+        should(plugin.rejectedInputs.actions).eql({monitor: 1, watcher: 1});
+      });
+  });
+
+  it('should apply the batch origin to entries without their own origin', () => {
+    return plugin.batch(new Request({
+      body: {
+        origin: 'node-1',
+        entries: [
+          {action: 'monitor', event: 'foo:bar'},
+          {action: 'monitor', event: 'foo:bar', origin: 'node-2'}
+        ]
+      }
+    }))
+      .then(result => {
+        should(result.errors).eql(0);
+        should(Array.from(plugin.measures.monitor.origins)).eql(['node-1', 'node-2']);
+      });
+  });
+
+  it('should map the origin field of existing measures collections on startup', () => {
+    fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+    fakeContext.accessors.execute
+      .onFirstCall().resolves({result: true})
+      .onSecondCall().resolves({result: {collections: [{name: 'monitor'}, {name: 'counter'}]}})
+      .onThirdCall().rejects(new Error('foobar'));
+
+    return Bluebird.resolve(plugin.startProbes())
+      .delay(10)
+      .then(() => {
+        const mappings = fakeContext.accessors.execute.args
+          .map(args => args[0].input)
+          .filter(input => input.action === 'updateMapping' && ['monitor', 'counter'].indexOf(input.resource.collection) > -1);
+
+        should(mappings.map(input => input.resource.collection)).eql(['monitor', 'counter']);
+        should(mappings[1].body).eql({properties: {origin: {type: 'keyword'}}});
+        should(fakeContext.log.error).be.calledWith('plugin-probe: [probe: monitor] unable to map the "origin" field as a keyword, measures origins may not be searchable. Reason: foobar');
+
+        Object.keys(plugin.probes).forEach(name => plugin._stopProbe(name));
+      });
+  });
+});
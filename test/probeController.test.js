@@ -0,0 +1,558 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  proxyquire = require('proxyquire'),
+  StubContext = require('./stubs/context.stub'),
+  longTimeout = require('long-timeout'),
+  {Request, errors: {BadRequestError, NotFoundError}} = require('kuzzle-common-objects');
+
+describe('#probe controller', () => {
+  let
+    Plugin,
+    plugin,
+    fakeContext,
+    setIntervalSpy,
+    clearIntervalSpy;
+
+  beforeEach(() => {
+    setIntervalSpy = sinon.spy(longTimeout, 'setInterval');
+    clearIntervalSpy = sinon.spy(longTimeout, 'clearInterval');
+    Plugin = proxyquire('../lib/index', {
+      'long-timeout': longTimeout
+    });
+
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'monitor',
+          hooks: ['foo:bar'],
+          interval: '1h'
+        }
+      }
+    }, fakeContext);
+  });
+
+  afterEach(() => {
+    setIntervalSpy.returnValues.forEach(value => {
+      longTimeout.clearInterval(value);
+    });
+    setIntervalSpy.restore();
+    clearIntervalSpy.restore();
+  });
+
+  it('should create, store and start a new probe', () => {
+    return plugin.createProbe(new Request({
+      name: 'baz',
+      body: {
+        type: 'counter',
+        increasers: ['bar:baz'],
+        decreasers: ['baz:qux'],
+        interval: '10m'
+      }
+    }))
+      .then(result => {
+        should(result).match({
+          name: 'baz',
+          source: 'storage',
+          definition: {type: 'counter', interval: '10m'}
+        });
+        should(plugin.probes.baz).match({interval: 10 * 60 * 1000});
+        should(plugin.measures.baz).match({count: 0});
+        should(plugin.eventMapping.counter.increasers['bar:baz']).match(['baz']);
+        should(plugin.eventMapping.monitor['foo:bar']).match(['foo']);
+
+        should(fakeContext.accessors.execute.callCount).be.eql(5);
+        should(fakeContext.accessors.execute.args[0][0].input).match({
+          controller: 'collection',
+          action: 'create',
+          resource: {index: 'bar', collection: 'probe-definitions'}
+        });
+        should(fakeContext.accessors.execute.args[1][0].input.body).match({
+          properties: {definition: {type: 'object', enabled: false}}
+        });
+        should(fakeContext.accessors.execute.args[2][0].input).match({
+          controller: 'document',
+          action: 'createOrReplace',
+          resource: {index: 'bar', collection: 'probe-definitions', _id: 'baz'},
+          body: {definition: {type: 'counter', interval: '10m'}}
+        });
+        should(fakeContext.accessors.execute.args[3][0].input.action).be.eql('create');
+        should(fakeContext.accessors.execute.args[3][0].input.resource.collection).be.eql('baz');
+        should(fakeContext.accessors.execute.args[4][0].input.action).be.eql('updateMapping');
+        should(fakeContext.accessors.execute.args[4][0].input.body.properties.count).match({type: 'integer'});
+
+        should(setIntervalSpy).be.calledOnce();
+        should(plugin.timers.baz).be.eql(setIntervalSpy.returnValues[0]);
+      });
+  });
+
+  it('should only create the definitions collection once', () => {
+    return plugin.createProbe(new Request({name: 'baz', body: {type: 'monitor', hooks: ['foo:bar']}}))
+      .then(() => {
+        fakeContext.accessors.execute.resetHistory();
+        return plugin.createProbe(new Request({name: 'qux', body: {type: 'monitor', hooks: ['foo:bar']}}));
+      })
+      .then(() => {
+        should(fakeContext.accessors.execute.callCount).be.eql(3);
+        should(fakeContext.accessors.execute.args[0][0].input.action).be.eql('createOrReplace');
+      });
+  });
+
+  it('should not start the probe if its definition cannot be stored', () => {
+    const error = new Error('foobar');
+
+    fakeContext.accessors.execute.rejects(error);
+
+    return should(plugin.createProbe(new Request({name: 'baz', body: {type: 'monitor', hooks: ['foo:bar']}})))
+      .be.rejectedWith(error)
+      .then(() => {
+        should(plugin.probes.baz).be.undefined();
+      });
+  });
+
+  it('should not store the definition of a probe with an invalid filter', () => {
+    plugin.dsl = new fakeContext.constructors.Dsl();
+    plugin.dsl.register.rejects(new Error('foobar'));
+
+    return should(plugin.createProbe(new Request({
+      name: 'baz',
+      body: {type: 'watcher', index: 'foo', collection: 'bar', filter: {foo: 'bar'}}
+    }))).be.rejectedWith(BadRequestError, {message: 'plugin-probe: [probe: baz] invalid filter. Reason: foobar'})
+      .then(() => {
+        should(plugin.probes.baz).be.undefined();
+        should(plugin.definitions.baz).be.undefined();
+        should(fakeContext.accessors.execute).not.be.called();
+      });
+  });
+
+  it('should remove a new probe and its definition if it cannot be started', () => {
+    const
+      error = new Error('foobar'),
+      createCollection = sinon.match(request => request.input.action === 'create' && request.input.resource.collection === 'baz');
+
+    fakeContext.accessors.execute.withArgs(createCollection).rejects(error);
+
+    return should(plugin.createProbe(new Request({name: 'baz', body: {type: 'monitor', hooks: ['foo:bar'], interval: '1m'}})))
+      .be.rejectedWith(error)
+      .then(() => {
+        should(plugin.probes.baz).be.undefined();
+        should(plugin.definitions.baz).be.undefined();
+        should(plugin.eventMapping.monitor['foo:bar']).eql(['foo']);
+        should(plugin.timers.baz).be.undefined();
+        should(fakeContext.accessors.execute.lastCall.args[0].input).match({
+          controller: 'document',
+          action: 'delete',
+          resource: {collection: 'probe-definitions', _id: 'baz'}
+        });
+
+        fakeContext.accessors.execute.withArgs(createCollection).resolves({result: {}});
+
+        return plugin.createProbe(new Request({name: 'baz', body: {type: 'monitor', hooks: ['foo:bar'], interval: '1m'}}));
+      })
+      .then(() => {
+        should(plugin.timers.baz).not.be.undefined();
+      });
+  });
+
+  it('should restore the previous probe if an updated probe cannot be started', () => {
+    const error = new Error('foobar');
+
+    fakeContext.accessors.execute
+      .withArgs(sinon.match(request => request.input.action === 'updateMapping' && request.input.resource.collection === 'foo'))
+      .rejects(error);
+
+    return should(plugin.updateProbe(new Request({name: 'foo', body: {type: 'monitor', hooks: ['bar:baz'], interval: '1m'}})))
+      .be.rejectedWith(error)
+      .then(() => {
+        should(plugin.probes.foo).match({hooks: ['foo:bar'], interval: 60 * 60 * 1000});
+        should(plugin.definitions.foo.source).eql('config');
+        should(plugin.eventMapping.monitor).eql({'foo:bar': ['foo']});
+        should(plugin.timers.foo).not.be.undefined();
+
+        // the configured probe had no stored definition
+        should(fakeContext.accessors.execute.lastCall.args[0].input).match({
+          action: 'delete',
+          resource: {collection: 'probe-definitions', _id: 'foo'}
+        });
+      });
+  });
+
+  it('should reject new probes which name cannot be used as a collection name', () => {
+    return should(plugin.createProbe(new Request({name: 'Foo Bar', body: {type: 'monitor', hooks: ['foo:bar']}})))
+      .be.rejectedWith(BadRequestError, {message: 'plugin-probe: [probe: Foo Bar] invalid probe name. Expected lowercase letters, digits, "_" and "-", starting with a letter or a digit'})
+      .then(() => should(plugin.createProbe(new Request({name: '_baz', body: {type: 'monitor', hooks: ['foo:bar']}}))).be.rejectedWith(BadRequestError))
+      .then(() => {
+        should(fakeContext.accessors.execute).not.be.called();
+      });
+  });
+
+  it('should register the filter of a new watcher probe', () => {
+    return plugin.createProbe(new Request({
+      name: 'baz',
+      body: {
+        type: 'watcher',
+        index: 'foo',
+        collection: 'bar',
+        filter: {equals: {foo: 'bar'}}
+      }
+    }))
+      .then(() => {
+        should(plugin.dsl.register).be.calledWith('foo', 'bar', {equals: {foo: 'bar'}});
+        should(plugin.probes.baz.filterId).be.eql('filterId');
+        should(plugin.eventMapping.watcher.filterId).match(['baz']);
+        should(setIntervalSpy).not.be.called();
+      });
+  });
+
+  it('should reject if the probe already exists', () => {
+    return should(plugin.createProbe(new Request({
+      name: 'foo',
+      body: {
+        type: 'monitor',
+        hooks: ['foo:bar']
+      }
+    }))).be.rejectedWith(BadRequestError, {message: 'plugin-probe: [probe: foo] probe already exists'});
+  });
+
+  it('should reject if the probe name is missing', () => {
+    return should(plugin.createProbe(new Request({
+      body: {
+        type: 'monitor',
+        hooks: ['foo:bar']
+      }
+    }))).be.rejectedWith(BadRequestError, {message: 'plugin-probe: missing probe name'});
+  });
+
+  it('should reject an invalid probe definition with the configuration error', () => {
+    return should(plugin.createProbe(new Request({
+      name: 'baz',
+      body: {
+        type: 'counter',
+        increasers: ['bar:baz']
+      }
+    }))).be.rejectedWith(BadRequestError, {message: 'plugin-probe: [probe: baz] "decreasers" parameter missing"'})
+      .then(() => {
+        should(plugin.probes.baz).be.undefined();
+        should(fakeContext.accessors.execute).not.be.called();
+      });
+  });
+
+  it('should reject an unknown probe type', () => {
+    return should(plugin.createProbe(new Request({
+      name: 'baz',
+      body: {
+        type: 'foobar'
+      }
+    }))).be.rejectedWith(BadRequestError, {message: 'The probe type foobar is unknown'});
+  });
+
+  it('should save the ongoing measure and restart the probe on update', () => {
+    fakeContext.accessors.execute.resolves({result: {collections: []}});
+
+    return plugin.startProbes()
+      .then(() => new Promise(resolve => setTimeout(resolve, 20)))
+      .then(() => {
+        const timer = plugin.timers.foo;
+
+        fakeContext.accessors.execute.resetHistory();
+        plugin.monitor(new Request({body: {event: 'foo:bar'}}));
+
+        return plugin.updateProbe(new Request({
+          name: 'foo',
+          body: {
+            type: 'monitor',
+            hooks: ['foo:bar', 'bar:baz'],
+            interval: '1m'
+          }
+        }))
+          .then(result => {
+            should(result).match({
+              source: 'storage',
+              definition: {hooks: ['foo:bar', 'bar:baz'], interval: '1m'}
+            });
+
+            // the ongoing measure is saved before the new definition is stored
+            should(fakeContext.accessors.execute.args[0][0].input.action).be.eql('create');
+            should(fakeContext.accessors.execute.args[0][0].input.body['foo:bar']).be.eql(1);
+            should(fakeContext.accessors.execute.args[3][0].input.action).be.eql('createOrReplace');
+
+            should(clearIntervalSpy).be.calledWith(timer);
+            should(plugin.measures.foo).match({'foo:bar': 0, 'bar:baz': 0});
+            should(plugin.eventMapping.monitor['bar:baz']).match(['foo']);
+            should(fakeContext.accessors.execute.lastCall.args[0].input.body.properties).have.keys('timestamp', 'foo:bar', 'bar:baz');
+            should(setIntervalSpy).be.calledTwice();
+            should(setIntervalSpy.secondCall.args[1]).be.eql(60 * 1000);
+          });
+      });
+  });
+
+  it('should resume updated counters from their value, unless they are reset on start', () => {
+    const counter = options => new Request({
+      name: 'baz',
+      body: Object.assign({type: 'counter', increasers: ['bar:baz'], decreasers: [], interval: '10m'}, options)
+    });
+
+    return plugin.createProbe(counter())
+      .then(() => {
+        plugin.counter(new Request({body: {event: 'bar:baz'}}));
+        plugin.counter(new Request({body: {event: 'bar:baz'}}));
+
+        return plugin.updateProbe(counter({decreasers: ['baz:qux'], rate: true}));
+      })
+      .then(() => {
+        should(plugin.measures.baz).match({count: 2, delta: null});
+        should(plugin.measures.baz.rateReference.count).be.eql(2);
+
+        return plugin.updateProbe(counter({resetOnStart: true}));
+      })
+      .then(() => {
+        should(plugin.measures.baz.count).be.eql(0);
+      });
+  });
+
+  it('should reject updating an unknown probe', () => {
+    return should(plugin.updateProbe(new Request({
+      name: 'baz',
+      body: {
+        type: 'monitor',
+        hooks: ['foo:bar']
+      }
+    }))).be.rejectedWith(NotFoundError, {message: 'plugin-probe: [probe: baz] probe not found'});
+  });
+
+  it('should stop and remove a deleted probe', () => {
+    fakeContext.accessors.execute.resolves({result: {collections: []}});
+
+    return plugin.startProbes()
+      .then(() => new Promise(resolve => setTimeout(resolve, 20)))
+      .then(() => {
+        const timer = plugin.timers.foo;
+
+        should(timer).not.be.undefined();
+        fakeContext.accessors.execute.resetHistory();
+
+        return plugin.deleteProbe(new Request({name: 'foo'}))
+          .then(result => {
+            should(result).match({acknowledged: true});
+            should(clearIntervalSpy).be.calledWith(timer);
+            should(plugin.timers.foo).be.undefined();
+            should(plugin.probes.foo).be.undefined();
+            should(plugin.measures.foo).be.undefined();
+            should(plugin.eventMapping.monitor['foo:bar']).be.undefined();
+
+            // the ongoing measure is saved before deletion, and
+            // configured probes have no stored definition
+            should(fakeContext.accessors.execute).be.calledOnce();
+            should(fakeContext.accessors.execute.args[0][0].input.resource.collection).be.eql('foo');
+          });
+      });
+  });
+
+  it('should delete the stored definition of a deleted probe', () => {
+    return plugin.createProbe(new Request({name: 'baz', body: {type: 'monitor', hooks: ['foo:bar']}}))
+      .then(() => {
+        fakeContext.accessors.execute.resetHistory();
+        return plugin.deleteProbe(new Request({name: 'baz'}));
+      })
+      .then(() => {
+        should(fakeContext.accessors.execute).be.calledOnce();
+        should(fakeContext.accessors.execute.args[0][0].input).match({
+          controller: 'document',
+          action: 'delete',
+          resource: {index: 'bar', collection: 'probe-definitions', _id: 'baz'}
+        });
+        should(plugin.probes.baz).be.undefined();
+        should(plugin.definitions.baz).be.undefined();
+      });
+  });
+
+  it('should only remove a DSL filter once no probe uses it', () => {
+    const watcher = {
+      type: 'watcher',
+      index: 'foo',
+      collection: 'bar'
+    };
+
+    return plugin.createProbe(new Request({name: 'baz', body: watcher}))
+      .then(() => plugin.createProbe(new Request({name: 'qux', body: watcher})))
+      .then(() => plugin.deleteProbe(new Request({name: 'baz'})))
+      .then(() => {
+        should(plugin.dsl.remove).not.be.called();
+        should(plugin.eventMapping.watcher.filterId).match(['qux']);
+
+        return plugin.deleteProbe(new Request({name: 'qux'}));
+      })
+      .then(() => {
+        should(plugin.dsl.remove).be.calledOnce().and.be.calledWith('filterId');
+      });
+  });
+
+  it('should return a probe definition', () => {
+    return plugin.getProbe(new Request({name: 'foo'}))
+      .then(result => {
+        should(result).eql({
+          name: 'foo',
+          source: 'config',
+          definition: {
+            type: 'monitor',
+            hooks: ['foo:bar'],
+            interval: '1h'
+          }
+        });
+      });
+  });
+
+  it('should reject getting an unknown probe', () => {
+    return should(plugin.getProbe(new Request({name: 'baz'})))
+      .be.rejectedWith(NotFoundError);
+  });
+
+  it('should list the probes definitions', () => {
+    return plugin.createProbe(new Request({
+      name: 'baz',
+      body: {
+        type: 'monitor',
+        hooks: ['bar:baz']
+      }
+    }))
+      .then(() => plugin.listProbes())
+      .then(result => {
+        should(result).have.keys('foo', 'baz');
+        should(result.foo).match({source: 'config'});
+        should(result.baz).match({source: 'storage', definition: {type: 'monitor', hooks: ['bar:baz']}});
+      });
+  });
+
+  it('should reject a probe named after the definitions collection', () => {
+    return should(plugin.createProbe(new Request({
+      name: 'probe-definitions',
+      body: {type: 'monitor', hooks: ['foo:bar']}
+    }))).be.rejectedWith(BadRequestError, {message: 'plugin-probe: [probe: probe-definitions] this name is reserved to store probes definitions'});
+  });
+
+  it('should create a probe even if none was configured at startup', () => {
+    plugin = new Plugin();
+    plugin.init({storageIndex: 'bar'}, fakeContext);
+
+    return plugin.createProbe(new Request({
+      name: 'baz',
+      body: {
+        type: 'sampler',
+        index: 'foo',
+        collection: 'bar',
+        collects: '*',
+        sampleSize: 10,
+        interval: '1h'
+      }
+    }))
+      .then(() => {
+        should(plugin.dsl).not.be.null();
+        should(plugin.eventMapping.sampler.filterId).match([{name: 'baz'}]);
+        should(plugin.measures.baz).match({content: [], count: 0});
+      });
+  });
+
+  describe('#stored definitions', () => {
+    beforeEach(() => {
+      fakeContext.accessors.execute = sinon.stub().resolves({result: 'someResult'});
+      fakeContext.accessors.execute
+        .onFirstCall().resolves({result: true})
+        .onSecondCall().resolves({result: {collections: [{name: 'probe-definitions'}, {name: 'foo'}]}})
+        .onThirdCall().resolves({
+          result: {
+            total: 3,
+            hits: [
+              {_id: 'baz', _source: {definition: {type: 'monitor', hooks: ['bar:baz']}}},
+              {_id: 'foo', _source: {definition: {type: 'monitor', hooks: ['foo:bar', 'foo:baz'], interval: '1m'}}},
+              {_id: 'qux', _source: {definition: {type: 'counter'}}}
+            ]
+          }
+        });
+    });
+
+    it('should load the stored probes on startup', () => {
+      return plugin.startProbes()
+        .then(() => {
+          should(fakeContext.accessors.execute.args[2][0].input).match({
+            controller: 'document',
+            action: 'search',
+            resource: {index: 'bar', collection: 'probe-definitions'}
+          });
+
+          should(plugin.probes.baz).match({type: 'monitor', hooks: ['bar:baz']});
+          should(plugin.measures.baz).match({'bar:baz': 0});
+          should(plugin.definitions.baz.source).be.eql('storage');
+          should(plugin.eventMapping.monitor['bar:baz']).match(['baz']);
+
+          // the existing "foo" collection mapping is updated, and only
+          // the missing "baz" collection is created
+          should(fakeContext.accessors.execute.args[3][0].input).match({
+            controller: 'collection',
+            action: 'updateMapping',
+            resource: {collection: 'foo'},
+            body: {properties: {origin: {type: 'keyword'}}}
+          });
+          should(fakeContext.accessors.execute.args[4][0].input).match({
+            controller: 'collection',
+            action: 'create',
+            resource: {collection: 'baz'}
+          });
+          should(fakeContext.accessors.execute.callCount).be.eql(6);
+        });
+    });
+
+    it('should replace a configured probe with its stored definition', () => {
+      return plugin.startProbes()
+        .then(() => {
+          should(plugin.probes.foo).match({hooks: ['foo:bar', 'foo:baz'], interval: 60 * 1000});
+          should(plugin.definitions.foo.source).be.eql('storage');
+          should(fakeContext.log.warn).be.calledWith('plugin-probe: [probe: foo] the stored probe definition replaces the configured one');
+        });
+    });
+
+    it('should ignore invalid stored definitions', () => {
+      return plugin.startProbes()
+        .then(() => {
+          should(plugin.probes.qux).be.undefined();
+          should(fakeContext.log.error).be.calledWith('plugin-probe: [probe: qux] invalid stored probe definition, probe ignored. Reason: plugin-probe: [probe: qux] "increasers" parameter missing"');
+        });
+    });
+
+    it('should not create the definitions collection if it already exists', () => {
+      return plugin.startProbes()
+        .then(() => {
+          fakeContext.accessors.execute.resetHistory();
+          return plugin.createProbe(new Request({name: 'quux', body: {type: 'monitor', hooks: ['foo:bar']}}));
+        })
+        .then(() => {
+          should(fakeContext.accessors.execute.args[0][0].input.action).be.eql('createOrReplace');
+        });
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  proxyquire = require('proxyquire'),
+  StubContext = require('./stubs/context.stub'),
+  longTimeout = require('long-timeout');
+
+describe('#retention', () => {
+  const
+    day = 24 * 60 * 60 * 1000,
+    now = Date.UTC(2017, 5, 15, 12, 30);
+
+  let
+    Plugin,
+    plugin,
+    fakeContext,
+    setIntervalSpy;
+
+  const
+    configure = (probes, config) => plugin.init(Object.assign({storageIndex: 'storageIndex', probes}, config), fakeContext),
+    monitor = retention => ({type: 'monitor', hooks: ['foo:bar'], interval: '10m', retention});
+
+  beforeEach(() => {
+    setIntervalSpy = sinon.spy(longTimeout, 'setInterval');
+    Plugin = proxyquire('../lib/index', {
+      'long-timeout': longTimeout
+    });
+
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+    fakeContext.accessors.execute = sinon.stub().callsFake(request => {
+      if (request.input.action === 'list') {
+        return Promise.resolve({result: {collections: []}});
+      }
+
+      if (request.input.action === 'deleteByQuery') {
+        return Promise.resolve({result: {ids: ['foo', 'bar']}});
+      }
+
+      return Promise.resolve({result: {}});
+    });
+  });
+
+  afterEach(() => {
+    setIntervalSpy.returnValues.forEach(value => {
+      longTimeout.clearInterval(value);
+    });
+    setIntervalSpy.restore();
+  });
+
+  it('should convert the retention to milliseconds', () => {
+    configure({foo: monitor('30d'), bar: monitor(1000)});
+
+    should(plugin.probes.foo.retention).be.eql(30 * day);
+    should(plugin.probes.bar.retention).be.eql(1000);
+  });
+
+  it('should throw if the retention is invalid', () => {
+    should(() => configure({foo: monitor('foo')}))
+      .throw('plugin-probe: [probe: foo] Invalid "retention" parameter: expected a duration');
+    should(() => configure({foo: monitor(-1)}))
+      .throw('plugin-probe: [probe: foo] Invalid "retention" parameter: expected a duration');
+  });
+
+  it('should throw if the retention is set on a probe not stored in Kuzzle', () => {
+    should(() => configure({foo: Object.assign(monitor('30d'), {storage: 'none'})}))
+      .throw('plugin-probe: [probe: foo] Configuration error: "retention" can only be used with probes stored in Kuzzle');
+  });
+
+  it('should throw if the retention is set along with rollups', () => {
+    should(() => configure({foo: Object.assign(monitor('30d'), {rollups: {raw: '7d', tiers: [{bucket: '1h'}]}})}))
+      .throw('plugin-probe: [probe: foo] Configuration error: "retention" cannot be used with "rollups"');
+  });
+
+  it('should throw if the purge interval is invalid', () => {
+    should(() => configure({foo: monitor('30d')}, {purgeInterval: 'foo'})).throw('plugin-probe: invalid purge interval "foo"');
+  });
+
+  it('should start the purge job with probes configured with a retention only', () => {
+    return configure({foo: monitor()}, {purgeInterval: '5m'})
+      .then(() => plugin.startProbes())
+      .delay(10)
+      .then(() => {
+        should(plugin.purgeTimer).be.null();
+
+        return configure({foo: monitor(), bar: monitor('30d')}, {purgeInterval: '5m'});
+      })
+      .then(() => plugin.startProbes())
+      .delay(10)
+      .then(() => {
+        should(plugin.purgeTimer).not.be.null();
+        should(setIntervalSpy).be.calledWith(sinon.match.func, 5 * 60 * 1000);
+      });
+  });
+
+  it('should delete measures older than the probe retention', () => {
+    sinon.stub(Date, 'now').returns(now);
+
+    return configure({foo: monitor('30d'), bar: monitor()})
+      .then(() => plugin._runPurge())
+      .finally(() => Date.now.restore())
+      .then(() => {
+        const request = fakeContext.accessors.execute.firstCall.args[0];
+
+        should(fakeContext.accessors.execute).be.calledOnce();
+        should(request.input.resource).match({index: 'storageIndex', collection: 'foo'});
+        should(request.input.controller).be.eql('document');
+        should(request.input.action).be.eql('deleteByQuery');
+        should(request.input.body).eql({query: {range: {timestamp: {lt: now - 30 * day}}}});
+
+        should(fakeContext.log.info).be.calledWith('plugin-probe: [probe: foo] purged 2 measures older than 2017-05-16T12:30:00.000Z');
+        should(fakeContext.accessors.trigger).be.calledOnce();
+        should(fakeContext.accessors.trigger).be.calledWith('purgedMeasures', {probeName: 'foo', before: now - 30 * day, deleted: 2});
+        should(plugin.purgeRunning).be.false();
+      });
+  });
+
+  it('should log purge errors and go on with the next probes', () => {
+    return configure({foo: monitor('30d'), bar: monitor('1d')})
+      .then(() => {
+        fakeContext.accessors.execute.onFirstCall().rejects(new Error('foobar'));
+        return plugin._runPurge();
+      })
+      .then(() => {
+        should(fakeContext.log.error).be.calledWith('plugin-probe: [probe: foo] measures purge failed. Reason: foobar');
+        should(fakeContext.accessors.execute).be.calledTwice();
+        should(fakeContext.accessors.trigger).be.calledWithMatch('purgedMeasures', {probeName: 'bar'});
+      });
+  });
+
+  it('should skip a run if the previous one is not over', () => {
+    return configure({foo: monitor('30d')})
+      .then(() => {
+        plugin.purgeRunning = true;
+        return plugin._runPurge();
+      })
+      .then(() => {
+        should(fakeContext.accessors.execute).not.be.called();
+      });
+  });
+});
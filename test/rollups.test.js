@@ -0,0 +1,368 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  proxyquire = require('proxyquire'),
+  StubContext = require('./stubs/context.stub'),
+  longTimeout = require('long-timeout'),
+  Request = require('kuzzle-common-objects').Request;
+
+describe('#rollups', () => {
+  const
+    hour = 60 * 60 * 1000,
+    day = 24 * hour,
+    now = Date.UTC(2017, 5, 15, 12, 30);
+
+  let
+    Plugin,
+    plugin,
+    fakeContext,
+    setIntervalSpy,
+    buckets,
+    storedRollups;
+
+  const
+    configure = (probe, config) => plugin.init(Object.assign({storageIndex: 'storageIndex', probes: {foo: probe}}, config), fakeContext),
+    monitor = rollups => ({type: 'monitor', hooks: ['foo:bar'], interval: '10m', rollups}),
+    requests = action => fakeContext.accessors.execute.args
+      .map(args => args[0])
+      .filter(request => request.input.action === action);
+
+  beforeEach(() => {
+    setIntervalSpy = sinon.spy(longTimeout, 'setInterval');
+    Plugin = proxyquire('../lib/index', {
+      'long-timeout': longTimeout
+    });
+
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+
+    // search results, indexed by searched collection
+    buckets = {};
+
+    // existing rollup documents, indexed by rollup collection
+    storedRollups = {};
+    fakeContext.accessors.execute = sinon.stub().callsFake(request => {
+      if (request.input.action === 'search') {
+        return Promise.resolve({result: {total: 0, hits: [], aggregations: {buckets: {buckets: buckets[request.input.resource.collection] || []}}}});
+      }
+
+      if (request.input.action === 'mGet') {
+        return Promise.resolve({result: {total: 0, hits: storedRollups[request.input.resource.collection] || []}});
+      }
+
+      if (request.input.action === 'list') {
+        return Promise.resolve({result: {collections: []}});
+      }
+
+      return Promise.resolve({result: {}});
+    });
+  });
+
+  afterEach(() => {
+    setIntervalSpy.returnValues.forEach(value => {
+      longTimeout.clearInterval(value);
+    });
+    setIntervalSpy.restore();
+  });
+
+  describe('#configuration', () => {
+    it('should normalize rollup tiers', () => {
+      configure(monitor({raw: '7d', tiers: [{bucket: '1h', keep: '90d'}, {bucket: 90 * 60 * 1000 * 16}]}));
+
+      should(plugin.probes.foo.rollups).eql({
+        raw: 7 * day,
+        tiers: [
+          {bucket: hour, keep: 90 * day, collection: 'foo-rollup-1h'},
+          {bucket: day, keep: null, collection: 'foo-rollup-1d'}
+        ]
+      });
+    });
+
+    it('should use milliseconds in rollup collection names if the bucket is not a round duration', () => {
+      configure(monitor({raw: '7d', tiers: [{bucket: 90 * 60 * 1000}]}));
+
+      should(plugin.probes.foo.rollups.tiers[0].collection).be.eql('foo-rollup-5400000');
+    });
+
+    it('should throw if the probe type measures cannot be rolled up', () => {
+      should(() => configure({type: 'gauge', hooks: ['foo:bar'], rollups: {raw: '7d', tiers: [{bucket: '1h'}]}}))
+        .throw('plugin-probe: [probe: foo] Configuration error: gauge probes measures cannot be rolled up');
+    });
+
+    it('should throw if the probe is not stored in Kuzzle', () => {
+      should(() => configure(Object.assign(monitor({raw: '7d', tiers: [{bucket: '1h'}]}), {storage: {type: 'file', path: 'measures.jsonl'}})))
+        .throw('plugin-probe: [probe: foo] Configuration error: "rollups" can only be used with probes stored in Kuzzle');
+    });
+
+    it('should throw if the rollups format is invalid', () => {
+      const message = 'plugin-probe: [probe: foo] Invalid "rollups" format: expected an object with "raw" and "tiers" parameters';
+
+      should(() => configure(monitor('7d'))).throw(message);
+      should(() => configure(monitor({raw: '7d', tiers: []}))).throw(message);
+      should(() => configure(monitor({raw: 'foo', tiers: [{bucket: '1h'}]})))
+        .throw('plugin-probe: [probe: foo] Invalid "rollups.raw" parameter: expected a duration');
+    });
+
+    it('should throw if a tier is invalid', () => {
+      should(() => configure(monitor({raw: '7d', tiers: [{bucket: 'foo'}]})))
+        .throw('plugin-probe: [probe: foo] Invalid rollup tier #0: "bucket" must be a duration');
+      should(() => configure(monitor({raw: '7d', tiers: [{bucket: '1h', keep: '90d'}, {bucket: '90m'}]})))
+        .throw('plugin-probe: [probe: foo] Invalid rollup tier #1: "bucket" must be a multiple of the previous tier bucket');
+      should(() => configure(monitor({raw: '7d', tiers: [{bucket: '1h'}, {bucket: '1d'}]})))
+        .throw('plugin-probe: [probe: foo] Invalid rollup tier #0: "keep" is required for all tiers but the last one');
+      should(() => configure(monitor({raw: '7d', tiers: [{bucket: '1h', keep: '1d'}]})))
+        .throw('plugin-probe: [probe: foo] Invalid rollup tier #0: "keep" must be a duration greater than the previous tier retention');
+    });
+
+    it('should throw if the rollup interval is invalid', () => {
+      should(() => configure(monitor(), {rollupInterval: 'foo'})).throw('plugin-probe: invalid rollup interval "foo"');
+    });
+  });
+
+  describe('#job', () => {
+    it('should start the rollup job with probes configured with rollup tiers only', () => {
+      return configure(monitor(), {rollupInterval: '10m'})
+        .then(() => plugin.startProbes())
+        .delay(10)
+        .then(() => {
+          should(plugin.rollupTimer).be.null();
+
+          return plugin.createProbe(new Request({
+            name: 'bar',
+            body: monitor({raw: '7d', tiers: [{bucket: '1h'}]})
+          }));
+        })
+        .then(() => {
+          should(plugin.rollupTimer).not.be.null();
+          should(setIntervalSpy).be.calledWith(sinon.match.func, 10 * 60 * 1000);
+        });
+    });
+
+    it('should roll up old raw measures into the first tier', () => {
+      sinon.stub(Date, 'now').returns(now);
+      buckets.foo = [{key: 1000 * hour, doc_count: 6, 'foo:bar': {value: 42}}];
+
+      return configure(monitor({raw: '7d', tiers: [{bucket: '1h'}]}))
+        .then(() => plugin._runRollups())
+        .finally(() => Date.now.restore())
+        .then(() => {
+          const
+            cutoff = Math.floor((now - 7 * day) / hour) * hour,
+            search = requests('search')[0];
+
+          should(search.input.resource.collection).be.eql('foo');
+          should(search.input.args.size).be.eql(0);
+          should(search.input.body).eql({
+            query: {range: {timestamp: {lt: cutoff}}},
+            aggregations: {
+              buckets: {
+                date_histogram: {field: 'timestamp', interval: '3600000ms', min_doc_count: 1},
+                aggregations: {'foo:bar': {sum: {field: 'foo:bar'}}}
+              }
+            }
+          });
+
+          should(requests('create')[0].input.resource.collection).be.eql('foo-rollup-1h');
+          should(requests('updateMapping')[0].input.body).eql({
+            properties: {
+              timestamp: {type: 'date', format: 'epoch_millis'},
+              bucket: {type: 'long'},
+              measures: {type: 'integer'},
+              'foo:bar': {type: 'integer'}
+            }
+          });
+
+          should(requests('import')[0].input.resource.collection).be.eql('foo-rollup-1h');
+          should(requests('import')[0].input.body.bulkData).eql([
+            {index: {_index: 'storageIndex', _type: 'foo-rollup-1h', _id: String(1000 * hour)}},
+            {timestamp: 1000 * hour, bucket: hour, measures: 6, 'foo:bar': 42}
+          ]);
+
+          should(requests('deleteByQuery')[0].input.resource.collection).be.eql('foo');
+          should(requests('deleteByQuery')[0].input.body).eql({query: {range: {timestamp: {lt: cutoff}}}});
+        });
+    });
+
+    it('should roll up each tier into the next one, and expire the last tier', () => {
+      sinon.stub(Date, 'now').returns(now);
+      buckets['foo-rollup-1h'] = [{
+        key: 0,
+        doc_count: 24,
+        measures: {value: 144},
+        last: {hits: {hits: [{_source: {last: 12}}]}},
+        max: {value: 15}
+      }];
+
+      return configure({
+        type: 'counter',
+        increasers: ['foo:bar'],
+        decreasers: [],
+        interval: '10m',
+        rollups: {raw: '7d', tiers: [{bucket: '1h', keep: '90d'}, {bucket: '1d', keep: '365d'}]}
+      })
+        .then(() => plugin._runRollups())
+        .finally(() => Date.now.restore())
+        .then(() => {
+          const searches = requests('search');
+
+          should(searches.map(request => request.input.resource.collection)).eql(['foo', 'foo-rollup-1h']);
+          should(searches[0].input.body.aggregations.buckets.aggregations).eql({
+            last: {top_hits: {size: 1, sort: [{timestamp: 'desc'}], _source: ['count']}},
+            max: {max: {field: 'count'}}
+          });
+          should(searches[1].input.body.query).eql({range: {timestamp: {lt: Math.floor((now - 90 * day) / day) * day}}});
+          should(searches[1].input.body.aggregations.buckets.aggregations).eql({
+            last: {top_hits: {size: 1, sort: [{timestamp: 'desc'}], _source: ['last']}},
+            max: {max: {field: 'max'}},
+            measures: {sum: {field: 'measures'}}
+          });
+
+          // no raw measure to roll up
+          should(requests('import')).have.length(1);
+          should(requests('import')[0].input.body.bulkData[1]).eql({timestamp: 0, bucket: day, measures: 144, last: 12, max: 15});
+
+          should(requests('deleteByQuery').map(request => [request.input.resource.collection, request.input.body.query.range.timestamp.lt])).eql([
+            ['foo-rollup-1h', Math.floor((now - 90 * day) / day) * day],
+            ['foo-rollup-1d', now - 365 * day]
+          ]);
+        });
+    });
+
+    it('should count collected contents and sum rolled up counts of watcher probes', () => {
+      buckets.foo = [{key: 0, doc_count: 3}];
+      buckets['foo-rollup-1h'] = [{key: 0, doc_count: 2, measures: {value: 3}, count: {value: 3}}];
+
+      return configure({
+        type: 'watcher',
+        index: 'foo',
+        collection: 'bar',
+        collects: '*',
+        interval: '10m',
+        rollups: {raw: '7d', tiers: [{bucket: '1h', keep: '30d'}, {bucket: '1d'}]}
+      })
+        .then(() => plugin._runRollups())
+        .then(() => {
+          const imports = requests('import');
+
+          should(imports[0].input.body.bulkData[1]).eql({timestamp: 0, bucket: hour, measures: 3, count: 3});
+          should(imports[1].input.body.bulkData[1]).eql({timestamp: 0, bucket: day, measures: 3, count: 3});
+          should(requests('create')).have.length(2);
+        });
+    });
+
+    it('should merge measures stored late into the existing rollups', () => {
+      buckets.foo = [
+        {key: 0, doc_count: 2, 'foo:bar': {value: 5}},
+        {key: hour, doc_count: 1, 'foo:bar': {value: 1}}
+      ];
+      storedRollups['foo-rollup-1h'] = [{_id: '0', _source: {timestamp: 0, bucket: hour, measures: 6, 'foo:bar': 42}}];
+
+      return configure(monitor({raw: '7d', tiers: [{bucket: '1h'}]}))
+        .then(() => plugin._runRollups())
+        .then(() => {
+          should(requests('mGet')[0].input.resource.collection).be.eql('foo-rollup-1h');
+          should(requests('mGet')[0].input.body).eql({ids: ['0', String(hour)]});
+          should(requests('import')[0].input.body.bulkData.filter((item, i) => i % 2 === 1)).eql([
+            {timestamp: 0, bucket: hour, measures: 8, 'foo:bar': 47},
+            {timestamp: hour, bucket: hour, measures: 1, 'foo:bar': 1}
+          ]);
+        });
+    });
+
+    it('should keep the last value and the greatest maximum of merged counter rollups', () => {
+      const probe = {type: 'counter', increasers: ['foo:bar'], decreasers: []};
+
+      should(plugin._mergeRollups(probe, {measures: 6, last: 12, max: 15}, {measures: 1, last: 9, max: 10})).eql({measures: 7, last: 12, max: 15});
+      should(plugin._mergeRollups(probe, {measures: 6, last: null, max: null}, {measures: 1, last: 9, max: 10})).eql({measures: 7, last: 9, max: 10});
+    });
+
+    it('should restore the rollups if the rolled up measures cannot be deleted', () => {
+      buckets.foo = [
+        {key: 0, doc_count: 2, 'foo:bar': {value: 5}},
+        {key: hour, doc_count: 1, 'foo:bar': {value: 1}}
+      ];
+      storedRollups['foo-rollup-1h'] = [{_id: '0', _source: {timestamp: 0, bucket: hour, measures: 6, 'foo:bar': 42}}];
+
+      return configure(monitor({raw: '7d', tiers: [{bucket: '1h'}]}))
+        .then(() => {
+          fakeContext.accessors.execute.withArgs(sinon.match(request => request.input.action === 'deleteByQuery')).rejects(new Error('foobar'));
+
+          return plugin._runRollups();
+        })
+        .then(() => {
+          should(fakeContext.log.error).be.calledWith('plugin-probe: [probe: foo] measures rollup failed. Reason: foobar');
+          should(requests('import')).have.length(2);
+          should(requests('import')[1].input.body.bulkData).eql([
+            {index: {_index: 'storageIndex', _type: 'foo-rollup-1h', _id: '0'}},
+            {timestamp: 0, bucket: hour, measures: 6, 'foo:bar': 42}
+          ]);
+          should(requests('mDelete')[0].input.resource.collection).be.eql('foo-rollup-1h');
+          should(requests('mDelete')[0].input.body).eql({ids: [String(hour)]});
+        });
+    });
+
+    it('should create rollup collections only once', () => {
+      buckets.foo = [{key: 0, doc_count: 1, 'foo:bar': {value: 1}}];
+
+      return configure(monitor({raw: '7d', tiers: [{bucket: '1h'}]}))
+        .then(() => plugin._runRollups())
+        .then(() => plugin._runRollups())
+        .then(() => {
+          should(requests('import')).have.length(2);
+          should(requests('create')).have.length(1);
+        });
+    });
+
+    it('should log rollup errors and go on with the next probes', () => {
+      return plugin.init({
+        storageIndex: 'storageIndex',
+        probes: {
+          foo: monitor({raw: '7d', tiers: [{bucket: '1h'}]}),
+          bar: monitor({raw: '7d', tiers: [{bucket: '1h'}]})
+        }
+      }, fakeContext)
+        .then(() => {
+          fakeContext.accessors.execute.onFirstCall().rejects(new Error('foobar'));
+          return plugin._runRollups();
+        })
+        .then(() => {
+          should(fakeContext.log.error).be.calledWith('plugin-probe: [probe: foo] measures rollup failed. Reason: foobar');
+          should(requests('search')).have.length(2);
+          should(plugin.rollupRunning).be.false();
+        });
+    });
+
+    it('should skip a run if the previous one is not over', () => {
+      return configure(monitor({raw: '7d', tiers: [{bucket: '1h'}]}))
+        .then(() => {
+          plugin.rollupRunning = true;
+          return plugin._runRollups();
+        })
+        .then(() => {
+          should(fakeContext.accessors.execute).not.be.called();
+        });
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  MetricsSink = require('../lib/metricsSink'),
+  Request = require('kuzzle-common-objects').Request;
+
+describe('#sinks', () => {
+  let
+    plugin,
+    fakeContext,
+    sendStub;
+
+  const
+    configure = (sinks, probes) => plugin.init({
+      storageIndex: 'storageIndex',
+      probes: Object.assign({
+        'probe-monitor': {
+          type: 'monitor',
+          hooks: ['foo:bar', 'bar:baz'],
+          interval: 'none',
+          sinks
+        }
+      }, probes)
+    }, fakeContext);
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+    fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+
+    // no metrics are sent over the network
+    sendStub = sinon.stub(MetricsSink.prototype, 'send');
+  });
+
+  afterEach(() => {
+    sendStub.restore();
+  });
+
+  describe('#configuration', () => {
+    it('should apply default values depending on the sink type', () => {
+      return configure([{type: 'statsd'}, {type: 'graphite', host: 'graphite.local', prefix: 'foo.bar'}])
+        .then(() => {
+          should(plugin.probes['probe-monitor'].sinks).eql([
+            {type: 'statsd', host: 'localhost', port: 8125, protocol: 'udp', prefix: 'kdc.probe-monitor'},
+            {type: 'graphite', host: 'graphite.local', port: 2003, protocol: 'tcp', prefix: 'foo.bar'}
+          ]);
+          should(plugin.sinks['probe-monitor']).have.length(2);
+          should(plugin.sinks['probe-monitor'][0]).be.instanceof(MetricsSink);
+        });
+    });
+
+    it('should throw if a sink is invalid', () => {
+      const
+        prefix = 'plugin-probe: [probe: probe-monitor]',
+        invalid = sink => () => configure([Object.assign({type: 'statsd'}, sink)]);
+
+      should(() => configure({type: 'statsd'})).throw(`${prefix} Invalid "sinks" format: expected an array of sinks`);
+      should(invalid({type: 'influxdb'})).throw(`${prefix} Invalid sink #0: "type" must be one of statsd, graphite`);
+      should(invalid({host: ''})).throw(`${prefix} Invalid sink #0: "host" must be a non-empty string`);
+      should(invalid({port: 65536})).throw(`${prefix} Invalid sink #0: "port" must be an integer between 1 and 65535`);
+      should(invalid({protocol: 'http'})).throw(`${prefix} Invalid sink #0: "protocol" must be one of udp, tcp`);
+      should(invalid({prefix: null})).throw(`${prefix} Invalid sink #0: "prefix" must be a non-empty string`);
+    });
+
+    it('should throw if the probe values cannot be sent to a sink', () => {
+      should(() => configure(undefined, {
+        sampler: {
+          type: 'sampler',
+          index: 'foo',
+          collection: 'bar',
+          sampleSize: 10,
+          collects: '*',
+          interval: '1h',
+          sinks: [{type: 'statsd'}]
+        }
+      })).throw('plugin-probe: [probe: sampler] Configuration error: "sinks" can only be used with monitor, counter, gauge and count-only watcher probes');
+    });
+  });
+
+  describe('#metrics', () => {
+    it('should send monitored events as counters', () => {
+      return configure([{type: 'statsd'}])
+        .then(() => plugin.monitor(new Request({body: {event: 'foo:bar'}})))
+        .delay(10)
+        .then(() => {
+          should(sendStub).calledOnce();
+          should(sendStub.firstCall.args[0]).eql([
+            {name: 'kdc.probe-monitor.foo_bar', value: 1, type: 'counter'},
+            {name: 'kdc.probe-monitor.bar_baz', value: 0, type: 'counter'}
+          ]);
+          should(sendStub.firstCall.args[1]).be.a.Number();
+        });
+    });
+
+    it('should send counter and gauge values as gauges', () => {
+      return configure(undefined, {
+        counter: {
+          type: 'counter',
+          increasers: [],
+          decreasers: ['foo:bar'],
+          interval: 'none',
+          sinks: [{type: 'graphite', prefix: 'counter'}]
+        },
+        gauge: {
+          type: 'gauge',
+          hooks: ['foo:bar'],
+          interval: 'none',
+          volatile: true,
+          sinks: [{type: 'statsd', prefix: 'gauge'}]
+        }
+      })
+        .then(() => plugin.counter(new Request({body: {event: 'foo:bar'}})))
+        .then(() => plugin.gauge(new Request({body: {event: 'foo:bar', value: 12}})))
+        .delay(10)
+        .then(() => {
+          should(sendStub.args.map(args => args[0])).eql([
+            [{name: 'counter.count', value: -1, type: 'gauge'}],
+            [
+              {name: 'gauge.last', value: 12, type: 'gauge'},
+              {name: 'gauge.min', value: 12, type: 'gauge'},
+              {name: 'gauge.max', value: 12, type: 'gauge'},
+              {name: 'gauge.avg', value: 12, type: 'gauge'}
+            ]
+          ]);
+        });
+    });
+
+    it('should close the sinks of a replaced or deleted probe', () => {
+      const closeSpy = sinon.spy(MetricsSink.prototype, 'close');
+
+      return configure([{type: 'statsd'}])
+        .then(() => plugin.updateProbe(new Request({
+          name: 'probe-monitor',
+          body: {type: 'monitor', hooks: ['foo:bar'], sinks: [{type: 'graphite'}]}
+        })))
+        .then(() => {
+          should(closeSpy).calledOnce();
+          should(plugin.sinks['probe-monitor'].map(sink => sink.config.type)).eql(['graphite']);
+
+          return plugin.deleteProbe(new Request({name: 'probe-monitor'}));
+        })
+        .then(() => {
+          should(closeSpy).calledTwice();
+          should(plugin.sinks).not.have.property('probe-monitor');
+        })
+        .finally(() => closeSpy.restore());
+    });
+  });
+});
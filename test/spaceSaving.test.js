@@ -0,0 +1,91 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  SpaceSaving = require('../lib/spaceSaving');
+
+describe('#SpaceSaving', () => {
+  it('should throw if the capacity is invalid', () => {
+    should(() => new SpaceSaving(0)).throw('Invalid Space-Saving capacity "0": expected a positive integer');
+    should(() => new SpaceSaving(1.5)).throw('Invalid Space-Saving capacity "1.5": expected a positive integer');
+  });
+
+  it('should count values exactly while under capacity', () => {
+    const summary = new SpaceSaving(5);
+
+    for (const value of ['foo', 'bar', 'foo', 42, 'baz', 'foo', 42]) {
+      summary.add(value);
+    }
+
+    should(summary.total).be.eql(7);
+    should(summary.top()).be.eql([
+      {value: 'foo', count: 3, error: 0},
+      {value: '42', count: 2, error: 0},
+      {value: 'bar', count: 1, error: 0},
+      {value: 'baz', count: 1, error: 0}
+    ]);
+    should(summary.top(2).map(entry => entry.value)).be.eql(['foo', '42']);
+  });
+
+  it('should replace the least frequent value once full', () => {
+    const summary = new SpaceSaving(2);
+
+    for (const value of ['foo', 'foo', 'foo', 'bar', 'baz']) {
+      summary.add(value);
+    }
+
+    should(summary.top()).be.eql([
+      {value: 'foo', count: 3, error: 0},
+      {value: 'baz', count: 2, error: 1}
+    ]);
+  });
+
+  it('should find the heavy hitters of a skewed stream', () => {
+    const summary = new SpaceSaving(50);
+
+    for (let i = 0; i < 10000; i++) {
+      // 5 frequent values and a long tail of rare ones
+      summary.add(i % 2 === 0 ? `frequent-${i % 10}` : `rare-${i}`);
+    }
+
+    const top = summary.top(5);
+
+    should(top.map(entry => entry.value).sort()).be.eql(['frequent-0', 'frequent-2', 'frequent-4', 'frequent-6', 'frequent-8']);
+
+    for (const entry of top) {
+      should(entry.count - entry.error).be.belowOrEqual(1000);
+      should(entry.count).be.aboveOrEqual(1000);
+      should(entry.error).be.belowOrEqual(10000 / 50);
+    }
+  });
+
+  it('should clear the summary', () => {
+    const summary = new SpaceSaving(2);
+
+    summary.add('foo');
+    summary.clear();
+
+    should(summary.total).be.eql(0);
+    should(summary.top()).be.eql([]);
+  });
+});
@@ -0,0 +1,213 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  Bluebird = require('bluebird'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  {Request, errors: {BadRequestError}} = require('kuzzle-common-objects');
+
+describe('#measures split per origin', () => {
+  let
+    plugin,
+    fakeContext;
+
+  const
+    send = (action, body) => plugin[action](new Request({body})),
+    requests = () => fakeContext.accessors.execute.args.map(args => args[0].input),
+    config = probes => ({storageIndex: 'storageIndex', probes});
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+  });
+
+  describe('#configuration', () => {
+    const
+      monitor = options => config({foo: Object.assign({type: 'monitor', hooks: ['foo:bar'], interval: '1m'}, options)}),
+      counter = options => config({foo: Object.assign({type: 'counter', increasers: ['foo:bar'], decreasers: [], interval: '1m'}, options)});
+
+    it('should accept monitor and counter probes split per origin', () => {
+      return plugin.init(monitor({splitBy: 'origin'}), fakeContext)
+        .then(() => {
+          should(plugin.probes.foo.maxOrigins).eql(100);
+
+          return plugin.init(counter({splitBy: 'origin', maxOrigins: 5}), fakeContext);
+        })
+        .then(() => {
+          should(plugin.probes.foo.maxOrigins).eql(5);
+          should(plugin.measures.foo.split).be.instanceof(Map);
+        });
+    });
+
+    it('should reject invalid "splitBy" configurations', () => {
+      const gauge = config({foo: {type: 'gauge', hooks: ['foo:bar'], interval: '1m', splitBy: 'origin'}});
+
+      should(() => plugin.init(gauge, fakeContext)).throw('plugin-probe: [probe: foo] Configuration error: "splitBy" can only be used with monitor and counter probes');
+      should(() => plugin.init(monitor({splitBy: 'user'}), fakeContext)).throw('plugin-probe: [probe: foo] invalid "splitBy" parameter. Expected "origin"');
+      should(() => plugin.init(monitor({splitBy: 'origin', maxOrigins: 0}), fakeContext)).throw('plugin-probe: [probe: foo] invalid "maxOrigins" parameter. Expected a positive integer');
+      should(() => plugin.init(counter({splitBy: 'origin', rate: true}), fakeContext)).throw('plugin-probe: [probe: foo] Configuration error: "splitBy" cannot be used with "rate"');
+      should(() => plugin.init(counter({splitBy: 'origin', rollups: {raw: '7d', tiers: [{bucket: '1h'}]}}), fakeContext)).throw('plugin-probe: [probe: foo] Configuration error: "splitBy" cannot be used with "rollups" on counter probes');
+    });
+  });
+
+  describe('#monitor probes', () => {
+    beforeEach(() => {
+      return plugin.init(config({
+        foo: {
+          type: 'monitor',
+          hooks: ['foo:bar', 'bar:baz'],
+          interval: '1m',
+          splitBy: 'origin',
+          maxOrigins: 3
+        }
+      }), fakeContext)
+        .then(() => fakeContext.accessors.execute.resetHistory());
+    });
+
+    it('should store a measure per origin, and keep the merged measure', () => {
+      return Promise.all([
+        send('monitor', {event: 'foo:bar', origin: 'node-1'}),
+        send('monitor', {event: 'bar:baz', origin: 'node-1'}),
+        send('monitor', {event: 'foo:bar', origin: 'node-2'}),
+        send('monitor', {event: 'foo:bar'})
+      ])
+        .then(() => {
+          should(plugin.measures.foo).match({'foo:bar': 3, 'bar:baz': 1});
+
+          return plugin._afterMeasure(plugin.probes.foo, plugin.measures.foo);
+        })
+        .then(() => {
+          const
+            request = requests()[0],
+            timestamp = request.body.bulkData[1].timestamp;
+
+          should(requests()).have.length(1);
+          should(request.controller).eql('bulk');
+          should(request.action).eql('import');
+          should(request.body.bulkData).eql([
+            {index: {_index: 'storageIndex', _type: 'foo'}},
+            {timestamp, 'foo:bar': 1, 'bar:baz': 1, origin: 'node-1'},
+            {index: {_index: 'storageIndex', _type: 'foo'}},
+            {timestamp, 'foo:bar': 1, 'bar:baz': 0, origin: 'node-2'},
+            {index: {_index: 'storageIndex', _type: 'foo'}},
+            {timestamp, 'foo:bar': 1, 'bar:baz': 0}
+          ]);
+          should(plugin.measures.foo).match({'foo:bar': 0, 'bar:baz': 0});
+          should(plugin.measures.foo.split.size).eql(0);
+        });
+    });
+
+    it('should not store anything if no event was received', () => {
+      return plugin._afterMeasure(plugin.probes.foo, plugin.measures.foo)
+        .then(() => {
+          should(requests()).be.empty();
+        });
+    });
+
+    it('should count events of origins beyond the limit in the "__other__" origin', () => {
+      return Promise.all(['node-1', 'node-2', 'node-3', 'node-4', 'node-5'].map(origin => send('monitor', {event: 'foo:bar', origin})))
+        .then(() => {
+          should(Array.from(plugin.measures.foo.split.keys())).eql(['node-1', 'node-2', 'node-3', '__other__']);
+          should(plugin.measures.foo.split.get('__other__')).eql({'foo:bar': 2, 'bar:baz': 0});
+        });
+    });
+  });
+
+  describe('#counter probes', () => {
+    beforeEach(() => {
+      return plugin.init(config({
+        foo: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: ['bar:baz'],
+          interval: '1m',
+          splitBy: 'origin'
+        }
+      }), fakeContext)
+        .then(() => fakeContext.accessors.execute.resetHistory());
+    });
+
+    it('should store the cumulative counter of the origins which sent events', () => {
+      return Promise.all([
+        send('counter', {event: 'foo:bar', origin: 'node-1'}),
+        send('counter', {event: 'foo:bar', origin: 'node-1'}),
+        send('counter', {event: 'bar:baz', origin: 'node-2'})
+      ])
+        .then(() => plugin._afterMeasure(plugin.probes.foo, plugin.measures.foo))
+        .then(() => {
+          should(requests()[0].action).eql('import');
+          should(requests()[0].body.bulkData.filter((item, i) => i % 2 === 1)).match([
+            {count: 2, origin: 'node-1'},
+            {count: -1, origin: 'node-2'}
+          ]);
+
+          return send('counter', {event: 'foo:bar', origin: 'node-1'});
+        })
+        .then(() => plugin._afterMeasure(plugin.probes.foo, plugin.measures.foo))
+        .then(() => {
+          // a single document is created
+          should(requests()[1].action).eql('create');
+          should(requests()[1].body).match({count: 3, origin: 'node-1'});
+          should(plugin.measures.foo.count).eql(2);
+          should(plugin.measures.foo.split.get('node-2')).eql({count: -1});
+        });
+    });
+
+    it('should reject aggregations of measures', () => {
+      const request = new Request({name: 'foo', bucket: '1h', from: 0, to: 3600000});
+
+      return should(plugin.aggregateMeasures(request)).be.rejectedWith(BadRequestError, {message: 'plugin-probe: [probe: foo] measures of counters split per origin cannot be aggregated'})
+        .then(() => {
+          should(requests()).be.empty();
+        });
+    });
+
+    it('should resume from the last saved measure of each origin', () => {
+      const bucket = (key, count) => ({key, last: {hits: {hits: [{_source: {count}}]}}});
+
+      fakeContext.accessors.execute = sinon.stub().resolves();
+      fakeContext.accessors.execute
+        .onFirstCall().resolves({result: true})
+        .onSecondCall().resolves({result: {collections: [{name: 'foo'}]}})
+        .onCall(3).resolves({result: {aggregations: {origins: {buckets: [bucket('node-1', 40), bucket('', 2)]}}}});
+
+      return Bluebird.resolve(plugin.startProbes())
+        .delay(10)
+        .then(() => {
+          const request = fakeContext.accessors.execute.args[3][0].input;
+
+          // the origins terms aggregation needs "origin" to be mapped as a keyword
+          should(fakeContext.accessors.execute.args[2][0].input).match({action: 'updateMapping', body: {properties: {origin: {type: 'keyword'}}}});
+          should(request.action).eql('search');
+          should(request.body.aggregations.origins.terms).eql({field: 'origin', size: 101, missing: ''});
+          should(request.args.size).eql(0);
+          should(plugin.measures.foo.count).eql(42);
+          should(Array.from(plugin.measures.foo.split)).eql([['node-1', {count: 40}], [null, {count: 2}]]);
+
+          plugin._stopProbe('foo');
+        });
+    });
+  });
+});
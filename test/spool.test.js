@@ -0,0 +1,260 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  fs = require('fs'),
+  os = require('os'),
+  path = require('path'),
+  rimraf = require('rimraf'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  MeasureSpool = require('../lib/measureSpool'),
+  {Request, errors: {BadRequestError}} = require('kuzzle-common-objects');
+
+describe('#spool', () => {
+  let
+    plugin,
+    fakeContext,
+    directory;
+
+  const
+    configure = spool => plugin.init(Object.assign({
+      storageIndex: 'storageIndex',
+      probes: {
+        foo: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: [],
+          interval: 'none'
+        }
+      }
+    }, spool === undefined ? {} : {spool}), fakeContext),
+    spoolConfig = {retryDelay: 1000},
+    sendEvent = () => plugin.counter(new Request({body: {event: 'foo:bar'}})),
+    created = () => fakeContext.accessors.execute.args
+      .map(args => args[0])
+      .filter(request => request.input.action === 'create')
+      .map(request => request.input.body.count);
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+    fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'kdc-spool-'));
+    spoolConfig.path = directory;
+  });
+
+  afterEach(() => {
+    if (plugin.spool) {
+      plugin.spool.close();
+    }
+
+    rimraf.sync(directory);
+  });
+
+  describe('#configuration', () => {
+    it('should be disabled by default', () => {
+      configure();
+      should(plugin.spool).be.null();
+    });
+
+    it('should apply default values', () => {
+      configure({path: directory, retryDelay: '5s'});
+
+      should(plugin.spool).be.instanceof(MeasureSpool);
+      should(plugin.spool.config).eql({path: directory, maxSize: 10000, retryDelay: 5000, maxRetryDelay: 300000});
+    });
+
+    it('should throw if the configuration is invalid', () => {
+      should(() => configure('foo')).throw('plugin-probe: invalid spool configuration: expected an object');
+      should(() => configure({})).throw('plugin-probe: invalid spool "path": expected a non-empty string');
+      should(() => configure({path: directory, maxSize: 0})).throw('plugin-probe: invalid spool "maxSize": expected a positive integer');
+      should(() => configure({path: directory, retryDelay: 'foo'})).throw('plugin-probe: invalid spool "retryDelay": expected a duration');
+      should(() => configure({path: directory, maxRetryDelay: -1})).throw('plugin-probe: invalid spool "maxRetryDelay": expected a duration');
+      should(() => configure({path: directory, retryDelay: '1m', maxRetryDelay: '1s'})).throw('plugin-probe: invalid spool "maxRetryDelay": expected a duration greater than or equal to "retryDelay"');
+    });
+  });
+
+  describe('#measures', () => {
+    it('should spool measures which cannot be saved, and reset them', () => {
+      fakeContext.accessors.execute.rejects(new Error('storage unavailable'));
+
+      return configure(spoolConfig)
+        .then(() => sendEvent())
+        .delay(10)
+        .then(() => {
+          should(plugin.spool.entries).match([{probe: 'foo', documents: [{count: 1}]}]);
+          should(fakeContext.log.warn).calledWith('plugin-probe: [probe: foo] unable to save a measure, spooled for a later retry. Reason: storage unavailable');
+          should(fakeContext.log.error).not.be.called();
+          should(fakeContext.accessors.trigger).calledWithMatch('receivedMeasure', {probeName: 'foo'});
+        });
+    });
+
+    it('should spool new measures while older ones wait to be replayed, then replay them in order', () => {
+      fakeContext.accessors.execute.rejects(new Error('storage unavailable'));
+
+      return configure(spoolConfig)
+        .then(() => sendEvent())
+        .delay(10)
+        .then(() => {
+          fakeContext.accessors.execute.resetBehavior();
+          fakeContext.accessors.execute.resolves({result: {}});
+
+          return sendEvent();
+        })
+        .delay(10)
+        .then(() => {
+          should(created()).eql([1]);
+          should(plugin.spool.depth).eql(2);
+
+          return plugin.spool.flush();
+        })
+        .then(() => {
+          should(created()).eql([1, 1, 2]);
+          should(plugin.spool.depth).eql(0);
+
+          return sendEvent();
+        })
+        .delay(10)
+        .then(() => {
+          should(created()).eql([1, 1, 2, 3]);
+        });
+    });
+
+    it('should drop measures rejected by the storage, so that they do not block the spool', () => {
+      fakeContext.accessors.execute.rejects(new Error('storage unavailable'));
+
+      return configure(spoolConfig)
+        .then(() => sendEvent())
+        .delay(10)
+        .then(() => sendEvent())
+        .delay(10)
+        .then(() => {
+          should(plugin.spool.depth).eql(2);
+
+          fakeContext.accessors.execute.resetBehavior();
+          fakeContext.accessors.execute
+            .onFirstCall().rejects(new BadRequestError('mapping conflict'))
+            .resolves({result: {}});
+          fakeContext.accessors.execute.resetHistory();
+
+          return plugin.spool.flush();
+        })
+        .then(() => {
+          should(created()).eql([1, 2]);
+          should(plugin.spool.depth).eql(0);
+          should(fakeContext.log.error).calledWith('plugin-probe: [probe: foo] spooled measure rejected by the storage, dropped. Reason: mapping conflict');
+
+          fakeContext.accessors.execute.rejects(new BadRequestError('mapping conflict'));
+
+          return sendEvent();
+        })
+        .delay(10)
+        .then(() => {
+          // rejected measures are not spooled either
+          should(plugin.spool.depth).eql(0);
+          should(fakeContext.log.error).calledWith('plugin-probe: [probe: foo] measure rejected by the storage, dropped. Reason: mapping conflict');
+        });
+    });
+
+    it('should not reset measures if the spool is full', () => {
+      fakeContext.accessors.execute.rejects(new Error('storage unavailable'));
+
+      return configure(Object.assign({maxSize: 1}, spoolConfig))
+        .then(() => sendEvent())
+        .delay(10)
+        .then(() => sendEvent())
+        .delay(10)
+        .then(() => {
+          should(plugin.spool.depth).eql(1);
+          should(plugin.spool.dropped).eql(1);
+          should(fakeContext.log.error).calledWithMatch({message: 'measures spool is full (1 measures), measure dropped (1 dropped so far)'});
+        });
+    });
+
+    it('should drop spooled measures of deleted probes', () => {
+      return configure(spoolConfig)
+        .then(() => plugin._replayMeasure({probe: 'bar', documents: [{timestamp: 1}]}))
+        .then(() => {
+          should(fakeContext.accessors.execute).not.be.called();
+          should(fakeContext.log.warn).calledWith('plugin-probe: [probe: bar] spooled measure dropped: the probe does not store its measures anymore');
+        });
+    });
+
+    it('should load spooled measures on start', () => {
+      fs.writeFileSync(path.join(directory, 'spool.jsonl'), JSON.stringify({probe: 'foo', documents: [{count: 42, timestamp: 1}]}) + '\n');
+      fakeContext.accessors.execute.callsFake(request => Promise.resolve({
+        result: request.input.action === 'list' ? {collections: [{name: 'foo'}]} : {}
+      }));
+
+      return configure(spoolConfig)
+        .then(() => plugin.startProbes())
+        .then(() => {
+          should(plugin.spool.depth).eql(1);
+
+          return sendEvent();
+        })
+        .delay(10)
+        .then(() => {
+          should(plugin.spool.depth).eql(2);
+        });
+    });
+  });
+
+  describe('#status', () => {
+    it('should report the spool depth', () => {
+      fakeContext.accessors.execute.rejects(new Error('storage unavailable'));
+
+      return configure(spoolConfig)
+        .then(() => sendEvent())
+        .delay(10)
+        .then(() => plugin.getSpool())
+        .then(status => {
+          should(status).eql({enabled: true, depth: 1, dropped: 0, probes: {foo: 1}});
+
+          return plugin.exportMetrics(new Request({}));
+        })
+        .then(result => {
+          should(result).containEql([
+            '# HELP kdc_spool_measures measures waiting in the spool to be saved',
+            '# TYPE kdc_spool_measures gauge',
+            'kdc_spool_measures 1',
+            '# HELP kdc_spool_dropped_measures_total measures dropped because the spool was full',
+            '# TYPE kdc_spool_dropped_measures_total counter',
+            'kdc_spool_dropped_measures_total 0',
+            ''
+          ].join('\n'));
+        });
+    });
+
+    it('should report a disabled spool', () => {
+      configure();
+
+      return plugin.getSpool()
+        .then(status => {
+          should(status).eql({enabled: false, depth: 0, dropped: 0, probes: {}});
+        });
+    });
+  });
+});
@@ -0,0 +1,280 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  path = require('path'),
+  StubContext = require('./stubs/context.stub'),
+  StorageStub = require('./stubs/storage.stub'),
+  Plugin = require('../lib/index'),
+  FileStorage = require('../lib/fileStorage'),
+  Request = require('kuzzle-common-objects').Request;
+
+describe('#storage', () => {
+  let
+    plugin,
+    fakeContext;
+
+  const
+    storageModule = path.join(__dirname, 'stubs', 'storage.stub.js'),
+    configure = (storage, options) => plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        foo: Object.assign({
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: [],
+          interval: 'none',
+          storage
+        }, options)
+      }
+    }, fakeContext),
+    executed = action => fakeContext.accessors.execute.args
+      .map(args => args[0])
+      .filter(request => request.input.action === action);
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+    fakeContext.accessors.execute = sinon.stub().callsFake(request => {
+      switch (request.input.action) {
+        case 'exists':
+          return Promise.resolve({result: request.input.resource.index === 'storageIndex'});
+        case 'list':
+          return Promise.resolve({result: {collections: []}});
+        case 'search':
+          return Promise.resolve({result: {hits: [], total: 0}});
+        default:
+          return Promise.resolve({result: {}});
+      }
+    });
+    StorageStub.instances = [];
+  });
+
+  describe('#configuration', () => {
+    it('should store measures in the storage index by default', () => {
+      configure();
+      should(plugin.probes.foo.storage).eql({type: 'kuzzle', index: 'storageIndex'});
+      should(plugin.storages.foo).be.null();
+    });
+
+    it('should accept storage types and objects', () => {
+      configure('none');
+      should(plugin.probes.foo.storage).eql({type: 'none'});
+
+      configure({type: 'kuzzle', index: 'otherIndex'});
+      should(plugin.probes.foo.storage).eql({type: 'kuzzle', index: 'otherIndex'});
+
+      configure({type: 'file', path: 'measures.jsonl'});
+      should(plugin.probes.foo.storage).eql({type: 'file', path: 'measures.jsonl'});
+      should(plugin.storages.foo).be.instanceof(FileStorage);
+
+      configure({type: 'custom', module: storageModule, options: {foo: 'bar'}});
+      should(plugin.storages.foo).be.instanceof(StorageStub);
+      should(plugin.storages.foo.options).eql({foo: 'bar'});
+      should(plugin.storages.foo.context).be.exactly(fakeContext);
+    });
+
+    it('should not store volatile probes', () => {
+      configure(undefined, {volatile: true});
+      should(plugin.probes.foo.storage).eql({type: 'none'});
+    });
+
+    it('should throw if the storage is invalid', () => {
+      const prefix = 'plugin-probe: [probe: foo]';
+
+      should(() => configure('none', {volatile: true})).throw(`${prefix} Configuration error: "volatile" cannot be used with "storage"`);
+      should(() => configure('elasticsearch')).throw(`${prefix} Invalid "storage" parameter: expected one of kuzzle, file, none, custom`);
+      should(() => configure({type: 'kuzzle', index: ''})).throw(`${prefix} Invalid "storage" parameter: "index" must be a non-empty string`);
+      should(() => configure('file')).throw(`${prefix} Invalid "storage" parameter: "path" must be a non-empty string`);
+      should(() => configure({type: 'custom'})).throw(`${prefix} Invalid "storage" parameter: "module" must be a non-empty string`);
+      should(() => configure({type: 'custom', module: './missing-module'})).throw(new RegExp(`^${prefix.replace(/[[\]]/g, '\\$&')} Unable to load the storage module "./missing-module". Reason: Cannot find module`));
+      should(() => configure({type: 'custom', module: path.join(__dirname, 'stubs', 'context.stub.js')})).throw(`${prefix} Invalid storage module "${path.join(__dirname, 'stubs', 'context.stub.js')}": expected a class implementing a "save" method`);
+    });
+  });
+
+  describe('#measures', () => {
+    it('should not save measures of probes without storage', () => {
+      return configure('none')
+        .then(() => plugin.counter(new Request({body: {event: 'foo:bar'}})))
+        .delay(10)
+        .then(() => {
+          should(fakeContext.accessors.execute).not.be.called();
+          should(fakeContext.accessors.trigger).calledWithMatch('receivedMeasure', {probeName: 'foo', data: {count: 1}});
+        });
+    });
+
+    it('should save measures with a custom storage backend', () => {
+      return configure({type: 'custom', module: storageModule})
+        .then(() => plugin.startProbes())
+        .delay(10)
+        .then(() => {
+          const storage = plugin.storages.foo;
+
+          should(storage.initialized).eql(['foo']);
+
+          return plugin.counter(new Request({body: {event: 'foo:bar'}}));
+        })
+        .delay(10)
+        .then(() => {
+          const saved = plugin.storages.foo.saved;
+
+          should(saved).have.length(1);
+          should(saved[0].probeName).eql('foo');
+          should(saved[0].documents).have.length(1);
+          should(saved[0].documents[0]).match({count: 1});
+          should(saved[0].documents[0].timestamp).be.a.Number();
+          should(executed('create')).be.empty();
+        });
+    });
+
+    it('should log storage backend errors', () => {
+      return configure({type: 'custom', module: storageModule})
+        .then(() => {
+          plugin.storages.foo.save = () => {
+            throw new Error('foobar');
+          };
+
+          return plugin.counter(new Request({body: {event: 'foo:bar'}}));
+        })
+        .delay(10)
+        .then(() => {
+          should(fakeContext.log.error).calledWithMatch('plugin-probe: [foo] Failed to save the following measure:');
+          should(fakeContext.log.error).calledWithMatch({message: 'foobar'});
+        });
+    });
+
+    it('should save collected contents as separate documents', () => {
+      return plugin.init({
+        storageIndex: 'storageIndex',
+        probes: {
+          foo: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            collects: '*',
+            interval: '1h',
+            storage: {type: 'custom', module: storageModule}
+          }
+        }
+      }, fakeContext)
+        .then(() => {
+          plugin.measures.foo.content.push({foo: 'bar'}, {foo: 'baz'});
+
+          return plugin._saveMeasure(plugin.probes.foo, plugin.measures.foo);
+        })
+        .then(() => {
+          const documents = plugin.storages.foo.saved[0].documents;
+
+          should(documents).match([{content: {foo: 'bar'}}, {content: {foo: 'baz'}}]);
+          should(documents[0].timestamp).be.a.Number().and.eql(documents[1].timestamp);
+        });
+    });
+
+    it('should create and use another Kuzzle index', () => {
+      return configure({type: 'kuzzle', index: 'otherIndex'})
+        .then(() => plugin.startProbes())
+        .delay(10)
+        .then(() => {
+          should(executed('create').map(request => request.input.resource)).match([
+            {index: 'otherIndex'},
+            {index: 'otherIndex', collection: 'foo'}
+          ]);
+          should(executed('list').map(request => request.input.resource.index)).eql(['storageIndex', 'otherIndex']);
+
+          return plugin.counter(new Request({body: {event: 'foo:bar'}}));
+        })
+        .delay(10)
+        .then(() => {
+          should(executed('create').pop().input.resource).match({index: 'otherIndex', collection: 'foo'});
+
+          return plugin.searchMeasures(new Request({name: 'foo'}));
+        })
+        .then(() => {
+          should(executed('search').pop().input.resource).match({index: 'otherIndex', collection: 'foo'});
+        });
+    });
+
+    it('should create the index of a probe created at runtime', () => {
+      return configure()
+        .then(() => plugin.createProbe(new Request({
+          name: 'bar',
+          body: {type: 'monitor', hooks: ['foo:bar'], storage: {type: 'kuzzle', index: 'otherIndex'}}
+        })))
+        .then(() => {
+          should(executed('exists').map(request => request.input.resource.index)).containEql('otherIndex');
+          should(executed('create').map(request => request.input.resource).filter(resource => resource.index === 'otherIndex')).match([
+            {index: 'otherIndex'},
+            {index: 'otherIndex', collection: 'bar'}
+          ]);
+        });
+    });
+
+    it('should reject file system storages of probes created at runtime', () => {
+      const loadSpy = sinon.spy(plugin, '_loadStorageModule');
+
+      return configure()
+        .then(() => should(plugin.createProbe(new Request({
+          name: 'bar',
+          body: {type: 'monitor', hooks: ['foo:bar'], storage: {type: 'custom', module: storageModule}}
+        }))).be.rejectedWith({message: 'plugin-probe: [probe: bar] "custom" storages can only be set in the plugin configuration'}))
+        .then(() => should(plugin.updateProbe(new Request({
+          name: 'foo',
+          body: {type: 'monitor', hooks: ['foo:bar'], storage: 'file'}
+        }))).be.rejectedWith({message: 'plugin-probe: [probe: foo] "file" storages can only be set in the plugin configuration'}))
+        .then(() => {
+          should(loadSpy).not.be.called();
+          should(plugin.probes).have.keys('foo');
+        });
+    });
+
+    it('should ignore stored probe definitions with file system storages', () => {
+      fakeContext.accessors.execute = sinon.stub().callsFake(request => {
+        switch (request.input.action) {
+          case 'list':
+            return Promise.resolve({result: {collections: [{name: 'probe-definitions'}]}});
+          case 'search':
+            return Promise.resolve({result: {total: 1, hits: [{
+              _id: 'bar',
+              _source: {definition: {type: 'monitor', hooks: ['foo:bar'], storage: {type: 'file', path: '/tmp/measures.jsonl'}}}
+            }]}});
+          default:
+            return Promise.resolve({result: {}});
+        }
+      });
+
+      return configure()
+        .then(() => plugin.startProbes())
+        .then(() => {
+          should(plugin.probes).not.have.property('bar');
+          should(fakeContext.log.error).be.calledWith('plugin-probe: [probe: bar] invalid stored probe definition, probe ignored. Reason: plugin-probe: [probe: bar] "file" storages can only be set in the plugin configuration');
+        });
+    });
+
+    it('should reject measures searches on probes not stored in Kuzzle', () => {
+      return configure({type: 'file', path: 'measures.jsonl'})
+        .then(() => should(plugin.searchMeasures(new Request({name: 'foo'})))
+          .be.rejectedWith({message: 'plugin-probe: [probe: foo] measures are not stored in Kuzzle'}));
+    });
+  });
+});
@@ -22,7 +22,7 @@
 
 const
   sinon = require('sinon'),
-  Request = require('kuzzle-common-objects').Request;
+  {Request, errors} = require('kuzzle-common-objects');
 
 module.exports = function () {
   return {
@@ -31,16 +31,22 @@ module.exports = function () {
       trigger: sinon.stub()
     },
     constructors: {
-      Request: function (data) {
-        return new Request(data);
+      Request: function (request, data) {
+        if (request instanceof Request) {
+          return new Request(data, {user: request.context.user, token: request.context.token});
+        }
+
+        return new Request(request);
       },
       Dsl: function () {
         return {
           register: sinon.stub().resolves({id: 'filterId'}),
+          remove: sinon.stub().resolves(),
           test: () => {}
         };
       }
     },
+    errors,
     log: {
       error: sinon.stub(),
       warn: sinon.stub(),
@@ -0,0 +1,49 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+/**
+ * Custom storage backend, recording its instances and calls
+ */
+class StorageStub {
+  constructor (options, context) {
+    this.options = options;
+    this.context = context;
+    this.initialized = [];
+    this.saved = [];
+
+    StorageStub.instances.push(this);
+  }
+
+  init (probeName) {
+    this.initialized.push(probeName);
+    return Promise.resolve();
+  }
+
+  save (probeName, documents) {
+    this.saved.push({probeName, documents});
+    return Promise.resolve();
+  }
+}
+
+StorageStub.instances = [];
+
+module.exports = StorageStub;
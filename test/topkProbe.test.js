@@ -0,0 +1,293 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  proxyquire = require('proxyquire'),
+  StubContext = require('./stubs/context.stub'),
+  longTimeout = require('long-timeout'),
+  Request = require('kuzzle-common-objects').Request;
+
+describe('#topk probes', () => {
+  let
+    Plugin,
+    plugin,
+    fakeContext,
+    setIntervalSpy;
+
+  const sendDocument = body => plugin.topk(new Request({
+    body: {
+      payload: {
+        data: {
+          index: 'foo',
+          collection: 'bar',
+          body
+        }
+      }
+    }
+  }));
+
+  beforeEach(() => {
+    setIntervalSpy = sinon.spy(longTimeout, 'setInterval');
+    Plugin = proxyquire('../lib/index', {
+      'long-timeout': longTimeout
+    });
+
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+  });
+
+  afterEach(() => {
+    setIntervalSpy.returnValues.forEach(value => {
+      longTimeout.clearInterval(value);
+    });
+    setIntervalSpy.restore();
+  });
+
+  it('should initialize probes according to their configuration', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'topk',
+          index: 'foo',
+          collection: 'bar',
+          field: 'error.code',
+          interval: '1h'
+        },
+        bar: {
+          type: 'topk',
+          index: 'foo',
+          collection: 'bar',
+          field: 'error.code',
+          size: 3,
+          capacity: 5,
+          interval: '1h'
+        }
+      }
+    }, fakeContext).then(() => {
+      should(plugin.probes.foo).match({size: 10, capacity: 100, filter: {}});
+      should(plugin.probes.bar).match({size: 3, capacity: 5});
+      should(plugin.eventMapping.topk.filterId).match(['foo', 'bar']);
+      should(plugin.measures.foo).eql({count: 0, top: []});
+      should(plugin.measures.foo.summary.capacity).be.eql(100);
+    });
+  });
+
+  it('should throw an error if the "interval" parameter is missing', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'topk',
+            index: 'foo',
+            collection: 'bar',
+            field: 'error.code'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] An "interval" parameter is required for topk probes');
+  });
+
+  it('should throw an error if the "field" parameter is missing', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'topk',
+            index: 'foo',
+            collection: 'bar',
+            interval: '1h'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] "field" parameter missing');
+  });
+
+  it('should throw an error if the "size" parameter is invalid', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'topk',
+            index: 'foo',
+            collection: 'bar',
+            field: 'error.code',
+            size: 0,
+            interval: '1h'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] invalid "size" parameter. Expected a positive integer');
+  });
+
+  it('should throw an error if the "capacity" parameter is lower than the size', () => {
+    return should(() => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          badProbe: {
+            type: 'topk',
+            index: 'foo',
+            collection: 'bar',
+            field: 'error.code',
+            size: 10,
+            capacity: 5,
+            interval: '1h'
+          }
+        }
+      }, fakeContext);
+    }).throw('plugin-probe: [probe: badProbe] invalid "capacity" parameter. Expected an integer greater than or equal to "size"');
+  });
+
+  it('should count the most frequent values of the watched field', () => {
+    return plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'topk',
+          index: 'foo',
+          collection: 'bar',
+          field: 'error.code',
+          size: 2,
+          interval: '1h'
+        }
+      }
+    }, fakeContext).then(() => {
+      sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+      for (const code of ['E1', 'E2', 'E1', 'E3', 'E1', 'E2']) {
+        sendDocument({error: {code}});
+      }
+      sendDocument({error: {}});
+
+      should(plugin.measures.foo.count).be.eql(6);
+      should(plugin.measures.foo.top).be.eql([
+        {value: 'E1', count: 3, error: 0},
+        {value: 'E2', count: 2, error: 0}
+      ]);
+      should(fakeContext.accessors.execute).not.be.called();
+    });
+  });
+
+  it('should save and reset the measure after the given interval', (done) => {
+    fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+    fakeContext.accessors.execute
+      .onFirstCall().resolves({result: true})
+      .onSecondCall().resolves({result: {collections: [{name: 'foo'}]}});
+
+    plugin.init({
+      storageIndex: 'bar',
+      probes: {
+        foo: {
+          type: 'topk',
+          index: 'foo',
+          collection: 'bar',
+          field: 'error.code',
+          interval: 250
+        }
+      }
+    }, fakeContext)
+      .then(() => plugin.startProbes())
+      .then(() => {
+        fakeContext.accessors.execute = sinon.stub().resolves();
+        sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+        sendDocument({error: {code: 'E1'}});
+        sendDocument({error: {code: 'E2'}});
+        sendDocument({error: {code: 'E2'}});
+
+        setTimeout(() => {
+          try {
+            should(fakeContext.accessors.execute).be.calledOnce();
+            should(fakeContext.accessors.execute.args[0][0].input.action).be.eql('create');
+            should(fakeContext.accessors.execute.args[0][0].input.body).have.keys('count', 'top', 'timestamp');
+            should(fakeContext.accessors.execute.args[0][0].input.body).match({
+              count: 3,
+              top: [{value: 'E2', count: 2, error: 0}, {value: 'E1', count: 1, error: 0}]
+            });
+          }
+          catch (e) {
+            return done(e);
+          }
+
+          setTimeout(() => {
+            try {
+              should(plugin.measures.foo).match({count: 0, top: []});
+              done();
+            }
+            catch (e) {
+              done(e);
+            }
+          }, 20);
+        }, 300);
+      })
+      .catch(err => done(err));
+  });
+
+  it('should create a collection with the top values mapping', (done) => {
+    fakeContext.accessors.execute = sinon.stub();
+    fakeContext.accessors.execute
+      .onFirstCall().resolves({result: true})
+      .onSecondCall().resolves({result: {collections: []}})
+      .onThirdCall().resolves({result: 'someResult'})
+      .onCall(4).resolves({result: 'someResult'});
+
+    plugin.init({
+      storageIndex: 'storageIndex',
+      probes: {
+        fooprobe: {
+          type: 'topk',
+          index: 'foo',
+          collection: 'bar',
+          field: 'error.code',
+          interval: 1000
+        }
+      }
+    }, fakeContext)
+      .then(() => plugin.startProbes());
+
+    setTimeout(() => {
+      should(fakeContext.accessors.execute.callCount).be.eql(4);
+      should(fakeContext.accessors.execute.args[3][0].input.body).eql({
+        properties: {
+          timestamp: {type: 'date', format: 'epoch_millis'},
+          origin: {type: 'keyword'},
+          count: {type: 'integer'},
+          top: {
+            properties: {
+              value: {type: 'keyword'},
+              count: {type: 'integer'},
+              error: {type: 'integer'}
+            }
+          }
+        }
+      });
+
+      done();
+    }, 20);
+  });
+});
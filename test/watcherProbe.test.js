@@ -475,4 +475,426 @@ describe('#watcher probes', () => {
       done();
     }, 20);
   });
-});
\ No newline at end of file
+
+  describe('#groupBy', () => {
+    const sendDocument = body => plugin.watcher(new Request({
+      body: {
+        payload: {
+          data: {
+            index: 'foo',
+            collection: 'bar',
+            body
+          }
+        }
+      }
+    }));
+
+    it('should throw an error if the "groupBy" parameter is malformed', () => {
+      return should(() => {
+        plugin.init({
+          storageIndex: 'bar',
+          probes: {
+            badProbe: {
+              type: 'watcher',
+              index: 'foo',
+              collection: 'bar',
+              groupBy: {foo: 'bar'}
+            }
+          }
+        }, fakeContext);
+      }).throw('plugin-probe: [probe: badProbe] Invalid "groupBy" format: expected a JSON path or an array of JSON paths');
+    });
+
+    it('should throw an error if "groupBy" is used along with "collects"', () => {
+      return should(() => {
+        plugin.init({
+          storageIndex: 'bar',
+          probes: {
+            badProbe: {
+              type: 'watcher',
+              index: 'foo',
+              collection: 'bar',
+              collects: '*',
+              groupBy: 'foo'
+            }
+          }
+        }, fakeContext);
+      }).throw('plugin-probe: [probe: badProbe] Configuration error: "groupBy" cannot be used with "collects"');
+    });
+
+    it('should throw an error if the "maxGroups" parameter is invalid', () => {
+      return should(() => {
+        plugin.init({
+          storageIndex: 'bar',
+          probes: {
+            badProbe: {
+              type: 'watcher',
+              index: 'foo',
+              collection: 'bar',
+              groupBy: 'foo',
+              maxGroups: 0
+            }
+          }
+        }, fakeContext);
+      }).throw('plugin-probe: [probe: badProbe] invalid "maxGroups" parameter. Expected a positive integer');
+    });
+
+    it('should initialize grouped watcher probes and measures', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            groupBy: 'status',
+            interval: '1m'
+          }
+        }
+      }, fakeContext).then(() => {
+        should(plugin.probes.foo).match({groupBy: ['status'], maxGroups: 100});
+        should(plugin.measures.foo).eql({count: 0, groups: []});
+      });
+    });
+
+    it('should count documents per group', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            groupBy: ['status', 'device.type'],
+            interval: '1m'
+          }
+        }
+      }, fakeContext).then(() => {
+        sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+        sendDocument({status: 'created', device: {type: 'mobile'}});
+        sendDocument({status: 'created', device: {type: 'mobile'}});
+        sendDocument({status: 'deleted', device: {type: 'v1.2'}});
+        sendDocument({status: 'deleted'});
+
+        should(plugin.measures.foo).eql({
+          count: 4,
+          groups: [
+            {key: 'created|mobile', count: 2},
+            {key: 'deleted|v1.2', count: 1},
+            {key: 'deleted|__missing__', count: 1}
+          ]
+        });
+      });
+    });
+
+    it('should count new groups in the "__other__" group once the limit is reached', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            groupBy: 'status',
+            maxGroups: 2,
+            interval: '1m'
+          }
+        }
+      }, fakeContext).then(() => {
+        sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+        for (const status of ['a', 'b', 'c', 'a', 'd', 'b']) {
+          sendDocument({status});
+        }
+
+        should(plugin.measures.foo).eql({
+          count: 6,
+          groups: [
+            {key: 'a', count: 2},
+            {key: 'b', count: 2},
+            {key: '__other__', count: 2}
+          ]
+        });
+
+        plugin._resetMeasure(plugin.probes.foo, plugin.measures.foo);
+        should(plugin.measures.foo).eql({count: 0, groups: []});
+      });
+    });
+
+    it('should create a collection with a groups list mapping', (done) => {
+      fakeContext.accessors.execute = sinon.stub();
+      fakeContext.accessors.execute
+        .onFirstCall().resolves({result: true})
+        .onSecondCall().resolves({result: {collections: ['foo']}})
+        .onThirdCall().resolves({result: 'someResult'})
+        .onCall(4).resolves({result: 'someResult'});
+
+      plugin.init({
+        storageIndex: 'storageIndex',
+        probes: {
+          fooprobe: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            groupBy: 'status',
+            interval: 1000
+          }
+        }
+      }, fakeContext)
+        .then(() => plugin.startProbes());
+
+      setTimeout(() => {
+        should(fakeContext.accessors.execute.callCount).be.eql(4);
+        should(fakeContext.accessors.execute.args[3][0].input.body).match({
+          properties: {
+            timestamp: {type: 'date', format: 'epoch_millis'},
+            origin: {type: 'keyword'},
+            count: {type: 'integer'},
+            groups: {
+              properties: {
+                key: {type: 'keyword'},
+                count: {type: 'integer'}
+              }
+            }
+          }
+        });
+
+        done();
+      }, 20);
+    });
+  });
+
+  describe('#aggregates', () => {
+    const sendDocument = body => plugin.watcher(new Request({
+      body: {
+        payload: {
+          data: {
+            index: 'foo',
+            collection: 'bar',
+            body
+          }
+        }
+      }
+    }));
+
+    it('should throw an error if the "aggregates" parameter is malformed', () => {
+      return should(() => {
+        plugin.init({
+          storageIndex: 'bar',
+          probes: {
+            badProbe: {
+              type: 'watcher',
+              index: 'foo',
+              collection: 'bar',
+              aggregates: ['amount']
+            }
+          }
+        }, fakeContext);
+      }).throw('plugin-probe: [probe: badProbe] Invalid "aggregates" format: expected an object associating JSON paths to aggregations lists');
+    });
+
+    it('should throw an error if an aggregation is unknown', () => {
+      return should(() => {
+        plugin.init({
+          storageIndex: 'bar',
+          probes: {
+            badProbe: {
+              type: 'watcher',
+              index: 'foo',
+              collection: 'bar',
+              aggregates: {amount: ['sum', 'median']}
+            }
+          }
+        }, fakeContext);
+      }).throw('plugin-probe: [probe: badProbe] Invalid aggregations for field "amount": expected a list of sum, avg, min, max');
+    });
+
+    it('should throw an error if "aggregates" is used along with "collects"', () => {
+      return should(() => {
+        plugin.init({
+          storageIndex: 'bar',
+          probes: {
+            badProbe: {
+              type: 'watcher',
+              index: 'foo',
+              collection: 'bar',
+              collects: ['amount'],
+              aggregates: {amount: ['sum']}
+            }
+          }
+        }, fakeContext);
+      }).throw('plugin-probe: [probe: badProbe] Configuration error: "aggregates" cannot be used with "collects"');
+    });
+
+    it('should initialize the measures object properly', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            aggregates: {
+              'payment.amount': ['sum', 'avg', 'max'],
+              quantity: ['min']
+            },
+            interval: '1m'
+          }
+        }
+      }, fakeContext).then(() => {
+        should(plugin.measures.foo).eql({
+          count: 0,
+          aggregates: {
+            payment: {
+              amount: {count: 0, sum: 0, avg: null, max: null}
+            },
+            quantity: {count: 0, min: null}
+          }
+        });
+      });
+    });
+
+    it('should aggregate the numeric fields of matched documents', () => {
+      return plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            aggregates: {
+              'payment.amount': ['sum', 'avg', 'min', 'max'],
+              quantity: ['sum']
+            },
+            interval: '1m'
+          }
+        }
+      }, fakeContext).then(() => {
+        sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+        sendDocument({payment: {amount: 10}, quantity: 1});
+        sendDocument({payment: {amount: 40}, quantity: 'foo'});
+        sendDocument({payment: {amount: 25}});
+        sendDocument({foo: 'bar'});
+
+        should(plugin.measures.foo).eql({
+          count: 4,
+          aggregates: {
+            payment: {
+              amount: {count: 3, sum: 75, avg: 25, min: 10, max: 40}
+            },
+            quantity: {count: 1, sum: 1}
+          }
+        });
+
+        plugin._resetMeasure(plugin.probes.foo, plugin.measures.foo);
+
+        should(plugin.measures.foo).eql({
+          count: 0,
+          aggregates: {
+            payment: {
+              amount: {count: 0, sum: 0, avg: null, min: null, max: null}
+            },
+            quantity: {count: 0, sum: 0}
+          }
+        });
+      });
+    });
+
+    it('should save the aggregated values as a single measure', (done) => {
+      plugin.init({
+        storageIndex: 'bar',
+        probes: {
+          foo: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            aggregates: {amount: ['sum']}
+          }
+        }
+      }, fakeContext).then(() => {
+        sinon.stub(plugin.dsl, 'test').returns(['filterId']);
+
+        sendDocument({amount: 42});
+
+        should(fakeContext.accessors.execute).be.calledOnce();
+        should(fakeContext.accessors.execute.args[0][0].input.action).be.eql('create');
+        should(fakeContext.accessors.execute.args[0][0].input.body).match({
+          count: 1,
+          aggregates: {amount: {count: 1, sum: 42}}
+        });
+
+        setTimeout(() => {
+          try {
+            should(plugin.measures.foo.aggregates).eql({amount: {count: 0, sum: 0}});
+            done();
+          }
+          catch (e) {
+            done(e);
+          }
+        }, 20);
+      });
+    });
+
+    it('should create a collection with numeric aggregates mapping', (done) => {
+      fakeContext.accessors.execute = sinon.stub();
+      fakeContext.accessors.execute
+        .onFirstCall().resolves({result: true})
+        .onSecondCall().resolves({result: {collections: ['foo']}})
+        .onThirdCall().resolves({result: 'someResult'})
+        .onCall(4).resolves({result: 'someResult'});
+
+      plugin.init({
+        storageIndex: 'storageIndex',
+        probes: {
+          fooprobe: {
+            type: 'watcher',
+            index: 'foo',
+            collection: 'bar',
+            aggregates: {
+              'payment.amount': ['sum', 'max'],
+              quantity: ['avg']
+            },
+            interval: 1000
+          }
+        }
+      }, fakeContext)
+        .then(() => plugin.startProbes());
+
+      setTimeout(() => {
+        should(fakeContext.accessors.execute.callCount).be.eql(4);
+        should(fakeContext.accessors.execute.args[3][0].input.body).eql({
+          properties: {
+            timestamp: {type: 'date', format: 'epoch_millis'},
+            origin: {type: 'keyword'},
+            count: {type: 'integer'},
+            aggregates: {
+              properties: {
+                payment: {
+                  properties: {
+                    amount: {
+                      properties: {
+                        count: {type: 'integer'},
+                        sum: {type: 'double'},
+                        max: {type: 'double'}
+                      }
+                    }
+                  }
+                },
+                quantity: {
+                  properties: {
+                    count: {type: 'integer'},
+                    avg: {type: 'double'}
+                  }
+                }
+              }
+            }
+          }
+        });
+
+        done();
+      }, 20);
+    });
+  });
+});
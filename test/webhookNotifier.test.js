@@ -0,0 +1,185 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  http = require('http'),
+  crypto = require('crypto'),
+  Bluebird = require('bluebird'),
+  WebhookNotifier = require('../lib/webhookNotifier');
+
+describe('#WebhookNotifier', () => {
+  let
+    server,
+    url,
+    received,
+    responses,
+    log;
+
+  const
+    createNotifier = config => new WebhookNotifier(Object.assign({
+      url,
+      events: ['measure', 'alert'],
+      secret: null,
+      timeout: 1000,
+      retries: 2,
+      backoff: 10,
+      queueSize: 10
+    }, config), log),
+    waitFor = (predicate, timeout = 2000) => {
+      const start = Date.now();
+
+      return Bluebird.delay(10).then(function check () {
+        if (predicate() || Date.now() - start > timeout) {
+          return;
+        }
+
+        return Bluebird.delay(10).then(check);
+      });
+    };
+
+  beforeEach(done => {
+    received = [];
+    responses = [];
+    log = {error: sinon.stub(), warn: sinon.stub()};
+
+    server = http.createServer((request, response) => {
+      let body = '';
+
+      request.on('data', chunk => {
+        body += chunk;
+      });
+
+      request.on('end', () => {
+        const status = responses.length > 0 ? responses.shift() : 200;
+
+        received.push({headers: request.headers, body, status});
+
+        if (status === 'hang') {
+          return;
+        }
+
+        response.statusCode = status;
+        response.end();
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+      done();
+    });
+  });
+
+  afterEach(done => {
+    server.close(() => done());
+  });
+
+  it('should post notifications as JSON, in order', () => {
+    const notifier = createNotifier();
+
+    should(notifier.notify('measure', {foo: 1})).be.true();
+    should(notifier.notify('alert', {foo: 2})).be.true();
+
+    return waitFor(() => received.length === 2 && !notifier.sending)
+      .then(() => {
+        should(received.map(request => JSON.parse(request.body))).eql([{foo: 1}, {foo: 2}]);
+        should(received[0].headers).match({
+          'content-type': 'application/json',
+          'x-probe-event': 'measure'
+        });
+        should(received[0].headers).not.have.property('x-probe-signature');
+        should(received[1].headers['x-probe-event']).be.eql('alert');
+        should(notifier.sending).be.false();
+      });
+  });
+
+  it('should sign notifications if a secret is configured', () => {
+    const notifier = createNotifier({secret: 'secret'});
+
+    notifier.notify('measure', {foo: 'bar'});
+
+    return waitFor(() => received.length === 1)
+      .then(() => {
+        const expected = crypto.createHmac('sha256', 'secret').update(received[0].body).digest('hex');
+
+        should(received[0].headers['x-probe-signature']).be.eql(`sha256=${expected}`);
+      });
+  });
+
+  it('should retry failed deliveries with an exponential backoff', () => {
+    const notifier = createNotifier({backoff: 50});
+
+    responses = [500, 503];
+    notifier.notify('measure', {foo: 'bar'});
+
+    return waitFor(() => received.length === 3)
+      .then(() => {
+        should(received.map(request => request.status)).eql([500, 503, 200]);
+        should(log.error).not.be.called();
+      });
+  });
+
+  it('should drop a notification after the configured number of retries', () => {
+    const notifier = createNotifier({retries: 1});
+
+    responses = [500, 500];
+    notifier.notify('measure', {foo: 1});
+    notifier.notify('measure', {foo: 2});
+
+    return waitFor(() => received.length === 3)
+      .then(() => {
+        should(log.error).be.calledOnce();
+        should(log.error).be.calledWith(`plugin-probe: webhook ${url} delivery failed after 2 attempts, notification dropped. Reason: unexpected HTTP status 500`);
+        should(JSON.parse(received[2].body)).eql({foo: 2});
+      });
+  });
+
+  it('should abort requests without response after the configured timeout', () => {
+    const notifier = createNotifier({timeout: 50, retries: 0});
+
+    responses = ['hang'];
+    notifier.notify('measure', {foo: 'bar'});
+
+    return waitFor(() => log.error.called)
+      .then(() => {
+        should(log.error).be.calledWith(`plugin-probe: webhook ${url} delivery failed after 1 attempts, notification dropped. Reason: no response after 50ms`);
+      });
+  });
+
+  it('should drop notifications once the queue is full', () => {
+    const notifier = createNotifier({queueSize: 2, timeout: 50, retries: 0});
+
+    responses = ['hang'];
+
+    // the first notification is being sent, and is not queued anymore
+    should(notifier.notify('measure', {foo: 1})).be.true();
+    should(notifier.notify('measure', {foo: 2})).be.true();
+    should(notifier.notify('measure', {foo: 3})).be.true();
+    should(notifier.notify('measure', {foo: 4})).be.false();
+
+    should(notifier.dropped).be.eql(1);
+    should(log.warn).be.calledWith(`plugin-probe: webhook ${url} queue is full, notification dropped (1 dropped so far)`);
+
+    return waitFor(() => received.length === 3);
+  });
+});
@@ -0,0 +1,157 @@
+/*
+ * Kuzzle, a backend software, self-hostable and ready to use
+ * to power modern apps
+ *
+ * Copyright 2015-2018 Kuzzle
+ * mailto: support AT kuzzle.io
+ * website: http://kuzzle.io
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ * https://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+
+const
+  should = require('should'),
+  sinon = require('sinon'),
+  StubContext = require('./stubs/context.stub'),
+  Plugin = require('../lib/index'),
+  WebhookNotifier = require('../lib/webhookNotifier'),
+  Request = require('kuzzle-common-objects').Request;
+
+describe('#webhooks', () => {
+  let
+    plugin,
+    fakeContext,
+    notifySpy;
+
+  const
+    configure = (webhooks, probeWebhooks) => plugin.init({
+      storageIndex: 'storageIndex',
+      webhooks,
+      probes: {
+        foo: {
+          type: 'counter',
+          increasers: ['foo:bar'],
+          decreasers: [],
+          webhooks: probeWebhooks,
+          alerts: [{name: 'tooMany', field: 'count', operator: '>', threshold: 0}]
+        },
+        bar: {
+          type: 'monitor',
+          hooks: ['foo:bar']
+        }
+      }
+    }, fakeContext),
+    notifications = () => notifySpy.thisValues.map((notifier, i) => [notifier.config.url].concat(notifySpy.args[i]));
+
+  beforeEach(() => {
+    plugin = new Plugin();
+    fakeContext = new StubContext();
+    fakeContext.accessors.execute = sinon.stub().resolves({result: {}});
+
+    // no HTTP request is sent
+    notifySpy = sinon.stub(WebhookNotifier.prototype, 'notify').returns(true);
+  });
+
+  afterEach(() => {
+    notifySpy.restore();
+  });
+
+  describe('#configuration', () => {
+    it('should apply default values and convert durations', () => {
+      return configure([{url: 'http://foo/bar'}], [{url: 'https://bar/baz', events: ['alert'], secret: 'secret', timeout: '10s', backoff: 500, retries: 0, queueSize: 5}])
+        .then(() => {
+          should(plugin.globalNotifiers).have.length(1);
+          should(plugin.globalNotifiers[0].config).eql({
+            url: 'http://foo/bar',
+            events: ['measure', 'alert'],
+            secret: null,
+            timeout: 5000,
+            retries: 3,
+            backoff: 1000,
+            queueSize: 1000
+          });
+
+          should(plugin.probes.foo.webhooks).eql([{
+            url: 'https://bar/baz',
+            events: ['alert'],
+            secret: 'secret',
+            timeout: 10000,
+            retries: 0,
+            backoff: 500,
+            queueSize: 5
+          }]);
+          should(plugin.notifiers.foo).have.length(1);
+          should(plugin.notifiers.foo[0]).be.instanceof(WebhookNotifier);
+          should(plugin.notifiers.bar).eql([]);
+        });
+    });
+
+    it('should throw if a webhook is invalid', () => {
+      const
+        prefix = 'plugin-probe: [probe: foo]',
+        invalid = webhook => () => configure([], [Object.assign({url: 'http://foo'}, webhook)]);
+
+      should(() => configure({url: 'http://foo'})).throw('plugin-probe: Invalid "webhooks" format: expected an array of webhooks');
+      should(invalid({url: 'ftp://foo'})).throw(`${prefix} Invalid webhook #0: "url" must be an HTTP or HTTPS URL`);
+      should(invalid({events: ['foo']})).throw(`${prefix} Invalid webhook #0: "events" must be a list of measure, alert`);
+      should(invalid({secret: ''})).throw(`${prefix} Invalid webhook #0: "secret" must be a non-empty string`);
+      should(invalid({timeout: 'foo'})).throw(`${prefix} Invalid webhook #0: "timeout" must be a duration`);
+      should(invalid({backoff: 0})).throw(`${prefix} Invalid webhook #0: "backoff" must be a duration`);
+      should(invalid({retries: -1})).throw(`${prefix} Invalid webhook #0: "retries" must be a positive integer or 0`);
+      should(invalid({queueSize: 0})).throw(`${prefix} Invalid webhook #0: "queueSize" must be a positive integer`);
+    });
+  });
+
+  describe('#notifications', () => {
+    it('should send measures and alerts to global and probe webhooks', () => {
+      return configure([{url: 'http://global'}], [{url: 'http://alerts', events: ['alert']}])
+        .then(() => plugin.counter(new Request({body: {event: 'foo:bar'}})))
+        .delay(10)
+        .then(() => {
+          const sent = notifications();
+
+          should(sent).have.length(3);
+          should(sent[0]).match(['http://global', 'measure', {probeName: 'foo', data: {count: 1}}]);
+          should(sent.slice(1).map(notification => notification.slice(0, 2))).eql([
+            ['http://global', 'alert'],
+            ['http://alerts', 'alert']
+          ]);
+          should(sent[1][2]).match({probeName: 'foo', alert: 'tooMany', state: 'firing', value: 1});
+
+          notifySpy.resetHistory();
+          return plugin.monitor(new Request({body: {event: 'foo:bar'}}));
+        })
+        .delay(10)
+        .then(() => {
+          should(notifications().map(notification => notification.slice(0, 2))).eql([['http://global', 'measure']]);
+        });
+    });
+
+    it('should replace and remove probe webhooks along with their probe', () => {
+      return configure([], [{url: 'http://foo'}])
+        .then(() => plugin.updateProbe(new Request({
+          name: 'foo',
+          body: {type: 'counter', increasers: ['foo:bar'], decreasers: [], webhooks: [{url: 'http://bar'}]}
+        })))
+        .then(() => {
+          should(plugin.notifiers.foo.map(notifier => notifier.config.url)).eql(['http://bar']);
+
+          return plugin.deleteProbe(new Request({name: 'foo'}));
+        })
+        .then(() => {
+          should(plugin.notifiers).not.have.property('foo');
+        });
+    });
+  });
+});